@@ -0,0 +1,55 @@
+-- CreateTable
+CREATE TABLE "parcels" (
+    "id" TEXT NOT NULL,
+    "fieldId" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "surfaceM2" DOUBLE PRECISION NOT NULL,
+    "geometry" JSONB,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "parcels_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "_ParcelToProject" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "_ParcelToReservation" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "parcels_fieldId_code_key" ON "parcels"("fieldId", "code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "_ParcelToProject_AB_unique" ON "_ParcelToProject"("A", "B");
+
+-- CreateIndex
+CREATE INDEX "_ParcelToProject_B_index" ON "_ParcelToProject"("B");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "_ParcelToReservation_AB_unique" ON "_ParcelToReservation"("A", "B");
+
+-- CreateIndex
+CREATE INDEX "_ParcelToReservation_B_index" ON "_ParcelToReservation"("B");
+
+-- AddForeignKey
+ALTER TABLE "parcels" ADD CONSTRAINT "parcels_fieldId_fkey" FOREIGN KEY ("fieldId") REFERENCES "fields"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_ParcelToProject" ADD CONSTRAINT "_ParcelToProject_A_fkey" FOREIGN KEY ("A") REFERENCES "parcels"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_ParcelToProject" ADD CONSTRAINT "_ParcelToProject_B_fkey" FOREIGN KEY ("B") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_ParcelToReservation" ADD CONSTRAINT "_ParcelToReservation_A_fkey" FOREIGN KEY ("A") REFERENCES "parcels"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_ParcelToReservation" ADD CONSTRAINT "_ParcelToReservation_B_fkey" FOREIGN KEY ("B") REFERENCES "reservations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "fields" ADD COLUMN     "geometry" JSONB;
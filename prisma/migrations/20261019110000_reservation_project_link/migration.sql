@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "projects" ADD COLUMN     "reservationId" TEXT;
+
+-- AlterTable
+ALTER TABLE "reservations" ADD COLUMN     "activityTypeId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "projects_reservationId_key" ON "projects"("reservationId");
+
+-- AddForeignKey
+ALTER TABLE "projects" ADD CONSTRAINT "projects_reservationId_fkey" FOREIGN KEY ("reservationId") REFERENCES "reservations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reservations" ADD CONSTRAINT "reservations_activityTypeId_fkey" FOREIGN KEY ("activityTypeId") REFERENCES "activity_types"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "ReservationStatus" ADD VALUE 'CANCELLED';
+ALTER TYPE "ReservationStatus" ADD VALUE 'EXPIRED';
+ALTER TYPE "ReservationStatus" ADD VALUE 'MODIFICATION_REQUESTED';
+
+-- AlterTable
+ALTER TABLE "reservations" ADD COLUMN     "cancellationReason" TEXT,
+ADD COLUMN     "cancelledAt" TIMESTAMP(3),
+ADD COLUMN     "modificationEnd" TIMESTAMP(3),
+ADD COLUMN     "modificationReason" TEXT,
+ADD COLUMN     "modificationStart" TIMESTAMP(3),
+ADD COLUMN     "modificationSurfaceM2" DOUBLE PRECISION;
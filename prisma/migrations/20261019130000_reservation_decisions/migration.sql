@@ -0,0 +1,26 @@
+-- CreateEnum
+CREATE TYPE "ReservationDecisionType" AS ENUM ('APPROVED', 'REJECTED', 'MODIFICATION_ACCEPTED', 'MODIFICATION_DECLINED', 'CANCELLED', 'EXPIRED');
+
+-- AlterTable
+ALTER TABLE "reservations" ADD COLUMN     "decisionComments" TEXT,
+ADD COLUMN     "rejectionReason" TEXT;
+
+-- CreateTable
+CREATE TABLE "reservation_decisions" (
+    "id" TEXT NOT NULL,
+    "reservationId" TEXT NOT NULL,
+    "type" "ReservationDecisionType" NOT NULL,
+    "fromStatus" "ReservationStatus" NOT NULL,
+    "toStatus" "ReservationStatus" NOT NULL,
+    "comments" TEXT,
+    "decidedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "reservation_decisions_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "reservation_decisions" ADD CONSTRAINT "reservation_decisions_reservationId_fkey" FOREIGN KEY ("reservationId") REFERENCES "reservations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reservation_decisions" ADD CONSTRAINT "reservation_decisions_decidedById_fkey" FOREIGN KEY ("decidedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
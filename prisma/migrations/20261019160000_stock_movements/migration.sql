@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "StockMovementType" AS ENUM ('RECEIPT', 'CONSUMPTION', 'TRANSFER', 'ADJUSTMENT', 'LOSS');
+
+-- CreateTable
+CREATE TABLE "stock_movements" (
+    "id" TEXT NOT NULL,
+    "itemId" TEXT NOT NULL,
+    "type" "StockMovementType" NOT NULL,
+    "quantity" DOUBLE PRECISION NOT NULL,
+    "balanceAfter" DOUBLE PRECISION NOT NULL,
+    "fromLocation" TEXT,
+    "toLocation" TEXT,
+    "reason" TEXT,
+    "projectId" TEXT,
+    "userId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stock_movements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "stock_movements_itemId_createdAt_idx" ON "stock_movements"("itemId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "inventory_items"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "projects"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Opening balance of existing items, so that stock equals the sum of movements
+INSERT INTO "stock_movements" ("id", "itemId", "type", "quantity", "balanceAfter", "toLocation", "reason", "createdAt")
+SELECT gen_random_uuid()::text, "id", 'ADJUSTMENT', "stockQty", "stockQty", "location", 'Opening balance', "createdAt"
+FROM "inventory_items"
+WHERE "stockQty" <> 0;
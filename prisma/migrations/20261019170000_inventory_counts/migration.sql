@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "CountSessionStatus" AS ENUM ('OPEN', 'CLOSED');
+
+-- CreateTable
+CREATE TABLE "inventory_count_sessions" (
+    "id" TEXT NOT NULL,
+    "weekStart" TIMESTAMP(3) NOT NULL,
+    "location" TEXT NOT NULL,
+    "status" "CountSessionStatus" NOT NULL DEFAULT 'OPEN',
+    "notes" TEXT,
+    "openedById" TEXT NOT NULL,
+    "closedById" TEXT,
+    "closedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "inventory_count_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "inventory_count_lines" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "itemId" TEXT NOT NULL,
+    "countedQty" DOUBLE PRECISION,
+    "condition" "ItemCondition",
+    "notes" TEXT,
+    "countedAt" TIMESTAMP(3),
+    "expectedQty" DOUBLE PRECISION,
+    "varianceQty" DOUBLE PRECISION,
+
+    CONSTRAINT "inventory_count_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "inventory_count_sessions_weekStart_location_key" ON "inventory_count_sessions"("weekStart", "location");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "inventory_count_lines_sessionId_itemId_key" ON "inventory_count_lines"("sessionId", "itemId");
+
+-- AddForeignKey
+ALTER TABLE "inventory_count_sessions" ADD CONSTRAINT "inventory_count_sessions_openedById_fkey" FOREIGN KEY ("openedById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_count_sessions" ADD CONSTRAINT "inventory_count_sessions_closedById_fkey" FOREIGN KEY ("closedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_count_lines" ADD CONSTRAINT "inventory_count_lines_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "inventory_count_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_count_lines" ADD CONSTRAINT "inventory_count_lines_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "inventory_items"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "inventory_items" ADD COLUMN     "minQty" DOUBLE PRECISION,
+ADD COLUMN     "reorderQty" DOUBLE PRECISION;
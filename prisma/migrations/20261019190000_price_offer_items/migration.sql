@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "price_offer_items" (
+    "id" TEXT NOT NULL,
+    "priceOfferId" TEXT NOT NULL,
+    "lineNumber" INTEGER NOT NULL,
+    "designation" TEXT NOT NULL,
+    "techDescription" TEXT,
+    "unit" TEXT NOT NULL,
+    "quantity" DOUBLE PRECISION NOT NULL,
+
+    CONSTRAINT "price_offer_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "price_offer_items_priceOfferId_lineNumber_key" ON "price_offer_items"("priceOfferId", "lineNumber");
+
+-- AddForeignKey
+ALTER TABLE "price_offer_items" ADD CONSTRAINT "price_offer_items_priceOfferId_fkey" FOREIGN KEY ("priceOfferId") REFERENCES "price_offers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move the single item of existing price offers to line 1
+INSERT INTO "price_offer_items" ("id", "priceOfferId", "lineNumber", "designation", "techDescription", "unit", "quantity")
+SELECT gen_random_uuid()::text, "id", 1, "itemDesignation", "techDescription", "unit", "quantity"
+FROM "price_offers";
+
+-- AlterTable
+ALTER TABLE "price_offers" DROP COLUMN "itemDesignation",
+DROP COLUMN "quantity",
+DROP COLUMN "techDescription",
+DROP COLUMN "unit";
@@ -0,0 +1,68 @@
+-- AlterTable
+ALTER TABLE "service_orders" ADD COLUMN     "supplierId" TEXT;
+
+-- CreateTable
+CREATE TABLE "suppliers" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "contactName" TEXT,
+    "email" TEXT,
+    "phone" TEXT,
+    "address" TEXT,
+    "ice" TEXT,
+    "rc" TEXT,
+    "fiscalId" TEXT,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "suppliers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "price_offer_recipients" (
+    "id" TEXT NOT NULL,
+    "priceOfferId" TEXT NOT NULL,
+    "supplierId" TEXT NOT NULL,
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "respondedAt" TIMESTAMP(3),
+    "notes" TEXT,
+
+    CONSTRAINT "price_offer_recipients_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "supplier_quotes" (
+    "id" TEXT NOT NULL,
+    "recipientId" TEXT NOT NULL,
+    "itemId" TEXT NOT NULL,
+    "unitPrice" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "supplier_quotes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "suppliers_ice_key" ON "suppliers"("ice");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "price_offer_recipients_priceOfferId_supplierId_key" ON "price_offer_recipients"("priceOfferId", "supplierId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "supplier_quotes_recipientId_itemId_key" ON "supplier_quotes"("recipientId", "itemId");
+
+-- AddForeignKey
+ALTER TABLE "service_orders" ADD CONSTRAINT "service_orders_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "suppliers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "price_offer_recipients" ADD CONSTRAINT "price_offer_recipients_priceOfferId_fkey" FOREIGN KEY ("priceOfferId") REFERENCES "price_offers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "price_offer_recipients" ADD CONSTRAINT "price_offer_recipients_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "suppliers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "supplier_quotes" ADD CONSTRAINT "supplier_quotes_recipientId_fkey" FOREIGN KEY ("recipientId") REFERENCES "price_offer_recipients"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "supplier_quotes" ADD CONSTRAINT "supplier_quotes_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "price_offer_items"("id") ON DELETE CASCADE ON UPDATE CASCADE;
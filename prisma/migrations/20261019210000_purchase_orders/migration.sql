@@ -0,0 +1,61 @@
+-- CreateEnum
+CREATE TYPE "PurchaseOrderStatus" AS ENUM ('ISSUED', 'DELIVERED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "service_orders" ADD COLUMN     "purchaseOrderId" TEXT;
+
+-- CreateTable
+CREATE TABLE "purchase_orders" (
+    "id" TEXT NOT NULL,
+    "number" TEXT NOT NULL,
+    "priceOfferId" TEXT NOT NULL,
+    "supplierId" TEXT NOT NULL,
+    "objet" TEXT NOT NULL,
+    "orderDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "status" "PurchaseOrderStatus" NOT NULL DEFAULT 'ISSUED',
+    "totalAmount" DOUBLE PRECISION,
+    "notes" TEXT,
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "purchase_orders_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "purchase_order_items" (
+    "id" TEXT NOT NULL,
+    "purchaseOrderId" TEXT NOT NULL,
+    "lineNumber" INTEGER NOT NULL,
+    "designation" TEXT NOT NULL,
+    "techDescription" TEXT,
+    "unit" TEXT NOT NULL,
+    "quantity" DOUBLE PRECISION NOT NULL,
+    "unitPrice" DOUBLE PRECISION,
+
+    CONSTRAINT "purchase_order_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "purchase_orders_number_key" ON "purchase_orders"("number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "purchase_orders_priceOfferId_key" ON "purchase_orders"("priceOfferId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "purchase_order_items_purchaseOrderId_lineNumber_key" ON "purchase_order_items"("purchaseOrderId", "lineNumber");
+
+-- AddForeignKey
+ALTER TABLE "purchase_orders" ADD CONSTRAINT "purchase_orders_priceOfferId_fkey" FOREIGN KEY ("priceOfferId") REFERENCES "price_offers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_orders" ADD CONSTRAINT "purchase_orders_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "suppliers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_orders" ADD CONSTRAINT "purchase_orders_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_order_items" ADD CONSTRAINT "purchase_order_items_purchaseOrderId_fkey" FOREIGN KEY ("purchaseOrderId") REFERENCES "purchase_orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "service_orders" ADD CONSTRAINT "service_orders_purchaseOrderId_fkey" FOREIGN KEY ("purchaseOrderId") REFERENCES "purchase_orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "price_offers" ADD COLUMN     "signatureHash" TEXT,
+ADD COLUMN     "signedAt" TIMESTAMP(3),
+ADD COLUMN     "signerId" TEXT;
+
+-- AlterTable
+ALTER TABLE "service_orders" ADD COLUMN     "signatureHash" TEXT,
+ADD COLUMN     "signedAt" TIMESTAMP(3),
+ADD COLUMN     "signerId" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "price_offers" ADD CONSTRAINT "price_offers_signerId_fkey" FOREIGN KEY ("signerId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "service_orders" ADD CONSTRAINT "service_orders_signerId_fkey" FOREIGN KEY ("signerId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
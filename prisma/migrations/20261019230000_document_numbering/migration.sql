@@ -0,0 +1,77 @@
+-- CreateTable
+CREATE TABLE "document_sequences" (
+    "documentType" TEXT NOT NULL,
+    "year" INTEGER NOT NULL,
+    "prefix" TEXT NOT NULL,
+    "padding" INTEGER NOT NULL DEFAULT 4,
+    "lastNumber" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "document_sequences_pkey" PRIMARY KEY ("documentType","year")
+);
+
+-- AlterTable
+ALTER TABLE "service_orders" ADD COLUMN     "number" TEXT;
+
+-- Existing order numbers have been printed and are kept. When a hand-typed number was
+-- used twice, the oldest price offer keeps it and the others get a new number.
+WITH "duplicates" AS (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY "orderNumber" ORDER BY "createdAt", "id") AS "rank"
+    FROM "price_offers"
+    WHERE "orderNumber" IS NOT NULL
+)
+UPDATE "price_offers" SET "orderNumber" = NULL
+FROM "duplicates" WHERE "price_offers"."id" = "duplicates"."id" AND "duplicates"."rank" > 1;
+
+-- Price offers without a number are numbered in creation order, per year, after the
+-- highest F47-YYYY-NNNN number already in use that year
+WITH "used" AS (
+    SELECT SPLIT_PART("orderNumber", '-', 2)::INTEGER AS "year", MAX(SPLIT_PART("orderNumber", '-', 3)::INTEGER) AS "lastNumber"
+    FROM "price_offers"
+    WHERE "orderNumber" ~ '^F47-[0-9]{4}-[0-9]+$'
+    GROUP BY SPLIT_PART("orderNumber", '-', 2)
+), "numbered" AS (
+    SELECT "price_offers"."id", EXTRACT(YEAR FROM "price_offers"."createdAt")::INTEGER AS "year",
+           COALESCE("used"."lastNumber", 0)
+             + ROW_NUMBER() OVER (PARTITION BY EXTRACT(YEAR FROM "price_offers"."createdAt") ORDER BY "price_offers"."createdAt", "price_offers"."id") AS "sequence"
+    FROM "price_offers"
+    LEFT JOIN "used" ON "used"."year" = EXTRACT(YEAR FROM "price_offers"."createdAt")::INTEGER
+    WHERE "price_offers"."orderNumber" IS NULL
+)
+UPDATE "price_offers" SET "orderNumber" = 'F47-' || "numbered"."year" || '-' || LPAD("numbered"."sequence"::TEXT, 4, '0')
+FROM "numbered" WHERE "price_offers"."id" = "numbered"."id";
+
+-- Service orders had no number yet and are numbered in creation order, per year
+
+WITH "numbered" AS (
+    SELECT "id", EXTRACT(YEAR FROM "createdAt")::INTEGER AS "year",
+           ROW_NUMBER() OVER (PARTITION BY EXTRACT(YEAR FROM "createdAt") ORDER BY "createdAt", "id") AS "sequence"
+    FROM "service_orders"
+)
+UPDATE "service_orders" SET "number" = 'F84-' || "numbered"."year" || '-' || LPAD("numbered"."sequence"::TEXT, 4, '0')
+FROM "numbered" WHERE "service_orders"."id" = "numbered"."id";
+
+-- Sequences continue after the highest number already in use
+INSERT INTO "document_sequences" ("documentType", "year", "prefix", "padding", "lastNumber", "updatedAt")
+SELECT 'PRICE_OFFER', SPLIT_PART("orderNumber", '-', 2)::INTEGER, 'F47', 4, MAX(SPLIT_PART("orderNumber", '-', 3)::INTEGER), CURRENT_TIMESTAMP
+FROM "price_offers" WHERE "orderNumber" ~ '^F47-[0-9]{4}-[0-9]+$' GROUP BY SPLIT_PART("orderNumber", '-', 2);
+
+INSERT INTO "document_sequences" ("documentType", "year", "prefix", "padding", "lastNumber", "updatedAt")
+SELECT 'SERVICE_ORDER', SPLIT_PART("number", '-', 2)::INTEGER, 'F84', 4, MAX(SPLIT_PART("number", '-', 3)::INTEGER), CURRENT_TIMESTAMP
+FROM "service_orders" GROUP BY SPLIT_PART("number", '-', 2);
+
+INSERT INTO "document_sequences" ("documentType", "year", "prefix", "padding", "lastNumber", "updatedAt")
+SELECT 'PURCHASE_ORDER', SPLIT_PART("number", '-', 2)::INTEGER, 'BC', 4, MAX(SPLIT_PART("number", '-', 3)::INTEGER), CURRENT_TIMESTAMP
+FROM "purchase_orders" GROUP BY SPLIT_PART("number", '-', 2);
+
+-- AlterTable
+ALTER TABLE "price_offers" ALTER COLUMN "orderNumber" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "service_orders" ALTER COLUMN "number" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "price_offers_orderNumber_key" ON "price_offers"("orderNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "service_orders_number_key" ON "service_orders"("number");
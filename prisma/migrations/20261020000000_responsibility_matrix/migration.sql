@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "ResponsibilityLevel" AS ENUM ('AXIS', 'SERVICE', 'CELL');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "awayFrom" TIMESTAMP(3),
+ADD COLUMN     "awayUntil" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "responsibilities" (
+    "id" TEXT NOT NULL,
+    "level" "ResponsibilityLevel" NOT NULL,
+    "name" TEXT NOT NULL,
+    "parentId" TEXT,
+    "routingKey" TEXT,
+    "coordinatorId" TEXT,
+    "replacementId" TEXT,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "responsibilities_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "responsibilities_routingKey_key" ON "responsibilities"("routingKey");
+
+-- CreateIndex
+CREATE INDEX "responsibilities_parentId_idx" ON "responsibilities"("parentId");
+
+-- AddForeignKey
+ALTER TABLE "responsibilities" ADD CONSTRAINT "responsibilities_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "responsibilities"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "responsibilities" ADD CONSTRAINT "responsibilities_coordinatorId_fkey" FOREIGN KEY ("coordinatorId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "responsibilities" ADD CONSTRAINT "responsibilities_replacementId_fkey" FOREIGN KEY ("replacementId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "activity_types" ADD COLUMN     "attributes" JSONB NOT NULL DEFAULT '[]',
+ADD COLUMN     "retiredAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "projects" ADD COLUMN     "attributes" JSONB;
@@ -0,0 +1,53 @@
+-- CreateEnum
+CREATE TYPE "PhaseKind" AS ENUM ('PHASE', 'MILESTONE');
+
+-- CreateEnum
+CREATE TYPE "PhaseStatus" AS ENUM ('PLANNED', 'IN_PROGRESS', 'COMPLETED');
+
+-- CreateTable
+CREATE TABLE "project_phases" (
+    "id" TEXT NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "kind" "PhaseKind" NOT NULL DEFAULT 'PHASE',
+    "plannedStart" TIMESTAMP(3) NOT NULL,
+    "plannedEnd" TIMESTAMP(3) NOT NULL,
+    "actualStart" TIMESTAMP(3),
+    "actualEnd" TIMESTAMP(3),
+    "status" "PhaseStatus" NOT NULL DEFAULT 'PLANNED',
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "ownerId" TEXT,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "project_phases_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "_PhaseDependencies" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "project_phases_projectId_idx" ON "project_phases"("projectId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "_PhaseDependencies_AB_unique" ON "_PhaseDependencies"("A", "B");
+
+-- CreateIndex
+CREATE INDEX "_PhaseDependencies_B_index" ON "_PhaseDependencies"("B");
+
+-- AddForeignKey
+ALTER TABLE "project_phases" ADD CONSTRAINT "project_phases_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "project_phases" ADD CONSTRAINT "project_phases_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_PhaseDependencies" ADD CONSTRAINT "_PhaseDependencies_A_fkey" FOREIGN KEY ("A") REFERENCES "project_phases"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_PhaseDependencies" ADD CONSTRAINT "_PhaseDependencies_B_fkey" FOREIGN KEY ("B") REFERENCES "project_phases"("id") ON DELETE CASCADE ON UPDATE CASCADE;
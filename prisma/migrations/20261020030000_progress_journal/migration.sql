@@ -0,0 +1,47 @@
+-- CreateEnum
+CREATE TYPE "ProgressCategory" AS ENUM ('OBSERVATION', 'INCIDENT', 'INTERVENTION', 'MEASUREMENT');
+
+-- CreateTable
+CREATE TABLE "progress_entries" (
+    "id" TEXT NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "authorId" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "category" "ProgressCategory" NOT NULL,
+    "content" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "progress_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "progress_photos" (
+    "id" TEXT NOT NULL,
+    "entryId" TEXT NOT NULL,
+    "filename" TEXT NOT NULL,
+    "originalName" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "progress_photos_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "progress_entries_projectId_date_idx" ON "progress_entries"("projectId", "date");
+
+-- AddForeignKey
+ALTER TABLE "progress_entries" ADD CONSTRAINT "progress_entries_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "progress_entries" ADD CONSTRAINT "progress_entries_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "progress_photos" ADD CONSTRAINT "progress_photos_entryId_fkey" FOREIGN KEY ("entryId") REFERENCES "progress_entries"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Keep the notes written so far as the first entry of each journal, authored by the supervisor
+INSERT INTO "progress_entries" ("id", "projectId", "authorId", "date", "category", "content", "updatedAt")
+SELECT gen_random_uuid()::text, "id", "supervisorId", "updatedAt", 'OBSERVATION', "progressNotes", CURRENT_TIMESTAMP
+FROM "projects"
+WHERE "progressNotes" IS NOT NULL AND "progressNotes" <> '';
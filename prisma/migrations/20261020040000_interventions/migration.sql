@@ -0,0 +1,60 @@
+-- CreateEnum
+CREATE TYPE "InterventionType" AS ENUM ('IRRIGATION', 'FERTILIZATION', 'FERTIGATION', 'CROP_PROTECTION');
+
+-- CreateTable
+CREATE TABLE "interventions" (
+    "id" TEXT NOT NULL,
+    "type" "InterventionType" NOT NULL,
+    "projectId" TEXT,
+    "fieldId" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "operator" TEXT NOT NULL,
+    "surfaceHa" DOUBLE PRECISION NOT NULL,
+    "waterVolumeM3" DOUBLE PRECISION,
+    "equipment" TEXT,
+    "notes" TEXT,
+    "recordedById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "interventions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "intervention_products" (
+    "id" TEXT NOT NULL,
+    "interventionId" TEXT NOT NULL,
+    "itemId" TEXT NOT NULL,
+    "dosePerHa" DOUBLE PRECISION NOT NULL,
+    "quantity" DOUBLE PRECISION NOT NULL,
+    "stockMovementId" TEXT,
+
+    CONSTRAINT "intervention_products_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "interventions_projectId_date_idx" ON "interventions"("projectId", "date");
+
+-- CreateIndex
+CREATE INDEX "interventions_fieldId_date_idx" ON "interventions"("fieldId", "date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "intervention_products_stockMovementId_key" ON "intervention_products"("stockMovementId");
+
+-- AddForeignKey
+ALTER TABLE "interventions" ADD CONSTRAINT "interventions_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "projects"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "interventions" ADD CONSTRAINT "interventions_fieldId_fkey" FOREIGN KEY ("fieldId") REFERENCES "fields"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "interventions" ADD CONSTRAINT "interventions_recordedById_fkey" FOREIGN KEY ("recordedById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "intervention_products" ADD CONSTRAINT "intervention_products_interventionId_fkey" FOREIGN KEY ("interventionId") REFERENCES "interventions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "intervention_products" ADD CONSTRAINT "intervention_products_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "inventory_items"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "intervention_products" ADD CONSTRAINT "intervention_products_stockMovementId_fkey" FOREIGN KEY ("stockMovementId") REFERENCES "stock_movements"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- AlterEnum
+ALTER TYPE "InterventionType" ADD VALUE 'HARVEST';
+
+-- AlterTable
+ALTER TABLE "inventory_items" ADD COLUMN     "activeSubstance" TEXT,
+ADD COLUMN     "preHarvestDays" INTEGER,
+ADD COLUMN     "reentryHours" INTEGER;
+
+-- AlterTable
+ALTER TABLE "interventions" ADD COLUMN     "preHarvestUntil" TIMESTAMP(3),
+ADD COLUMN     "reentryUntil" TIMESTAMP(3),
+ADD COLUMN     "preHarvestOverride" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "intervention_products" ADD COLUMN     "activeSubstance" TEXT,
+ADD COLUMN     "preHarvestDays" INTEGER,
+ADD COLUMN     "reentryHours" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "interventions_reentryUntil_idx" ON "interventions"("reentryUntil");
@@ -0,0 +1,8 @@
+-- CreateTable
+CREATE TABLE "job_runs" (
+    "name" TEXT NOT NULL,
+    "lastRunOn" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "job_runs_pkey" PRIMARY KEY ("name")
+);
@@ -0,0 +1,12 @@
+-- A market number starts a single service order. When one was typed on several orders,
+-- the oldest keeps it and the others get their F.84 number appended, so the index can be built.
+WITH "duplicates" AS (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY LOWER("marketNumber") ORDER BY "createdAt", "id") AS "rank"
+    FROM "service_orders"
+    WHERE "marketNumber" IS NOT NULL
+)
+UPDATE "service_orders" SET "marketNumber" = "service_orders"."marketNumber" || ' (' || "service_orders"."number" || ')'
+FROM "duplicates" WHERE "service_orders"."id" = "duplicates"."id" AND "duplicates"."rank" > 1;
+
+-- CreateIndex (case-insensitive, not expressible in the Prisma schema)
+CREATE UNIQUE INDEX "service_orders_marketNumber_key" ON "service_orders"(LOWER("marketNumber"));
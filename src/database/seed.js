@@ -79,6 +79,42 @@ const fields = [
   { name: 'Site externe', location: 'Site externe (ex: OCP Jorf Lasfar)', totalSurfaceM2: 0, freeSurfaceM2: 0 },
 ];
 
+// 'Répartition des responsabilités du comité de pilotage': axes > services > cells,
+// with coordinator and replacement. routingKey routes notifications to a cell.
+const responsibilityMatrix = [
+  {
+    name: 'Gestion administrative et support',
+    services: [
+      {
+        name: 'Gestion administrative et support ferme',
+        cells: [
+          { name: 'Gestion des ressources humaines ferme', routingKey: 'HR', coordinator: 'Aziz JMEL', replacement: 'Yasmine TAOUIR' },
+          { name: 'Gestion des achats et approvisionnements', routingKey: 'PURCHASING', coordinator: 'Aziz JMEL', replacement: 'Brahim EL KAJAF' },
+          { name: 'Gestion de stock et patrimoine', routingKey: 'STOCK', coordinator: 'Brahim EL KAJAF', replacement: 'Aziz JMEL' },
+          { name: 'Gestion QHSSE', routingKey: 'QHSSE', coordinator: 'Brahim EL KAJAF', replacement: 'Yassine ELBEQQAL' },
+          { name: 'Gestion atelier et parc matériel ferme', routingKey: 'WORKSHOP', coordinator: 'Bouchaib ESSAIH', replacement: 'Jelloul FNIZI' },
+          { name: 'Gestion commerciale, partenariats et communication', routingKey: 'COMMERCIAL', coordinator: 'Brahim EL KAJAF', replacement: 'Younes JNAOUI' },
+          { name: 'Gestion finance et comptabilité', routingKey: 'FINANCE', notes: 'A développer' },
+        ],
+      },
+    ],
+  },
+  {
+    name: 'Gestion technique et production',
+    services: [
+      { name: 'Recherche scientifique', coordinator: 'Jelloul FNIZI', replacement: 'Yasmine TAOUIR', notes: 'Technicien (superviseur du projet)' },
+      { name: 'Gestion technique et production à la ferme', coordinator: 'Jelloul FNIZI', replacement: 'Yasmine TAOUIR', notes: 'Techniciens agricoles' },
+      { name: 'Partie commune (recherche scientifique et production agricole)', coordinator: 'Aziz JMEL', replacement: 'Brahim EL KAJAF' },
+    ],
+  },
+  {
+    name: 'Gestion et management globale de la ferme',
+    services: [
+      { name: 'Gestion et management de la ferme', routingKey: 'FARM_MANAGEMENT', coordinator: 'Younes JNAOUI', notes: 'Comité de pilotage' },
+    ],
+  },
+];
+
 // Categories of work derived from the 'Type d'activité' and project titles.
 const activityTypes = [
   { label: 'Recherche Scientifique', description: 'Essais et projets de recherche' },
@@ -86,7 +122,15 @@ const activityTypes = [
   { label: 'Multiplication Végétale', description: 'Multiplication de plantes et semences' },
   { label: 'Arboriculture', description: 'Culture d\'arbres fruitiers et forestiers' },
   { label: 'Maraichage', description: 'Culture de légumes' },
-  { label: 'Céréaliculture', description: 'Culture de céréales' },
+  {
+    label: 'Céréaliculture',
+    description: 'Culture de céréales',
+    attributes: [
+      { key: 'variety', label: 'Variété', type: 'TEXT', required: true },
+      { key: 'sowingDensity', label: 'Densité de semis', type: 'NUMBER', unit: 'kg/ha', required: true, min: 0 },
+      { key: 'sowingDate', label: 'Date de semis', type: 'DATE', required: true }
+    ]
+  },
   { label: 'Cultures Fourragères', description: 'Culture de plantes destinées à l\'alimentation animale' },
   { label: 'Production de PAM', description: 'Production de Plantes Aromatiques et Médicinales' },
   { label: 'Ornementale et Espaces Verts', description: 'Gestion des espaces verts et plantes ornementales' },
@@ -251,10 +295,15 @@ async function seed() {
 
     // Clear existing data in the correct order to avoid foreign key conflicts
     console.log('🧹 Clearing existing data...');
+    await prisma.waitlistEntry.deleteMany();
     await prisma.project.deleteMany();
     await prisma.reservation.deleteMany();
+    await prisma.purchaseOrder.deleteMany();
     await prisma.priceOffer.deleteMany();
     await prisma.serviceOrder.deleteMany();
+    await prisma.documentSequence.deleteMany();
+    await prisma.responsibility.deleteMany();
+    await prisma.supplier.deleteMany();
     await prisma.inventoryItem.deleteMany();
     await prisma.user.deleteMany();
     await prisma.field.deleteMany();
@@ -397,6 +446,35 @@ async function seed() {
     }
     console.log(`   ...${projectCount} projects created.`);
 
+    // 6. Create the responsibility matrix
+    console.log('🗂️ Creating responsibility matrix...');
+    let responsibilityCount = 0;
+    const createResponsibility = async (level, node, position, parentId) => {
+      responsibilityCount++;
+      return prisma.responsibility.create({
+        data: {
+          level,
+          name: node.name,
+          parentId,
+          position,
+          routingKey: node.routingKey,
+          coordinatorId: createdUsers[node.coordinator]?.id,
+          replacementId: createdUsers[node.replacement]?.id,
+          notes: node.notes,
+        },
+      });
+    };
+    for (const [axisIndex, axis] of responsibilityMatrix.entries()) {
+      const newAxis = await createResponsibility('AXIS', axis, axisIndex);
+      for (const [serviceIndex, service] of axis.services.entries()) {
+        const newService = await createResponsibility('SERVICE', service, serviceIndex, newAxis.id);
+        for (const [cellIndex, cell] of (service.cells || []).entries()) {
+          await createResponsibility('CELL', cell, cellIndex, newService.id);
+        }
+      }
+    }
+    console.log(`   ...${responsibilityCount} responsibilities created.`);
+
 
     console.log('✅ Database seeding completed successfully!');
     
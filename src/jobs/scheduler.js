@@ -0,0 +1,131 @@
+const { PrismaClient } = require('@prisma/client');
+const { expirePendingReservations } = require('../utils/reservationLifecycle');
+const { expireWaitlistEntries } = require('../utils/waitlist');
+const { getLowStockItems } = require('../utils/stock');
+const { sendLowStockDigestEmail } = require('../utils/email');
+const { getResponsibleFor } = require('../utils/responsibilities');
+
+const prisma = new PrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// F.75 cell receiving the low-stock digest ("Gestion de stock et patrimoine")
+const STOCK_ROUTING_KEY = 'STOCK';
+
+// Server-local day (YYYY-MM-DD), in the same timezone as the hour of daily jobs
+const localDay = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Record that a daily job runs today; false when it already ran, including before a restart
+const claimDailyRun = async (name, day) => {
+  const claimed = await prisma.jobRun.updateMany({
+    where: { name, lastRunOn: { not: day } },
+    data: { lastRunOn: day }
+  });
+  if (claimed.count > 0) return true;
+
+  const created = await prisma.jobRun.createMany({
+    data: [{ name, lastRunOn: day }],
+    skipDuplicates: true
+  });
+  return created.count > 0;
+};
+
+// Give back today's claim of a daily job that failed, so the next run retries it
+const releaseDailyRun = async (name, day) => {
+  await prisma.jobRun.deleteMany({ where: { name, lastRunOn: day } });
+};
+
+// Coordinator of the stock cell (or its replacement while away), falling back
+// to the stock manager address and then the administrators
+const getDigestRecipients = async () => {
+  const responsible = await getResponsibleFor(prisma, STOCK_ROUTING_KEY);
+  if (responsible) {
+    return [responsible.email];
+  }
+
+  if (process.env.STOCK_MANAGER_EMAIL) {
+    return [process.env.STOCK_MANAGER_EMAIL];
+  }
+
+  const admins = await prisma.user.findMany({
+    where: { role: 'ADMIN' },
+    select: { email: true }
+  });
+  return admins.map(admin => admin.email);
+};
+
+// Background jobs run by the API process: { name, intervalMs, run }
+const jobs = [
+  {
+    name: 'reservation-expiry',
+    intervalMs: HOUR_MS,
+    run: async () => {
+      const count = await expirePendingReservations(prisma);
+      if (count > 0) {
+        console.log(`⏰ ${count} pending reservation(s) expired`);
+      }
+    }
+  },
+  {
+    name: 'waitlist-expiry',
+    intervalMs: HOUR_MS,
+    run: async () => {
+      const count = await expireWaitlistEntries(prisma);
+      if (count > 0) {
+        console.log(`⏰ ${count} waitlist entr${count === 1 ? 'y' : 'ies'} expired`);
+      }
+    }
+  },
+  {
+    name: 'low-stock-digest',
+    intervalMs: HOUR_MS,
+    run: async () => {
+      const now = new Date();
+      const digestHour = parseInt(process.env.LOW_STOCK_DIGEST_HOUR || '7');
+      if (now.getHours() < digestHour) return;
+
+      const day = localDay(now);
+      if (!(await claimDailyRun('low-stock-digest', day))) return;
+
+      try {
+        const items = await getLowStockItems(prisma);
+        if (items.length === 0) return;
+
+        const recipients = await getDigestRecipients();
+        for (const email of recipients) {
+          await sendLowStockDigestEmail(email, items);
+        }
+        console.log(`📦 Low stock digest sent (${items.length} item(s))`);
+      } catch (error) {
+        await releaseDailyRun('low-stock-digest', day);
+        throw error;
+      }
+    }
+  }
+];
+
+// Run a job and log failures without stopping the scheduler
+const runJob = async (job) => {
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+  }
+};
+
+// Start all jobs: run once at startup, then on their interval
+const startJobs = () => {
+  return jobs.map(job => {
+    runJob(job);
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref();
+    return timer;
+  });
+};
+
+module.exports = {
+  startJobs
+};
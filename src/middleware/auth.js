@@ -101,7 +101,8 @@ const requireOwnershipOrAdmin = (resourceType) => {
       return next();
     }
 
-    const resourceId = req.params.id || req.params.userId;
+    // Routes nested under a project (/api/projects/:projectId/...) check that project
+    const resourceId = (resourceType === 'project' && req.params.projectId) || req.params.id || req.params.userId;
     
     if (!resourceId) {
       return res.status(400).json({
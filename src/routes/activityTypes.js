@@ -0,0 +1,243 @@
+// src/routes/activityTypes.js
+// Activity types of projects, reservations and waitlist entries, with the project attributes they define
+
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+const { checkAttributeDefinitions, normalizeAttributeDefinitions } = require('../utils/activityTypes');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation schemas
+const createActivityTypeValidation = [
+  body('label').trim().isLength({ min: 2 }).withMessage('Label must be at least 2 characters'),
+  body('description').optional().trim(),
+  body('attributes').optional().isArray().withMessage('Attributes must be an array')
+];
+
+const updateActivityTypeValidation = [
+  body('label').optional().trim().isLength({ min: 2 }).withMessage('Label must be at least 2 characters'),
+  ...createActivityTypeValidation.slice(1)
+];
+
+// Number of projects, reservations and waitlist entries using each type
+const usageInclude = {
+  _count: { select: { projects: true, reservations: true, waitlistEntries: true } }
+};
+
+// Reject a label already used by another activity type
+const checkLabelAvailable = async (label, activityTypeId) => {
+  if (!label) return null;
+
+  const existing = await prisma.activityType.findUnique({ where: { label } });
+  if (existing && existing.id !== activityTypeId) {
+    return { error: 'Activity Type Already Exists', message: `An activity type labelled ${label} already exists` };
+  }
+  return null;
+};
+
+// Get activity types with their usage counts; retired types only with includeRetired=true
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { includeRetired, search } = req.query;
+
+    let whereClause = {};
+    if (includeRetired !== 'true') whereClause.retiredAt = null;
+    if (search) whereClause.label = { contains: search, mode: 'insensitive' };
+
+    const activityTypes = await prisma.activityType.findMany({
+      where: whereClause,
+      include: usageInclude,
+      orderBy: { label: 'asc' }
+    });
+
+    res.json({ activityTypes });
+  } catch (error) {
+    console.error('Get activity types error:', error);
+    res.status(500).json({ error: 'Failed to retrieve activity types', message: 'An error occurred while fetching activity types' });
+  }
+});
+
+// Get an activity type with its usage counts
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const activityType = await prisma.activityType.findUnique({
+      where: { id },
+      include: usageInclude
+    });
+
+    if (!activityType) {
+      return res.status(404).json({ error: 'Activity Type Not Found', message: 'The requested activity type was not found' });
+    }
+
+    res.json({ activityType });
+  } catch (error) {
+    console.error('Get activity type error:', error);
+    res.status(500).json({ error: 'Failed to retrieve activity type', message: 'An error occurred while fetching the activity type' });
+  }
+});
+
+// Create activity type (Admin only)
+router.post('/', authenticateToken, requireRole('ADMIN'), createActivityTypeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { label, description, attributes = [] } = req.body;
+
+    const attributeErrors = checkAttributeDefinitions(attributes);
+    if (attributeErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid Attributes', message: 'Some attribute definitions are invalid', details: attributeErrors });
+    }
+
+    const labelError = await checkLabelAvailable(label);
+    if (labelError) {
+      return res.status(409).json(labelError);
+    }
+
+    const activityType = await prisma.$transaction(async (tx) => {
+      const created = await tx.activityType.create({
+        data: { label, description, attributes: normalizeAttributeDefinitions(attributes) }
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'ACTIVITY_TYPE', entityId: created.id, after: created });
+
+      return created;
+    });
+
+    res.status(201).json({ message: 'Activity type created successfully', activityType });
+  } catch (error) {
+    console.error('Create activity type error:', error);
+    res.status(500).json({ error: 'Failed to create activity type', message: 'An error occurred while creating the activity type' });
+  }
+});
+
+// Update activity type (Admin only).
+// New attribute definitions apply to projects created or edited afterwards.
+router.put('/:id', authenticateToken, requireRole('ADMIN'), updateActivityTypeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { label, description, attributes } = req.body;
+
+    const existingType = await prisma.activityType.findUnique({ where: { id } });
+    if (!existingType) {
+      return res.status(404).json({ error: 'Activity Type Not Found', message: 'The requested activity type was not found' });
+    }
+
+    if (attributes !== undefined) {
+      const attributeErrors = checkAttributeDefinitions(attributes);
+      if (attributeErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid Attributes', message: 'Some attribute definitions are invalid', details: attributeErrors });
+      }
+    }
+
+    const labelError = await checkLabelAvailable(label, id);
+    if (labelError) {
+      return res.status(409).json(labelError);
+    }
+
+    const activityType = await prisma.$transaction(async (tx) => {
+      const updated = await tx.activityType.update({
+        where: { id },
+        data: {
+          label,
+          description,
+          attributes: attributes !== undefined ? normalizeAttributeDefinitions(attributes) : undefined
+        }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'ACTIVITY_TYPE', entityId: id, before: existingType, after: updated });
+
+      return updated;
+    });
+
+    res.json({ message: 'Activity type updated successfully', activityType });
+  } catch (error) {
+    console.error('Update activity type error:', error);
+    res.status(500).json({ error: 'Failed to update activity type', message: 'An error occurred while updating the activity type' });
+  }
+});
+
+// Retire or restore an activity type (Admin only); retired types stay on existing records
+router.patch('/:id/retire', authenticateToken, requireRole('ADMIN'), [
+  body('retired').isBoolean().withMessage('Retired must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { id } = req.params;
+    const retired = req.body.retired === true || req.body.retired === 'true';
+
+    const existingType = await prisma.activityType.findUnique({ where: { id } });
+    if (!existingType) {
+      return res.status(404).json({ error: 'Activity Type Not Found', message: 'The requested activity type was not found' });
+    }
+
+    const activityType = await prisma.$transaction(async (tx) => {
+      const updated = await tx.activityType.update({
+        where: { id },
+        data: { retiredAt: retired ? existingType.retiredAt || new Date() : null }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'ACTIVITY_TYPE', entityId: id, before: existingType, after: updated });
+
+      return updated;
+    });
+
+    res.json({ message: `Activity type ${retired ? 'retired' : 'restored'} successfully`, activityType });
+  } catch (error) {
+    console.error('Retire activity type error:', error);
+    res.status(500).json({ error: 'Failed to update activity type', message: 'An error occurred while retiring the activity type' });
+  }
+});
+
+// Delete an unused activity type (Admin only); types in use can only be retired
+router.delete('/:id', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const activityType = await prisma.activityType.findUnique({ where: { id } });
+
+    if (!activityType) {
+      return res.status(404).json({ error: 'Activity Type Not Found', message: 'The requested activity type was not found' });
+    }
+
+    const [projectCount, reservationCount, waitlistCount] = await Promise.all([
+      prisma.project.count({ where: { activityTypeId: id } }),
+      prisma.reservation.count({ where: { activityTypeId: id } }),
+      prisma.waitlistEntry.count({ where: { activityTypeId: id } })
+    ]);
+    if (projectCount + reservationCount + waitlistCount > 0) {
+      return res.status(400).json({
+        error: 'Cannot Delete Activity Type',
+        message: 'This activity type is used by projects, reservations or waitlist entries; retire it instead'
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.activityType.delete({ where: { id } });
+
+      await logAudit(tx, req, { action: 'DELETE', entityType: 'ACTIVITY_TYPE', entityId: id, before: activityType });
+    });
+
+    res.json({ message: 'Activity type deleted successfully' });
+  } catch (error) {
+    console.error('Delete activity type error:', error);
+    res.status(500).json({ error: 'Failed to delete activity type', message: 'An error occurred while deleting the activity type' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+// src/routes/audit.js
+
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Get audit log entries (Admin only), newest first
+router.get('/', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, entityType, entityId, userId, action, startDate, endDate } = req.query;
+    const skip = (page - 1) * limit;
+
+    let whereClause = {};
+    if (entityType) whereClause.entityType = entityType;
+    if (entityId) whereClause.entityId = entityId;
+    if (userId) whereClause.actorId = userId;
+    if (action) whereClause.action = action;
+
+    if (startDate || endDate) {
+      const start = startDate ? new Date(startDate) : null;
+      const end = endDate ? new Date(endDate) : null;
+
+      if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+        return res.status(400).json({ error: 'Invalid Date Range', message: 'startDate and endDate must be valid dates' });
+      }
+
+      whereClause.createdAt = {};
+      if (start) whereClause.createdAt.gte = start;
+      if (end) whereClause.createdAt.lte = end;
+    }
+
+    const entries = await prisma.auditLog.findMany({
+      where: whereClause,
+      include: {
+        actor: { select: { id: true, name: true, email: true, role: true } }
+      },
+      orderBy: { createdAt: 'desc' },
+      skip: parseInt(skip),
+      take: parseInt(limit)
+    });
+
+    const total = await prisma.auditLog.count({ where: whereClause });
+
+    res.json({
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to retrieve audit log', message: 'An error occurred while fetching the audit log' });
+  }
+});
+
+module.exports = router;
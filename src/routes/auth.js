@@ -6,6 +6,7 @@ const { PrismaClient } = require('@prisma/client');
 const { body, validationResult } = require('express-validator');
 const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/email');
 const { authenticateToken } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -65,23 +66,29 @@ router.post('/register', registerValidation, async (req, res) => {
     const verificationToken = uuidv4();
 
     // Create user
-    const user = await prisma.user.create({
-      data: {
-        email,
-        passwordHash,
-        name,
-        entityId,
-        verificationToken,
-        role: 'CLIENT' // Default role for new registrations
-      },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        role: true,
-        isVerified: true,
-        createdAt: true
-      }
+    const user = await prisma.$transaction(async (tx) => {
+      const created = await tx.user.create({
+        data: {
+          email,
+          passwordHash,
+          name,
+          entityId,
+          verificationToken,
+          role: 'CLIENT' // Default role for new registrations
+        },
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          role: true,
+          isVerified: true,
+          createdAt: true
+        }
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'USER', entityId: created.id, after: created });
+
+      return created;
     });
 
     // Send verification email
@@ -209,12 +216,16 @@ router.get('/verify/:token', async (req, res) => {
     }
 
     // Update user as verified
-    await prisma.user.update({
-      where: { id: user.id },
-      data: {
-        isVerified: true,
-        verificationToken: null
-      }
+    await prisma.$transaction(async (tx) => {
+      const updatedUser = await tx.user.update({
+        where: { id: user.id },
+        data: {
+          isVerified: true,
+          verificationToken: null
+        }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'USER', entityId: user.id, before: user, after: updatedUser });
     });
 
     res.json({
@@ -258,12 +269,16 @@ router.post('/forgot-password', resetPasswordValidation, async (req, res) => {
     const resetTokenExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
 
     // Update user with reset token
-    await prisma.user.update({
-      where: { id: user.id },
-      data: {
-        resetToken,
-        resetTokenExpiry
-      }
+    await prisma.$transaction(async (tx) => {
+      const updatedUser = await tx.user.update({
+        where: { id: user.id },
+        data: {
+          resetToken,
+          resetTokenExpiry
+        }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'USER', entityId: user.id, before: user, after: updatedUser });
     });
 
     // Send reset email
@@ -323,13 +338,17 @@ router.post('/reset-password', newPasswordValidation, async (req, res) => {
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
     // Update user password and clear reset token
-    await prisma.user.update({
-      where: { id: user.id },
-      data: {
-        passwordHash,
-        resetToken: null,
-        resetTokenExpiry: null
-      }
+    await prisma.$transaction(async (tx) => {
+      const updatedUser = await tx.user.update({
+        where: { id: user.id },
+        data: {
+          passwordHash,
+          resetToken: null,
+          resetTokenExpiry: null
+        }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'USER', entityId: user.id, before: user, after: updatedUser });
     });
 
     res.json({
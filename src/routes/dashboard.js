@@ -1,6 +1,8 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { phaseInclude, phaseOrder, buildGanttTasks } = require('../utils/phases');
+const { getReentryRestrictions } = require('../utils/interventions');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -136,6 +138,9 @@ router.get('/admin', authenticateToken, requireRole('ADMIN'), async (req, res) =
       }
     });
 
+    // Fields nobody may enter yet after a phytosanitary treatment
+    const reentryRestrictions = await getReentryRestrictions(prisma);
+
     res.json({
       overview: {
         pendingReservations,
@@ -144,6 +149,7 @@ router.get('/admin', authenticateToken, requireRole('ADMIN'), async (req, res) =
         serviceOrdersInProgress
       },
       fieldUtilization,
+      reentryRestrictions,
       recentProjects,
       statistics: {
         projectStatusDistribution: projectStatusStats,
@@ -236,10 +242,14 @@ router.get('/supervisor', authenticateToken, requireRole('SUPERVISOR'), async (r
       }
     });
 
+    // Fields nobody may enter yet after a phytosanitary treatment
+    const reentryRestrictions = await getReentryRestrictions(prisma);
+
     res.json({
       assignedProjects,
       projectStatistics: projectStats,
-      upcomingDeadlines
+      upcomingDeadlines,
+      reentryRestrictions
     });
   } catch (error) {
     console.error('Get supervisor dashboard error:', error);
@@ -341,9 +351,16 @@ router.get('/client', authenticateToken, requireRole('CLIENT'), async (req, res)
       }
     });
 
+    // Re-entry restrictions on the client's fields, without the treatments of other projects
+    const clientFieldIds = new Set(projects.map(project => project.field.id));
+    const reentryRestrictions = (await getReentryRestrictions(prisma))
+      .filter(restriction => clientFieldIds.has(restriction.field.id))
+      .map(({ field, reentryUntil }) => ({ field, reentryUntil }));
+
     res.json({
       reservations,
       projects,
+      reentryRestrictions,
       statistics: {
         reservationStatusDistribution: reservationStats,
         projectStatusDistribution: projectStats
@@ -448,7 +465,7 @@ router.get('/statistics', authenticateToken, async (req, res) => {
   }
 });
 
-// Get timeline data for projects
+// Get timeline data for projects, and Gantt tasks for projects with their phases and milestones
 router.get('/timeline', authenticateToken, async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
@@ -506,6 +523,10 @@ router.get('/timeline', authenticateToken, async (req, res) => {
             id: true,
             label: true
           }
+        },
+        phases: {
+          include: phaseInclude,
+          orderBy: phaseOrder
         }
       },
       orderBy: {
@@ -528,7 +549,8 @@ router.get('/timeline', authenticateToken, async (req, res) => {
     }));
 
     res.json({
-      timeline: timelineData
+      timeline: timelineData,
+      tasks: buildGanttTasks(projects)
     });
   } catch (error) {
     console.error('Get timeline error:', error);
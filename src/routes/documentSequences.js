@@ -0,0 +1,126 @@
+// src/routes/documentSequences.js
+// Numbering sequences of the generated documents (price offers, service orders, purchase orders)
+
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+const { DOCUMENT_TYPES, formatDocumentNumber, sequenceFormat } = require('../utils/numbering');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation schemas
+const updateSequenceValidation = [
+  body('prefix').optional().trim().matches(/^[A-Za-z0-9]{1,10}$/).withMessage('Prefix must be 1 to 10 letters or digits'),
+  body('padding').optional().isInt({ min: 1, max: 8 }).withMessage('Padding must be between 1 and 8 digits'),
+  body('lastNumber').optional().isInt({ min: 0 }).withMessage('Last number must be a non-negative integer')
+];
+
+// Sequence with the last and next numbers it produces
+const withNumbers = (sequence) => ({
+  ...sequence,
+  lastDocumentNumber: sequence.lastNumber > 0 ? formatDocumentNumber(sequence, sequence.lastNumber) : null,
+  nextDocumentNumber: formatDocumentNumber(sequence, sequence.lastNumber + 1)
+});
+
+// Get numbering sequences (Admin only)
+router.get('/', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const { documentType, year } = req.query;
+
+    let whereClause = {};
+    if (documentType) whereClause.documentType = documentType;
+    if (year) whereClause.year = parseInt(year);
+
+    const sequences = await prisma.documentSequence.findMany({
+      where: whereClause,
+      orderBy: [{ year: 'desc' }, { documentType: 'asc' }]
+    });
+
+    res.json({
+      sequences: sequences.map(withNumbers),
+      defaults: DOCUMENT_TYPES
+    });
+  } catch (error) {
+    console.error('Get document sequences error:', error);
+    res.status(500).json({ error: 'Failed to retrieve document sequences', message: 'An error occurred while fetching document sequences' });
+  }
+});
+
+// Configure the sequence of a document type for a year (Admin only).
+// The format can only change before the first number of the year is assigned, and the
+// sequence can only move forward, e.g. to continue a paper register.
+router.put('/:documentType/:year', authenticateToken, requireRole('ADMIN'), updateSequenceValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { documentType } = req.params;
+    const year = parseInt(req.params.year);
+    const { prefix, padding, lastNumber } = req.body;
+
+    if (!DOCUMENT_TYPES[documentType]) {
+      return res.status(400).json({
+        error: 'Invalid Document Type',
+        message: `Document type must be one of ${Object.keys(DOCUMENT_TYPES).join(', ')}`
+      });
+    }
+    if (isNaN(year) || year < 2000 || year > 2100) {
+      return res.status(400).json({ error: 'Invalid Year', message: 'Year must be between 2000 and 2100' });
+    }
+
+    const existingSequence = await prisma.documentSequence.findUnique({
+      where: { documentType_year: { documentType, year } }
+    });
+    const currentNumber = existingSequence ? existingSequence.lastNumber : 0;
+
+    if ((prefix !== undefined || padding !== undefined) && currentNumber > 0) {
+      return res.status(400).json({
+        error: 'Sequence In Use',
+        message: 'The number format cannot change once numbers were assigned for this year'
+      });
+    }
+    if (lastNumber !== undefined && parseInt(lastNumber) < currentNumber) {
+      return res.status(400).json({
+        error: 'Invalid Last Number',
+        message: `Numbers up to ${currentNumber} were already assigned for this year`
+      });
+    }
+
+    const format = existingSequence || await sequenceFormat(prisma, documentType, year);
+    const data = {
+      prefix: prefix !== undefined ? prefix : format.prefix,
+      padding: padding !== undefined ? parseInt(padding) : format.padding,
+      lastNumber: lastNumber !== undefined ? parseInt(lastNumber) : currentNumber
+    };
+
+    const sequence = await prisma.$transaction(async (tx) => {
+      const saved = await tx.documentSequence.upsert({
+        where: { documentType_year: { documentType, year } },
+        create: { documentType, year, ...data },
+        update: data
+      });
+
+      await logAudit(tx, req, {
+        action: existingSequence ? 'UPDATE' : 'CREATE',
+        entityType: 'DOCUMENT_SEQUENCE',
+        entityId: `${documentType}-${year}`,
+        before: existingSequence,
+        after: saved
+      });
+
+      return saved;
+    });
+
+    res.json({ message: 'Document sequence updated successfully', sequence: withNumbers(sequence) });
+  } catch (error) {
+    console.error('Update document sequence error:', error);
+    res.status(500).json({ error: 'Failed to update document sequence', message: 'An error occurred while updating the document sequence' });
+  }
+});
+
+module.exports = router;
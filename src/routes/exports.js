@@ -1,8 +1,10 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { ACTIVE_PROJECT_STATUSES } = require('../utils/occupancy');
+const { toFeature } = require('../utils/geojson');
 const { createObjectCsvWriter } = require('csv-writer');
-const PDFDocument = require('pdfkit');
+const { reportForm, renderDocument } = require('../utils/pdfTemplate');
 const fs = require('fs');
 const path = require('path');
 
@@ -20,33 +22,64 @@ const generateCSV = async (data, headers, filename) => {
   return filename;
 };
 
-// Helper function to generate PDF
-const generatePDF = (data, title, filename) => {
-  return new Promise((resolve, reject) => {
-    const doc = new PDFDocument();
-    const stream = fs.createWriteStream(filename);
-    
-    doc.pipe(stream);
-    
-    // Add title
-    doc.fontSize(18).text(title, { align: 'center' });
-    doc.moveDown();
-    
-    // Add data
-    if (Array.isArray(data)) {
-      data.forEach((item, index) => {
-        doc.fontSize(12).text(`${index + 1}. ${JSON.stringify(item)}`);
-        doc.moveDown(0.5);
-      });
-    } else {
-      doc.fontSize(12).text(JSON.stringify(data, null, 2));
-    }
-    
-    doc.end();
-    
-    stream.on('finish', () => resolve(filename));
-    stream.on('error', reject);
+// Helper function to generate PDF: the same rows and columns as the CSV, as a paginated table
+const generatePDF = async (rows, headers, title, filename) => {
+  const columns = headers.map(header => ({ label: header.title, value: row => row[header.id] }));
+
+  const pdfBuffer = await renderDocument(reportForm(title), (doc, { table }) => {
+    table(columns, rows, { fontSize: 7 });
+  }, { layout: 'landscape' });
+
+  await fs.promises.writeFile(filename, pdfBuffer);
+  return filename;
+};
+
+// Helper function to build a GeoJSON FeatureCollection of fields and their parcels.
+// Properties are kept flat so GIS tools (QGIS) can show them as attribute columns.
+const buildFieldsFeatureCollection = (fields) => {
+  const now = new Date();
+  const isCurrent = (project) => project.startDate <= now && (!project.endDate || project.endDate >= now);
+  const features = [];
+
+  fields.forEach(field => {
+    const activeProjects = field.projects.filter(project => ACTIVE_PROJECT_STATUSES.includes(project.status));
+
+    features.push(toFeature(field.geometry, {
+      kind: 'field',
+      id: field.id,
+      name: field.name,
+      location: field.location,
+      status: field.status,
+      totalSurfaceM2: field.totalSurfaceM2,
+      freeSurfaceM2: field.freeSurfaceM2,
+      activeProjectCount: activeProjects.length,
+      activeProjects: activeProjects.map(project => project.title).join('; '),
+      notes: field.notes || ''
+    }));
+
+    field.parcels.forEach(parcel => {
+      const project = parcel.projects.find(isCurrent);
+
+      features.push(toFeature(parcel.geometry, {
+        kind: 'parcel',
+        id: parcel.id,
+        code: parcel.code,
+        fieldId: field.id,
+        field: field.name,
+        surfaceM2: parcel.surfaceM2,
+        status: project ? 'OCCUPIED' : 'FREE',
+        projectId: project ? project.id : null,
+        project: project ? project.title : '',
+        projectStatus: project ? project.status : '',
+        client: project ? project.client.name : ''
+      }));
+    });
   });
+
+  return {
+    type: 'FeatureCollection',
+    features
+  };
 };
 
 // Export fields data
@@ -61,39 +94,54 @@ router.get('/fields', authenticateToken, requireRole(['ADMIN']), async (req, res
             client: { select: { name: true, email: true } },
             supervisor: { select: { name: true, email: true } }
           }
+        },
+        parcels: {
+          include: {
+            projects: {
+              where: { status: { in: ACTIVE_PROJECT_STATUSES } },
+              include: { client: { select: { name: true } } }
+            }
+          },
+          orderBy: { code: 'asc' }
         }
       }
     });
 
+    if (format === 'geojson') {
+      res.setHeader('Content-Type', 'application/geo+json');
+      res.setHeader('Content-Disposition', `attachment; filename="fields_export_${Date.now()}.geojson"`);
+      return res.send(JSON.stringify(buildFieldsFeatureCollection(fields)));
+    }
+
     const filename = `fields_export_${Date.now()}.${format}`;
     const filepath = path.join(process.env.UPLOAD_PATH || './uploads', filename);
 
-    if (format === 'csv') {
-      const headers = [
-        { id: 'id', title: 'ID' },
-        { id: 'name', title: 'Name' },
-        { id: 'location', title: 'Location' },
-        { id: 'totalSurfaceM2', title: 'Total Surface (m²)' },
-        { id: 'freeSurfaceM2', title: 'Free Surface (m²)' },
-        { id: 'status', title: 'Status' },
-        { id: 'notes', title: 'Notes' },
-        { id: 'createdAt', title: 'Created At' }
-      ];
-
-      const csvData = fields.map(field => ({
-        id: field.id,
-        name: field.name,
-        location: field.location,
-        totalSurfaceM2: field.totalSurfaceM2,
-        freeSurfaceM2: field.freeSurfaceM2,
-        status: field.status,
-        notes: field.notes || '',
-        createdAt: field.createdAt.toISOString()
-      }));
+    const headers = [
+      { id: 'id', title: 'ID' },
+      { id: 'name', title: 'Name' },
+      { id: 'location', title: 'Location' },
+      { id: 'totalSurfaceM2', title: 'Total Surface (m²)' },
+      { id: 'freeSurfaceM2', title: 'Free Surface (m²)' },
+      { id: 'status', title: 'Status' },
+      { id: 'notes', title: 'Notes' },
+      { id: 'createdAt', title: 'Created At' }
+    ];
+
+    const rows = fields.map(field => ({
+      id: field.id,
+      name: field.name,
+      location: field.location,
+      totalSurfaceM2: field.totalSurfaceM2,
+      freeSurfaceM2: field.freeSurfaceM2,
+      status: field.status,
+      notes: field.notes || '',
+      createdAt: field.createdAt.toISOString()
+    }));
 
-      await generateCSV(csvData, headers, filepath);
+    if (format === 'csv') {
+      await generateCSV(rows, headers, filepath);
     } else if (format === 'pdf') {
-      await generatePDF(fields, 'Fields Export', filepath);
+      await generatePDF(rows, headers, 'Fields Export', filepath);
     }
 
     res.download(filepath, filename, (err) => {
@@ -144,38 +192,38 @@ router.get('/projects', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']),
     const filename = `projects_export_${Date.now()}.${format}`;
     const filepath = path.join(process.env.UPLOAD_PATH || './uploads', filename);
 
-    if (format === 'csv') {
-      const headers = [
-        { id: 'id', title: 'ID' },
-        { id: 'title', title: 'Title' },
-        { id: 'fieldName', title: 'Field' },
-        { id: 'clientName', title: 'Client' },
-        { id: 'supervisorName', title: 'Supervisor' },
-        { id: 'activityType', title: 'Activity Type' },
-        { id: 'surfaceM2', title: 'Surface (m²)' },
-        { id: 'startDate', title: 'Start Date' },
-        { id: 'endDate', title: 'End Date' },
-        { id: 'status', title: 'Status' },
-        { id: 'progressNotes', title: 'Progress Notes' }
-      ];
-
-      const csvData = projects.map(project => ({
-        id: project.id,
-        title: project.title,
-        fieldName: project.field.name,
-        clientName: project.client.name,
-        supervisorName: project.supervisor.name,
-        activityType: project.activityType?.label || '',
-        surfaceM2: project.surfaceM2,
-        startDate: project.startDate.toISOString(),
-        endDate: project.endDate?.toISOString() || '',
-        status: project.status,
-        progressNotes: project.progressNotes || ''
-      }));
+    const headers = [
+      { id: 'id', title: 'ID' },
+      { id: 'title', title: 'Title' },
+      { id: 'fieldName', title: 'Field' },
+      { id: 'clientName', title: 'Client' },
+      { id: 'supervisorName', title: 'Supervisor' },
+      { id: 'activityType', title: 'Activity Type' },
+      { id: 'surfaceM2', title: 'Surface (m²)' },
+      { id: 'startDate', title: 'Start Date' },
+      { id: 'endDate', title: 'End Date' },
+      { id: 'status', title: 'Status' },
+      { id: 'progressNotes', title: 'Progress Notes' }
+    ];
+
+    const rows = projects.map(project => ({
+      id: project.id,
+      title: project.title,
+      fieldName: project.field.name,
+      clientName: project.client.name,
+      supervisorName: project.supervisor.name,
+      activityType: project.activityType?.label || '',
+      surfaceM2: project.surfaceM2,
+      startDate: project.startDate.toISOString(),
+      endDate: project.endDate?.toISOString() || '',
+      status: project.status,
+      progressNotes: project.progressNotes || ''
+    }));
 
-      await generateCSV(csvData, headers, filepath);
+    if (format === 'csv') {
+      await generateCSV(rows, headers, filepath);
     } else if (format === 'pdf') {
-      await generatePDF(projects, 'Projects Export', filepath);
+      await generatePDF(rows, headers, 'Projects Export', filepath);
     }
 
     res.download(filepath, filename, (err) => {
@@ -206,36 +254,36 @@ router.get('/inventory', authenticateToken, requireRole(['ADMIN']), async (req,
     const filename = `inventory_export_${Date.now()}.${format}`;
     const filepath = path.join(process.env.UPLOAD_PATH || './uploads', filename);
 
-    if (format === 'csv') {
-      const headers = [
-        { id: 'id', title: 'ID' },
-        { id: 'owner', title: 'Owner' },
-        { id: 'family', title: 'Family' },
-        { id: 'subFamily', title: 'Sub Family' },
-        { id: 'designation', title: 'Designation' },
-        { id: 'stockQty', title: 'Stock Quantity' },
-        { id: 'unit', title: 'Unit' },
-        { id: 'condition', title: 'Condition' },
-        { id: 'location', title: 'Location' },
-        { id: 'lastChecked', title: 'Last Checked' }
-      ];
-
-      const csvData = inventory.map(item => ({
-        id: item.id,
-        owner: item.owner,
-        family: item.family,
-        subFamily: item.subFamily || '',
-        designation: item.designation,
-        stockQty: item.stockQty,
-        unit: item.unit,
-        condition: item.condition,
-        location: item.location,
-        lastChecked: item.lastChecked.toISOString()
-      }));
+    const headers = [
+      { id: 'id', title: 'ID' },
+      { id: 'owner', title: 'Owner' },
+      { id: 'family', title: 'Family' },
+      { id: 'subFamily', title: 'Sub Family' },
+      { id: 'designation', title: 'Designation' },
+      { id: 'stockQty', title: 'Stock Quantity' },
+      { id: 'unit', title: 'Unit' },
+      { id: 'condition', title: 'Condition' },
+      { id: 'location', title: 'Location' },
+      { id: 'lastChecked', title: 'Last Checked' }
+    ];
+
+    const rows = inventory.map(item => ({
+      id: item.id,
+      owner: item.owner,
+      family: item.family,
+      subFamily: item.subFamily || '',
+      designation: item.designation,
+      stockQty: item.stockQty,
+      unit: item.unit,
+      condition: item.condition,
+      location: item.location,
+      lastChecked: item.lastChecked.toISOString()
+    }));
 
-      await generateCSV(csvData, headers, filepath);
+    if (format === 'csv') {
+      await generateCSV(rows, headers, filepath);
     } else if (format === 'pdf') {
-      await generatePDF(inventory, 'Inventory Export', filepath);
+      await generatePDF(rows, headers, 'Inventory Export', filepath);
     }
 
     res.download(filepath, filename, (err) => {
@@ -277,36 +325,36 @@ router.get('/reservations', authenticateToken, requireRole(['ADMIN']), async (re
     const filename = `reservations_export_${Date.now()}.${format}`;
     const filepath = path.join(process.env.UPLOAD_PATH || './uploads', filename);
 
-    if (format === 'csv') {
-      const headers = [
-        { id: 'id', title: 'ID' },
-        { id: 'clientName', title: 'Client' },
-        { id: 'fieldName', title: 'Field' },
-        { id: 'surfaceM2Requested', title: 'Surface Requested (m²)' },
-        { id: 'startRequested', title: 'Start Date Requested' },
-        { id: 'endRequested', title: 'End Date Requested' },
-        { id: 'status', title: 'Status' },
-        { id: 'supervisorName', title: 'Supervisor' },
-        { id: 'decisionDate', title: 'Decision Date' },
-        { id: 'createdAt', title: 'Created At' }
-      ];
-
-      const csvData = reservations.map(reservation => ({
-        id: reservation.id,
-        clientName: reservation.client.name,
-        fieldName: reservation.field.name,
-        surfaceM2Requested: reservation.surfaceM2Requested,
-        startRequested: reservation.startRequested.toISOString(),
-        endRequested: reservation.endRequested.toISOString(),
-        status: reservation.status,
-        supervisorName: reservation.supervisor?.name || '',
-        decisionDate: reservation.decisionDate?.toISOString() || '',
-        createdAt: reservation.createdAt.toISOString()
-      }));
+    const headers = [
+      { id: 'id', title: 'ID' },
+      { id: 'clientName', title: 'Client' },
+      { id: 'fieldName', title: 'Field' },
+      { id: 'surfaceM2Requested', title: 'Surface Requested (m²)' },
+      { id: 'startRequested', title: 'Start Date Requested' },
+      { id: 'endRequested', title: 'End Date Requested' },
+      { id: 'status', title: 'Status' },
+      { id: 'supervisorName', title: 'Supervisor' },
+      { id: 'decisionDate', title: 'Decision Date' },
+      { id: 'createdAt', title: 'Created At' }
+    ];
+
+    const rows = reservations.map(reservation => ({
+      id: reservation.id,
+      clientName: reservation.client.name,
+      fieldName: reservation.field.name,
+      surfaceM2Requested: reservation.surfaceM2Requested,
+      startRequested: reservation.startRequested.toISOString(),
+      endRequested: reservation.endRequested.toISOString(),
+      status: reservation.status,
+      supervisorName: reservation.supervisor?.name || '',
+      decisionDate: reservation.decisionDate?.toISOString() || '',
+      createdAt: reservation.createdAt.toISOString()
+    }));
 
-      await generateCSV(csvData, headers, filepath);
+    if (format === 'csv') {
+      await generateCSV(rows, headers, filepath);
     } else if (format === 'pdf') {
-      await generatePDF(reservations, 'Reservations Export', filepath);
+      await generatePDF(rows, headers, 'Reservations Export', filepath);
     }
 
     res.download(filepath, filename, (err) => {
@@ -341,30 +389,30 @@ router.get('/users', authenticateToken, requireRole(['ADMIN']), async (req, res)
     const filename = `users_export_${Date.now()}.${format}`;
     const filepath = path.join(process.env.UPLOAD_PATH || './uploads', filename);
 
-    if (format === 'csv') {
-      const headers = [
-        { id: 'id', title: 'ID' },
-        { id: 'name', title: 'Name' },
-        { id: 'email', title: 'Email' },
-        { id: 'role', title: 'Role' },
-        { id: 'entityName', title: 'Entity' },
-        { id: 'isVerified', title: 'Verified' },
-        { id: 'createdAt', title: 'Created At' }
-      ];
-
-      const csvData = users.map(user => ({
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        entityName: user.entity?.name || '',
-        isVerified: user.isVerified,
-        createdAt: user.createdAt.toISOString()
-      }));
+    const headers = [
+      { id: 'id', title: 'ID' },
+      { id: 'name', title: 'Name' },
+      { id: 'email', title: 'Email' },
+      { id: 'role', title: 'Role' },
+      { id: 'entityName', title: 'Entity' },
+      { id: 'isVerified', title: 'Verified' },
+      { id: 'createdAt', title: 'Created At' }
+    ];
+
+    const rows = users.map(user => ({
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      entityName: user.entity?.name || '',
+      isVerified: user.isVerified,
+      createdAt: user.createdAt.toISOString()
+    }));
 
-      await generateCSV(csvData, headers, filepath);
+    if (format === 'csv') {
+      await generateCSV(rows, headers, filepath);
     } else if (format === 'pdf') {
-      await generatePDF(users, 'Users Export', filepath);
+      await generatePDF(rows, headers, 'Users Export', filepath);
     }
 
     res.download(filepath, filename, (err) => {
@@ -415,28 +463,105 @@ router.get('/comprehensive-report', authenticateToken, requireRole(['ADMIN']), a
       })
     ]);
 
-    const report = {
-      summary: {
-        totalFields: fields.length,
-        totalProjects: projects.length,
-        totalReservations: reservations.length,
-        totalInventoryItems: inventory.length,
-        totalUsers: users.length,
-        activeFields: fields.filter(f => f.status === 'ACTIVE').length,
-        completedProjects: projects.filter(p => p.status === 'FINALISE').length,
-        pendingReservations: reservations.filter(r => r.status === 'PENDING').length
+    const summary = [
+      ['Total fields', fields.length],
+      ['Active fields', fields.filter(f => f.status === 'ACTIVE').length],
+      ['Total projects', projects.length],
+      ['Completed projects', projects.filter(p => p.status === 'FINALISE').length],
+      ['Total reservations', reservations.length],
+      ['Pending reservations', reservations.filter(r => r.status === 'PENDING').length],
+      ['Total inventory items', inventory.length],
+      ['Total users', users.length]
+    ];
+
+    const formatDate = (date) => (date ? date.toISOString().slice(0, 10) : '');
+    const sections = [
+      {
+        title: 'Fields',
+        rows: fields,
+        columns: [
+          { label: 'Name', value: field => field.name },
+          { label: 'Location', value: field => field.location },
+          { label: 'Total Surface (m²)', value: field => field.totalSurfaceM2, align: 'right' },
+          { label: 'Free Surface (m²)', value: field => field.freeSurfaceM2, align: 'right' },
+          { label: 'Status', value: field => field.status }
+        ]
+      },
+      {
+        title: 'Projects',
+        rows: projects,
+        columns: [
+          { label: 'Title', width: 2, value: project => project.title },
+          { label: 'Field', value: project => project.field.name },
+          { label: 'Client', value: project => project.client.name },
+          { label: 'Supervisor', value: project => project.supervisor.name },
+          { label: 'Surface (m²)', value: project => project.surfaceM2, align: 'right' },
+          { label: 'Start Date', value: project => formatDate(project.startDate) },
+          { label: 'End Date', value: project => formatDate(project.endDate) },
+          { label: 'Status', value: project => project.status }
+        ]
+      },
+      {
+        title: 'Reservations',
+        rows: reservations,
+        columns: [
+          { label: 'Client', value: reservation => reservation.client.name },
+          { label: 'Field', value: reservation => reservation.field.name },
+          { label: 'Surface Requested (m²)', value: reservation => reservation.surfaceM2Requested, align: 'right' },
+          { label: 'Start Date', value: reservation => formatDate(reservation.startRequested) },
+          { label: 'End Date', value: reservation => formatDate(reservation.endRequested) },
+          { label: 'Status', value: reservation => reservation.status }
+        ]
+      },
+      {
+        title: 'Inventory',
+        rows: inventory,
+        columns: [
+          { label: 'Family', value: item => item.family },
+          { label: 'Designation', width: 2, value: item => item.designation },
+          { label: 'Stock Quantity', value: item => item.stockQty, align: 'right' },
+          { label: 'Unit', value: item => item.unit },
+          { label: 'Condition', value: item => item.condition },
+          { label: 'Location', value: item => item.location }
+        ]
       },
-      fields,
-      projects,
-      reservations,
-      inventory,
-      users
-    };
+      {
+        title: 'Users',
+        rows: users,
+        columns: [
+          { label: 'Name', value: user => user.name },
+          { label: 'Email', width: 2, value: user => user.email },
+          { label: 'Role', value: user => user.role },
+          { label: 'Entity', value: user => user.entity?.name }
+        ]
+      }
+    ];
 
     const filename = `comprehensive_report_${Date.now()}.pdf`;
     const filepath = path.join(process.env.UPLOAD_PATH || './uploads', filename);
 
-    await generatePDF(report, 'Comprehensive Farm Management Report', filepath);
+    const pdfBuffer = await renderDocument(reportForm('Comprehensive Farm Management Report'), (doc, { left, bottom, table }) => {
+      doc.font('Helvetica-Bold').fontSize(12).text('Summary', left, doc.y);
+      doc.moveDown(0.5);
+      table([
+        { label: 'Indicator', width: 3, value: ([label]) => label },
+        { label: 'Value', value: ([, value]) => value, align: 'right' }
+      ], summary, { fontSize: 9 });
+
+      sections.forEach(section => {
+        // Keep the section title with the start of its table
+        if (doc.y + 80 > bottom) {
+          doc.addPage();
+        } else {
+          doc.moveDown(1.5);
+        }
+        doc.font('Helvetica-Bold').fontSize(12).text(`${section.title} (${section.rows.length})`, left, doc.y);
+        doc.moveDown(0.5);
+        table(section.columns, section.rows, { fontSize: 7 });
+      });
+    }, { layout: 'landscape' });
+
+    await fs.promises.writeFile(filepath, pdfBuffer);
 
     res.download(filepath, filename, (err) => {
       if (err) {
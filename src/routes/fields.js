@@ -2,6 +2,10 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { parseWindow, getFieldAvailability, getParcelSurface, syncFreeSurface } = require('../utils/occupancy');
+const { promoteWaitlist } = require('../utils/waitlist');
+const { logAudit } = require('../utils/audit');
+const { isPolygonGeometry, computeGeometryArea } = require('../utils/geojson');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -11,14 +15,16 @@ const createFieldValidation = [
   body('name').trim().isLength({ min: 2 }).withMessage('Field name must be at least 2 characters'),
   body('location').trim().isLength({ min: 2 }).withMessage('Location must be at least 2 characters'),
   body('totalSurfaceM2').isFloat({ min: 0.1 }).withMessage('Total surface area must be greater than 0'),
-  body('status').optional().isIn(['ACTIVE', 'INACTIVE']).withMessage('Status must be ACTIVE or INACTIVE')
+  body('status').optional().isIn(['ACTIVE', 'INACTIVE']).withMessage('Status must be ACTIVE or INACTIVE'),
+  body('geometry').optional({ nullable: true }).custom(isPolygonGeometry).withMessage('Geometry must be a GeoJSON Polygon or MultiPolygon')
 ];
 
 const updateFieldValidation = [
   body('name').optional().trim().isLength({ min: 2 }).withMessage('Field name must be at least 2 characters'),
   body('location').optional().trim().isLength({ min: 2 }).withMessage('Location must be at least 2 characters'),
   body('totalSurfaceM2').optional().isFloat({ min: 0.1 }).withMessage('Total surface area must be greater than 0'),
-  body('status').optional().isIn(['ACTIVE', 'INACTIVE']).withMessage('Status must be ACTIVE or INACTIVE')
+  body('status').optional().isIn(['ACTIVE', 'INACTIVE']).withMessage('Status must be ACTIVE or INACTIVE'),
+  body('geometry').optional({ nullable: true }).custom(isPolygonGeometry).withMessage('Geometry must be a GeoJSON Polygon or MultiPolygon')
 ];
 
 // Get all fields
@@ -214,6 +220,36 @@ router.get('/:id', authenticateToken, async (req, res) => {
           orderBy: {
             createdAt: 'desc'
           }
+        },
+        parcels: {
+          include: {
+            projects: {
+              where: {
+                status: {
+                  in: ['EN_COURS', 'PROGRAMME', 'A_LANCER']
+                }
+              },
+              select: {
+                id: true,
+                title: true,
+                status: true,
+                startDate: true,
+                endDate: true,
+                client: {
+                  select: {
+                    id: true,
+                    name: true
+                  }
+                }
+              },
+              orderBy: {
+                startDate: 'asc'
+              }
+            }
+          },
+          orderBy: {
+            code: 'asc'
+          }
         }
       }
     });
@@ -225,6 +261,14 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    // Parcel layout with the project occupying each parcel today (if any)
+    const now = new Date();
+    const parcels = field.parcels.map(({ projects, ...parcel }) => ({
+      ...parcel,
+      occupiedBy: projects.find(project => project.startDate <= now && (!project.endDate || project.endDate >= now)) || null,
+      upcomingProjects: projects.filter(project => project.startDate > now)
+    }));
+
     // Calculate utilization
     const usedSurface = field.projects
       .filter(project => ['EN_COURS', 'PROGRAMME', 'A_LANCER'].includes(project.status))
@@ -235,6 +279,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     res.json({
       field: {
         ...field,
+        parcels,
         utilizationPercentage: Math.round(utilizationPercentage * 100) / 100,
         usedSurfaceM2: usedSurface
       }
@@ -248,6 +293,55 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Get field availability for a date window
+router.get('/:id/availability', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { startDate, endDate } = req.query;
+
+    const window = parseWindow(startDate, endDate);
+    if (!window) {
+      return res.status(400).json({
+        error: 'Invalid Date Range',
+        message: 'startDate and endDate must be valid dates with endDate after startDate'
+      });
+    }
+
+    const field = await prisma.field.findUnique({
+      where: { id },
+      select: { id: true, name: true, totalSurfaceM2: true, status: true }
+    });
+
+    if (!field) {
+      return res.status(404).json({
+        error: 'Field Not Found',
+        message: 'The requested field was not found'
+      });
+    }
+
+    const availability = await getFieldAvailability(prisma, field, window.start, window.end);
+
+    // Clients only see how much surface is taken, not who holds it
+    if (req.user.role === 'CLIENT') {
+      availability.occupants = availability.occupants.filter(occupant => occupant.clientId === req.user.id);
+    }
+
+    res.json({
+      availability: {
+        ...availability,
+        fieldName: field.name,
+        fieldStatus: field.status
+      }
+    });
+  } catch (error) {
+    console.error('Get field availability error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve field availability',
+      message: 'An error occurred while computing field availability'
+    });
+  }
+});
+
 // Create new field
 router.post('/', authenticateToken, requireRole('ADMIN'), createFieldValidation, async (req, res) => {
   try {
@@ -259,7 +353,7 @@ router.post('/', authenticateToken, requireRole('ADMIN'), createFieldValidation,
       });
     }
 
-    const { name, location, totalSurfaceM2, status = 'ACTIVE', notes } = req.body;
+    const { name, location, totalSurfaceM2, status = 'ACTIVE', notes, geometry } = req.body;
 
     // Check if field with same name already exists
     const existingField = await prisma.field.findFirst({
@@ -278,15 +372,22 @@ router.post('/', authenticateToken, requireRole('ADMIN'), createFieldValidation,
       });
     }
 
-    const field = await prisma.field.create({
-      data: {
-        name,
-        location,
-        totalSurfaceM2,
-        freeSurfaceM2: totalSurfaceM2, // Initially, all surface is free
-        status,
-        notes
-      }
+    const field = await prisma.$transaction(async (tx) => {
+      const created = await tx.field.create({
+        data: {
+          name,
+          location,
+          totalSurfaceM2,
+          freeSurfaceM2: totalSurfaceM2, // Initially, all surface is free
+          status,
+          notes,
+          geometry
+        }
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'FIELD', entityId: created.id, after: created });
+
+      return created;
     });
 
     res.status(201).json({
@@ -302,6 +403,198 @@ router.post('/', authenticateToken, requireRole('ADMIN'), createFieldValidation,
   }
 });
 
+// Import fields and parcels from a GeoJSON FeatureCollection.
+// Features with a `parcelCode` property are parcels of the field named in `field`,
+// other features are fields matched by `name`. Surfaces are computed from the polygons;
+// features that would leave parcels larger than their field are skipped.
+router.post('/import/geojson', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const collection = req.body;
+
+    if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+      return res.status(400).json({
+        error: 'Invalid GeoJSON',
+        message: 'Body must be a GeoJSON FeatureCollection'
+      });
+    }
+
+    const summary = {
+      fieldsCreated: 0,
+      fieldsUpdated: 0,
+      parcelsCreated: 0,
+      parcelsUpdated: 0,
+      skipped: []
+    };
+
+    const features = [];
+    collection.features.forEach((feature, index) => {
+      if (feature === null || typeof feature !== 'object' || Array.isArray(feature)) {
+        summary.skipped.push({ index, reason: 'Feature must be an object' });
+      } else {
+        features.push({ feature, index });
+      }
+    });
+    const isParcel = ({ feature }) => feature.properties && feature.properties.parcelCode !== undefined;
+
+    // Fields first so parcels can reference fields created by the same import
+    for (const { feature, index } of features.filter(item => !isParcel(item))) {
+      const properties = feature.properties || {};
+      const name = typeof properties.name === 'string' ? properties.name.trim() : '';
+
+      if (!name) {
+        summary.skipped.push({ index, reason: 'Missing name property' });
+        continue;
+      }
+      if (!isPolygonGeometry(feature.geometry)) {
+        summary.skipped.push({ index, name, reason: 'Geometry must be a Polygon or MultiPolygon' });
+        continue;
+      }
+
+      const totalSurfaceM2 = computeGeometryArea(feature.geometry);
+      const existingField = await prisma.field.findFirst({
+        where: { name: { equals: name, mode: 'insensitive' } }
+      });
+
+      if (existingField) {
+        const parcelSurfaceM2 = await getParcelSurface(prisma, existingField.id);
+        if (totalSurfaceM2 < parcelSurfaceM2) {
+          summary.skipped.push({
+            index,
+            name,
+            reason: `Computed surface (${totalSurfaceM2} m²) is less than the surface of its parcels (${parcelSurfaceM2} m²)`
+          });
+          continue;
+        }
+
+        const { usedSurfaceM2 } = await getFieldAvailability(prisma, existingField, new Date(), null);
+        if (totalSurfaceM2 < usedSurfaceM2) {
+          summary.skipped.push({
+            index,
+            name,
+            reason: `Computed surface (${totalSurfaceM2} m²) is less than currently used area (${usedSurfaceM2} m²)`
+          });
+          continue;
+        }
+
+        await prisma.$transaction(async (tx) => {
+          await tx.field.update({
+            where: { id: existingField.id },
+            data: {
+              geometry: feature.geometry,
+              totalSurfaceM2,
+              location: properties.location || undefined,
+              notes: properties.notes || undefined
+            }
+          });
+          const updatedField = await syncFreeSurface(tx, existingField.id);
+          await logAudit(tx, req, {
+            action: 'UPDATE',
+            entityType: 'FIELD',
+            entityId: existingField.id,
+            before: existingField,
+            after: updatedField
+          });
+        });
+        summary.fieldsUpdated++;
+      } else {
+        if (!properties.location) {
+          summary.skipped.push({ index, name, reason: 'Missing location property for new field' });
+          continue;
+        }
+
+        await prisma.$transaction(async (tx) => {
+          const created = await tx.field.create({
+            data: {
+              name,
+              location: properties.location,
+              totalSurfaceM2,
+              freeSurfaceM2: totalSurfaceM2,
+              status: properties.status === 'INACTIVE' ? 'INACTIVE' : 'ACTIVE',
+              notes: properties.notes,
+              geometry: feature.geometry
+            }
+          });
+
+          await logAudit(tx, req, { action: 'CREATE', entityType: 'FIELD', entityId: created.id, after: created });
+        });
+        summary.fieldsCreated++;
+      }
+    }
+
+    for (const { feature, index } of features.filter(isParcel)) {
+      const properties = feature.properties;
+      const code = String(properties.parcelCode).trim();
+
+      if (!code || !properties.field) {
+        summary.skipped.push({ index, reason: 'Parcels need parcelCode and field properties' });
+        continue;
+      }
+      if (!isPolygonGeometry(feature.geometry)) {
+        summary.skipped.push({ index, code, reason: 'Geometry must be a Polygon or MultiPolygon' });
+        continue;
+      }
+
+      const field = await prisma.field.findFirst({
+        where: { name: { equals: String(properties.field).trim(), mode: 'insensitive' } }
+      });
+
+      if (!field) {
+        summary.skipped.push({ index, code, reason: `Field "${properties.field}" not found` });
+        continue;
+      }
+
+      const surfaceM2 = computeGeometryArea(feature.geometry);
+      const existingParcel = await prisma.parcel.findUnique({
+        where: { fieldId_code: { fieldId: field.id, code } }
+      });
+
+      // Parcels of a field may not cover more than the field
+      const parcelSurfaceM2 = await getParcelSurface(prisma, field.id, existingParcel && existingParcel.id) + surfaceM2;
+      if (parcelSurfaceM2 > field.totalSurfaceM2) {
+        summary.skipped.push({
+          index,
+          code,
+          reason: `Parcels would cover ${parcelSurfaceM2} m², more than the field total surface (${field.totalSurfaceM2} m²)`
+        });
+        continue;
+      }
+
+      await prisma.$transaction(async (tx) => {
+        const saved = await tx.parcel.upsert({
+          where: { fieldId_code: { fieldId: field.id, code } },
+          create: { fieldId: field.id, code, surfaceM2, geometry: feature.geometry, notes: properties.notes },
+          update: { surfaceM2, geometry: feature.geometry, notes: properties.notes || undefined }
+        });
+
+        await logAudit(tx, req, {
+          action: existingParcel ? 'UPDATE' : 'CREATE',
+          entityType: 'PARCEL',
+          entityId: saved.id,
+          before: existingParcel,
+          after: saved
+        });
+      });
+
+      if (existingParcel) {
+        summary.parcelsUpdated++;
+      } else {
+        summary.parcelsCreated++;
+      }
+    }
+
+    res.json({
+      message: 'GeoJSON import completed',
+      summary
+    });
+  } catch (error) {
+    console.error('Import GeoJSON error:', error);
+    res.status(500).json({
+      error: 'Failed to import GeoJSON',
+      message: 'An error occurred while importing fields from GeoJSON'
+    });
+  }
+});
+
 // Update field
 router.put('/:id', authenticateToken, requireRole('ADMIN'), updateFieldValidation, async (req, res) => {
   try {
@@ -314,7 +607,7 @@ router.put('/:id', authenticateToken, requireRole('ADMIN'), updateFieldValidatio
     }
 
     const { id } = req.params;
-    const { name, location, totalSurfaceM2, status, notes } = req.body;
+    const { name, location, totalSurfaceM2, status, notes, geometry } = req.body;
 
     // Check if field exists
     const existingField = await prisma.field.findUnique({
@@ -345,13 +638,21 @@ router.put('/:id', authenticateToken, requireRole('ADMIN'), updateFieldValidatio
       });
     }
 
-    // Check if new total surface is sufficient for existing projects
+    // Check if new total surface is sufficient for parcels and for current and upcoming occupancy
     if (totalSurfaceM2) {
-      const usedSurface = existingField.projects.reduce((sum, project) => sum + project.surfaceM2, 0);
-      if (totalSurfaceM2 < usedSurface) {
+      const parcelSurfaceM2 = await getParcelSurface(prisma, id);
+      if (totalSurfaceM2 < parcelSurfaceM2) {
         return res.status(400).json({
           error: 'Insufficient Surface Area',
-          message: `New total surface area (${totalSurfaceM2} m²) is less than currently used area (${usedSurface} m²)`
+          message: `New total surface area (${totalSurfaceM2} m²) is less than the surface of its parcels (${parcelSurfaceM2} m²)`
+        });
+      }
+
+      const { usedSurfaceM2 } = await getFieldAvailability(prisma, existingField, new Date(), null);
+      if (totalSurfaceM2 < usedSurfaceM2) {
+        return res.status(400).json({
+          error: 'Insufficient Surface Area',
+          message: `New total surface area (${totalSurfaceM2} m²) is less than currently used area (${usedSurfaceM2} m²)`
         });
       }
     }
@@ -378,25 +679,34 @@ router.put('/:id', authenticateToken, requireRole('ADMIN'), updateFieldValidatio
       }
     }
 
-    // Calculate new free surface if total surface is being updated
-    let freeSurfaceM2 = existingField.freeSurfaceM2;
-    if (totalSurfaceM2 && totalSurfaceM2 !== existingField.totalSurfaceM2) {
-      const usedSurface = existingField.projects.reduce((sum, project) => sum + project.surfaceM2, 0);
-      freeSurfaceM2 = totalSurfaceM2 - usedSurface;
-    }
+    const updatedField = await prisma.$transaction(async (tx) => {
+      let updated = await tx.field.update({
+        where: { id },
+        data: {
+          name,
+          location,
+          totalSurfaceM2,
+          status,
+          notes,
+          geometry
+        }
+      });
 
-    const updatedField = await prisma.field.update({
-      where: { id },
-      data: {
-        name,
-        location,
-        totalSurfaceM2,
-        freeSurfaceM2,
-        status,
-        notes
+      // Recalculate free surface if total surface is being updated
+      if (totalSurfaceM2 && totalSurfaceM2 !== existingField.totalSurfaceM2) {
+        updated = await syncFreeSurface(tx, id);
       }
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'FIELD', entityId: id, before: existingField, after: updated });
+
+      return updated;
     });
 
+    // A larger or reopened field may now fit waitlisted requests
+    if (totalSurfaceM2 > existingField.totalSurfaceM2 || (status === 'ACTIVE' && existingField.status !== 'ACTIVE')) {
+      await promoteWaitlist(prisma, id);
+    }
+
     res.json({
       message: 'Field updated successfully',
       field: updatedField
@@ -455,8 +765,12 @@ router.delete('/:id', authenticateToken, requireRole('ADMIN'), async (req, res)
       });
     }
 
-    await prisma.field.delete({
-      where: { id }
+    await prisma.$transaction(async (tx) => {
+      await tx.field.delete({
+        where: { id }
+      });
+
+      await logAudit(tx, req, { action: 'DELETE', entityType: 'FIELD', entityId: id, before: field });
     });
 
     res.json({
@@ -0,0 +1,551 @@
+// src/routes/interventions.js
+// Intervention register per project and field; products applied are consumed from inventory
+
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+const { INSUFFICIENT_STOCK, recordStockMovement } = require('../utils/stock');
+const {
+  INTERVENTION_TYPES,
+  INTERVENTION_LABELS,
+  M2_PER_HA,
+  productQuantity,
+  checkInterventionInputs,
+  checkPhytosanitaryData,
+  phytosanitaryIntervals,
+  findPreHarvestConflicts,
+  getReentryRestrictions,
+  summarizeInputs
+} = require('../utils/interventions');
+const { generatePhytosanitaryRegisterPDF } = require('../utils/pdfGenerator');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation schemas
+const createInterventionValidation = [
+  body('type').isIn(INTERVENTION_TYPES).withMessage(`Type must be one of ${INTERVENTION_TYPES.join(', ')}`),
+  body('date').isISO8601().withMessage('Date must be a valid date'),
+  body('projectId').optional({ nullable: true }).isString().withMessage('Project ID must be a string'),
+  body('fieldId').optional({ nullable: true }).isString().withMessage('Field ID must be a string'),
+  body('operator').trim().isLength({ min: 2 }).withMessage('Operator must be at least 2 characters'),
+  body('surfaceHa').optional().isFloat({ gt: 0 }).withMessage('Surface must be greater than 0 ha'),
+  body('waterVolumeM3').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Water volume must be greater than 0 m³'),
+  body('equipment').optional().trim(),
+  body('notes').optional().trim(),
+  body('products').optional().isArray().withMessage('Products must be an array'),
+  body('products.*.itemId').isString().withMessage('Each product needs an inventory item ID'),
+  body('products.*.dosePerHa').isFloat({ gt: 0 }).withMessage('Each product needs a dose per hectare greater than 0'),
+  body('products.*.activeSubstance').optional().trim(),
+  body('products.*.preHarvestDays').optional().isInt({ min: 0 }).withMessage('Pre-harvest interval must be a number of days').toInt(),
+  body('products.*.reentryHours').optional().isInt({ min: 0 }).withMessage('Re-entry interval must be a number of hours').toInt(),
+  body('override').optional().isBoolean().withMessage('Override must be true or false')
+];
+
+const updateInterventionValidation = [
+  body('date').optional().isISO8601().withMessage('Date must be a valid date'),
+  body('operator').optional().trim().isLength({ min: 2 }).withMessage('Operator must be at least 2 characters'),
+  body('waterVolumeM3').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Water volume must be greater than 0 m³'),
+  body('equipment').optional().trim(),
+  body('notes').optional().trim(),
+  body('override').optional().isBoolean().withMessage('Override must be true or false')
+];
+
+const interventionInclude = {
+  project: { select: { id: true, title: true } },
+  field: { select: { id: true, name: true } },
+  recordedBy: { select: { id: true, name: true } },
+  products: {
+    include: { item: { select: { id: true, designation: true, family: true, unit: true } } }
+  }
+};
+
+// Filters shared by the register and the totals: period, project, field and type.
+// Clients only see the interventions on their own projects.
+// Returns { where } or { error, message }.
+const buildInterventionFilter = (req) => {
+  const { startDate, endDate, projectId, fieldId, type } = req.query;
+
+  let whereClause = {};
+  if (projectId) whereClause.projectId = projectId;
+  if (fieldId) whereClause.fieldId = fieldId;
+  if (type) {
+    if (!INTERVENTION_TYPES.includes(type)) {
+      return { error: 'Invalid Type', message: `Type must be one of ${INTERVENTION_TYPES.join(', ')}` };
+    }
+    whereClause.type = type;
+  }
+  if (req.user.role === 'CLIENT') whereClause.project = { clientId: req.user.id };
+
+  if (startDate || endDate) {
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : null;
+
+    if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+      return { error: 'Invalid Date Range', message: 'startDate and endDate must be valid dates' };
+    }
+
+    whereClause.date = {};
+    if (start) whereClause.date.gte = start;
+    if (end) whereClause.date.lte = end;
+  }
+
+  return { where: whereClause };
+};
+
+// Project and field of a new intervention. Supervisors record work on the projects they supervise;
+// the field defaults to the project's field. Returns { project, field } or { status, body }.
+const resolveLocation = async (req, projectId, fieldId) => {
+  let project = null;
+  if (projectId) {
+    project = await prisma.project.findUnique({ where: { id: projectId } });
+    if (!project) {
+      return { status: 400, body: { error: 'Invalid Project', message: 'The specified project was not found' } };
+    }
+    if (req.user.role === 'SUPERVISOR' && project.supervisorId !== req.user.id) {
+      return { status: 403, body: { error: 'Access Denied', message: 'You can only record interventions on projects you are supervising' } };
+    }
+    if (fieldId && fieldId !== project.fieldId) {
+      return { status: 400, body: { error: 'Invalid Field', message: 'The field must be the field of the project' } };
+    }
+  }
+
+  const targetFieldId = fieldId || (project && project.fieldId);
+  if (!targetFieldId) {
+    return { status: 400, body: { error: 'Invalid Field', message: 'A project or a field is required' } };
+  }
+
+  const field = await prisma.field.findUnique({ where: { id: targetFieldId } });
+  if (!field) {
+    return { status: 400, body: { error: 'Invalid Field', message: 'The specified field was not found' } };
+  }
+  return { project, field };
+};
+
+// Inventory items of the products, with the quantity for the treated surface. Crop protection
+// products also get their active substance and intervals, from the request or else from the item.
+// Returns { products: [{ item, dosePerHa, quantity, activeSubstance, preHarvestDays, reentryHours }] } or { error, message }.
+const resolveProducts = async (type, products, surfaceHa) => {
+  const itemIds = products.map(product => product.itemId);
+  if (new Set(itemIds).size !== itemIds.length) {
+    return { error: 'Invalid Products', message: 'Each inventory item can only be listed once' };
+  }
+
+  const items = await prisma.inventoryItem.findMany({ where: { id: { in: itemIds } } });
+  const byId = new Map(items.map(item => [item.id, item]));
+
+  const resolved = [];
+  for (const product of products) {
+    const item = byId.get(product.itemId);
+    if (!item) {
+      return { error: 'Invalid Products', message: `Inventory item ${product.itemId} was not found` };
+    }
+
+    const dosePerHa = parseFloat(product.dosePerHa);
+    const quantity = productQuantity(dosePerHa, surfaceHa);
+    if (quantity > item.stockQty) {
+      return {
+        error: 'Insufficient Stock',
+        message: `${item.designation}: ${quantity} ${item.unit} needed, only ${item.stockQty} ${item.unit} in stock`
+      };
+    }
+
+    const phytosanitary = type === 'CROP_PROTECTION';
+    resolved.push({
+      item,
+      dosePerHa,
+      quantity,
+      activeSubstance: phytosanitary ? product.activeSubstance || item.activeSubstance : null,
+      preHarvestDays: phytosanitary ? (product.preHarvestDays !== undefined ? product.preHarvestDays : item.preHarvestDays) : null,
+      reentryHours: phytosanitary ? (product.reentryHours !== undefined ? product.reentryHours : item.reentryHours) : null
+    });
+  }
+
+  if (type === 'CROP_PROTECTION') {
+    const phytosanitaryError = checkPhytosanitaryData(resolved);
+    if (phytosanitaryError) {
+      return { error: 'Invalid Products', message: phytosanitaryError };
+    }
+  }
+  return { products: resolved };
+};
+
+// Harvests inside a pre-harvest interval are refused; admins may record them anyway with override: true.
+// Returns { override, warnings } or { status, body }.
+const checkHarvest = async (req, { fieldId, projectId, date }) => {
+  const conflicts = await findPreHarvestConflicts(prisma, { fieldId, projectId, date });
+  if (conflicts.length === 0) {
+    return { override: false, warnings: [] };
+  }
+
+  const harvestAllowedFrom = conflicts[0].preHarvestUntil;
+  const message = `Pre-harvest interval of ${conflicts.length} treatment(s) runs until ${harvestAllowedFrom.toISOString().slice(0, 10)}`;
+  const override = req.body.override === true || req.body.override === 'true';
+  if (req.user.role !== 'ADMIN' || !override) {
+    return { status: 409, body: { error: 'Pre-Harvest Interval', message, harvestAllowedFrom, treatments: conflicts } };
+  }
+  return { override: true, warnings: [`${message}; harvest recorded by override`] };
+};
+
+// Work on a field still under a re-entry restriction is recorded with a warning
+const reentryWarnings = async (fieldId, date, excludeId) => {
+  const treatment = await prisma.intervention.findFirst({
+    where: {
+      fieldId,
+      type: 'CROP_PROTECTION',
+      date: { lte: date },
+      reentryUntil: { gt: date },
+      ...(excludeId ? { id: { not: excludeId } } : {})
+    },
+    orderBy: { reentryUntil: 'desc' }
+  });
+  return treatment ? [`The field is under a re-entry restriction until ${treatment.reentryUntil.toISOString()}`] : [];
+};
+
+// Get the intervention register, newest first; filter by startDate, endDate, projectId, fieldId and type
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = buildInterventionFilter(req);
+    if (filter.error) {
+      return res.status(400).json(filter);
+    }
+
+    const interventions = await prisma.intervention.findMany({
+      where: filter.where,
+      include: interventionInclude,
+      orderBy: [{ date: 'desc' }, { createdAt: 'desc' }],
+      skip: parseInt(skip),
+      take: parseInt(limit)
+    });
+
+    const total = await prisma.intervention.count({ where: filter.where });
+
+    res.json({
+      interventions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get interventions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve interventions', message: 'An error occurred while fetching interventions' });
+  }
+});
+
+// Total inputs per project and per field over a period (same filters as the register)
+router.get('/totals', authenticateToken, async (req, res) => {
+  try {
+    const filter = buildInterventionFilter(req);
+    if (filter.error) {
+      return res.status(400).json(filter);
+    }
+
+    const interventions = await prisma.intervention.findMany({
+      where: filter.where,
+      include: interventionInclude
+    });
+
+    const byProject = summarizeInputs(interventions, intervention => (
+      intervention.project ? { key: intervention.project.id, project: intervention.project, field: intervention.field } : null
+    )).sort((a, b) => a.project.title.localeCompare(b.project.title));
+
+    const byField = summarizeInputs(interventions, intervention => ({ key: intervention.field.id, field: intervention.field }))
+      .sort((a, b) => a.field.name.localeCompare(b.field.name));
+
+    res.json({
+      period: { startDate: req.query.startDate || null, endDate: req.query.endDate || null },
+      byProject,
+      byField
+    });
+  } catch (error) {
+    console.error('Get intervention totals error:', error);
+    res.status(500).json({ error: 'Failed to retrieve intervention totals', message: 'An error occurred while computing intervention totals' });
+  }
+});
+
+// Fields currently under a re-entry restriction after a crop protection treatment;
+// clients see the fields and end dates but not the treatments
+router.get('/restrictions', authenticateToken, async (req, res) => {
+  try {
+    const restrictions = await getReentryRestrictions(prisma);
+    res.json({
+      restrictions: req.user.role === 'CLIENT'
+        ? restrictions.map(({ field, reentryUntil }) => ({ field, reentryUntil }))
+        : restrictions
+    });
+  } catch (error) {
+    console.error('Get re-entry restrictions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve restrictions', message: 'An error occurred while fetching re-entry restrictions' });
+  }
+});
+
+// Export the phytosanitary register (treatments and harvests) as a PDF for QHSSE audits;
+// same filters as the register
+router.get('/phytosanitary/pdf', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), async (req, res) => {
+  try {
+    const filter = buildInterventionFilter(req);
+    if (filter.error) {
+      return res.status(400).json(filter);
+    }
+
+    const interventions = await prisma.intervention.findMany({
+      where: { ...filter.where, type: { in: ['CROP_PROTECTION', 'HARVEST'] } },
+      include: interventionInclude,
+      orderBy: [{ date: 'asc' }, { createdAt: 'asc' }]
+    });
+
+    const pdfBuffer = await generatePhytosanitaryRegisterPDF(
+      interventions.filter(intervention => intervention.type === 'CROP_PROTECTION'),
+      interventions.filter(intervention => intervention.type === 'HARVEST'),
+      { startDate: req.query.startDate, endDate: req.query.endDate }
+    );
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'attachment; filename="phytosanitary-register.pdf"');
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Generate phytosanitary register PDF error:', error);
+    res.status(500).json({ error: 'Failed to generate PDF', message: 'An error occurred while generating the PDF' });
+  }
+});
+
+// Get an intervention
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const intervention = await prisma.intervention.findUnique({
+      where: { id },
+      include: { ...interventionInclude, project: { select: { id: true, title: true, clientId: true } } }
+    });
+
+    if (!intervention || (req.user.role === 'CLIENT' && (!intervention.project || intervention.project.clientId !== req.user.id))) {
+      return res.status(404).json({ error: 'Intervention Not Found', message: 'The requested intervention was not found' });
+    }
+
+    res.json({ intervention });
+  } catch (error) {
+    console.error('Get intervention error:', error);
+    res.status(500).json({ error: 'Failed to retrieve intervention', message: 'An error occurred while fetching the intervention' });
+  }
+});
+
+// Record an intervention (Admin or Supervisor). Product quantities are dose x treated surface
+// and are consumed from inventory; the surface defaults to the project's, else the field's.
+// Crop protection records the pre-harvest and re-entry intervals; harvests inside a pre-harvest
+// interval are refused (409) unless an admin sends override: true.
+router.post('/', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), createInterventionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { type, date, projectId, fieldId, operator, surfaceHa, waterVolumeM3, equipment, notes, products = [] } = req.body;
+
+    const location = await resolveLocation(req, projectId, fieldId);
+    if (!location.field) {
+      return res.status(location.status).json(location.body);
+    }
+    const { project, field } = location;
+
+    const inputError = checkInterventionInputs(type, waterVolumeM3 ? parseFloat(waterVolumeM3) : null, products);
+    if (inputError) {
+      return res.status(400).json({ error: 'Invalid Inputs', message: inputError });
+    }
+
+    const treatedSurfaceHa = surfaceHa ? parseFloat(surfaceHa) : (project ? project.surfaceM2 : field.totalSurfaceM2) / M2_PER_HA;
+    const resolved = await resolveProducts(type, products, treatedSurfaceHa);
+    if (resolved.error) {
+      return res.status(400).json(resolved);
+    }
+
+    const interventionDate = new Date(date);
+    let harvest = { override: false, warnings: [] };
+    if (type === 'HARVEST') {
+      harvest = await checkHarvest(req, { fieldId: field.id, projectId: project ? project.id : null, date: interventionDate });
+      if (harvest.status) {
+        return res.status(harvest.status).json(harvest.body);
+      }
+    }
+    const warnings = [...harvest.warnings, ...await reentryWarnings(field.id, interventionDate)];
+    const intervals = type === 'CROP_PROTECTION' ? phytosanitaryIntervals(interventionDate, resolved.products) : {};
+
+    const intervention = await prisma.$transaction(async (tx) => {
+      const created = await tx.intervention.create({
+        data: {
+          type,
+          projectId: project ? project.id : null,
+          fieldId: field.id,
+          date: interventionDate,
+          operator,
+          surfaceHa: treatedSurfaceHa,
+          waterVolumeM3: waterVolumeM3 ? parseFloat(waterVolumeM3) : null,
+          equipment,
+          notes,
+          ...intervals,
+          preHarvestOverride: harvest.override,
+          recordedById: req.user.id
+        }
+      });
+
+      for (const product of resolved.products) {
+        const recorded = await recordStockMovement(tx, product.item, {
+          type: 'CONSUMPTION',
+          quantity: -product.quantity,
+          reason: `${INTERVENTION_LABELS[type]} du ${interventionDate.toISOString().slice(0, 10)}`,
+          projectId: created.projectId,
+          userId: req.user.id
+        });
+
+        await tx.interventionProduct.create({
+          data: {
+            interventionId: created.id,
+            itemId: product.item.id,
+            dosePerHa: product.dosePerHa,
+            quantity: product.quantity,
+            stockMovementId: recorded.movement.id,
+            activeSubstance: product.activeSubstance,
+            preHarvestDays: product.preHarvestDays,
+            reentryHours: product.reentryHours
+          }
+        });
+
+        await logAudit(tx, req, { action: 'UPDATE', entityType: 'INVENTORY_ITEM', entityId: product.item.id, before: product.item, after: recorded.item });
+      }
+
+      const result = await tx.intervention.findUnique({ where: { id: created.id }, include: interventionInclude });
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'INTERVENTION', entityId: created.id, after: result });
+
+      return result;
+    });
+
+    res.status(201).json({ message: 'Intervention recorded successfully', intervention, warnings });
+  } catch (error) {
+    console.error('Create intervention error:', error);
+    if (error.code === INSUFFICIENT_STOCK) {
+      return res.status(400).json({ error: 'Insufficient Stock', message: error.message });
+    }
+    res.status(500).json({ error: 'Failed to record intervention', message: 'An error occurred while recording the intervention' });
+  }
+});
+
+// Correct the date, operator, water volume, equipment or notes of an intervention (Admin or its recorder).
+// Products and surface are fixed once consumed; delete and record the intervention again to change them.
+// A new date moves the intervals of a treatment, and a harvest's new date is checked again.
+router.put('/:id', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), updateInterventionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { date, operator, waterVolumeM3, equipment, notes } = req.body;
+
+    const existingIntervention = await prisma.intervention.findUnique({ where: { id }, include: { products: true } });
+    if (!existingIntervention) {
+      return res.status(404).json({ error: 'Intervention Not Found', message: 'The requested intervention was not found' });
+    }
+    if (req.user.role !== 'ADMIN' && existingIntervention.recordedById !== req.user.id) {
+      return res.status(403).json({ error: 'Access Denied', message: 'You can only correct the interventions you recorded' });
+    }
+
+    const water = waterVolumeM3 !== undefined ? (waterVolumeM3 ? parseFloat(waterVolumeM3) : null) : existingIntervention.waterVolumeM3;
+    const inputError = checkInterventionInputs(existingIntervention.type, water, existingIntervention.products);
+    if (inputError) {
+      return res.status(400).json({ error: 'Invalid Inputs', message: inputError });
+    }
+
+    const dateData = {};
+    let warnings = [];
+    if (date) {
+      const interventionDate = new Date(date);
+      dateData.date = interventionDate;
+
+      if (existingIntervention.type === 'CROP_PROTECTION') {
+        Object.assign(dateData, phytosanitaryIntervals(interventionDate, existingIntervention.products));
+      } else if (existingIntervention.type === 'HARVEST') {
+        const harvest = await checkHarvest(req, { fieldId: existingIntervention.fieldId, projectId: existingIntervention.projectId, date: interventionDate });
+        if (harvest.status) {
+          return res.status(harvest.status).json(harvest.body);
+        }
+        dateData.preHarvestOverride = harvest.override;
+        warnings = harvest.warnings;
+      }
+    }
+
+    const intervention = await prisma.$transaction(async (tx) => {
+      const updated = await tx.intervention.update({
+        where: { id },
+        data: {
+          ...dateData,
+          operator,
+          waterVolumeM3: water,
+          equipment,
+          notes
+        },
+        include: interventionInclude
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'INTERVENTION', entityId: id, before: existingIntervention, after: updated });
+
+      return updated;
+    });
+
+    res.json({ message: 'Intervention updated successfully', intervention, warnings });
+  } catch (error) {
+    console.error('Update intervention error:', error);
+    res.status(500).json({ error: 'Failed to update intervention', message: 'An error occurred while updating the intervention' });
+  }
+});
+
+// Delete an intervention (Admin or its recorder); the products consumed are returned to stock
+router.delete('/:id', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const intervention = await prisma.intervention.findUnique({
+      where: { id },
+      include: { products: { include: { item: true } } }
+    });
+
+    if (!intervention) {
+      return res.status(404).json({ error: 'Intervention Not Found', message: 'The requested intervention was not found' });
+    }
+    if (req.user.role !== 'ADMIN' && intervention.recordedById !== req.user.id) {
+      return res.status(403).json({ error: 'Access Denied', message: 'You can only delete the interventions you recorded' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      for (const product of intervention.products) {
+        const recorded = await recordStockMovement(tx, product.item, {
+          type: 'ADJUSTMENT',
+          quantity: product.quantity,
+          reason: `Annulation ${INTERVENTION_LABELS[intervention.type].toLowerCase()} du ${intervention.date.toISOString().slice(0, 10)}`,
+          projectId: intervention.projectId,
+          userId: req.user.id
+        });
+
+        await logAudit(tx, req, { action: 'UPDATE', entityType: 'INVENTORY_ITEM', entityId: product.item.id, before: product.item, after: recorded.item });
+      }
+
+      await tx.intervention.delete({ where: { id } });
+
+      await logAudit(tx, req, { action: 'DELETE', entityType: 'INTERVENTION', entityId: id, before: intervention });
+    });
+
+    res.json({ message: 'Intervention deleted and products returned to stock' });
+  } catch (error) {
+    console.error('Delete intervention error:', error);
+    res.status(500).json({ error: 'Failed to delete intervention', message: 'An error occurred while deleting the intervention' });
+  }
+});
+
+module.exports = router;
@@ -2,19 +2,35 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+const { STOCK_MOVEMENT_TYPES, INSUFFICIENT_STOCK, getMovementDelta, recordStockMovement, transferStock, getLowStockItems } = require('../utils/stock');
+const { nextDocumentNumber } = require('../utils/numbering');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Delivery address printed on F.47 price offers
+const DEFAULT_PRICE_OFFER_ADDRESS = 'Lot 660, Hay Moulay Rachid 43150, Ben Guérir';
+
 // Validation schemas
+// Phytosanitary data of crop protection products, copied onto the treatments that use them
+const phytosanitaryValidation = [
+  body('activeSubstance').optional({ nullable: true }).trim(),
+  body('preHarvestDays').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Pre-harvest interval must be a non-negative number of days').toInt(),
+  body('reentryHours').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Re-entry interval must be a non-negative number of hours').toInt()
+];
+
 const createInventoryItemValidation = [
   body('owner').trim().isLength({ min: 1 }).withMessage('Owner is required'),
   body('family').trim().isLength({ min: 1 }).withMessage('Family is required'),
   body('designation').trim().isLength({ min: 1 }).withMessage('Designation is required'),
   body('stockQty').isFloat({ min: 0 }).withMessage('Stock quantity must be non-negative'),
+  body('minQty').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Minimum quantity must be non-negative'),
+  body('reorderQty').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Reorder quantity must be non-negative'),
   body('unit').trim().isLength({ min: 1 }).withMessage('Unit is required'),
   body('condition').isIn(['OK', 'NON_CONFORME', 'MAUVAIS']).withMessage('Invalid condition'),
-  body('location').trim().isLength({ min: 1 }).withMessage('Location is required')
+  body('location').trim().isLength({ min: 1 }).withMessage('Location is required'),
+  ...phytosanitaryValidation
 ];
 
 const updateInventoryItemValidation = [
@@ -23,9 +39,27 @@ const updateInventoryItemValidation = [
   body('subFamily').optional().trim(),
   body('designation').optional().trim().isLength({ min: 1 }).withMessage('Designation cannot be empty'),
   body('stockQty').optional().isFloat({ min: 0 }).withMessage('Stock quantity must be non-negative'),
+  body('minQty').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Minimum quantity must be non-negative'),
+  body('reorderQty').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Reorder quantity must be non-negative'),
   body('unit').optional().trim().isLength({ min: 1 }).withMessage('Unit cannot be empty'),
   body('condition').optional().isIn(['OK', 'NON_CONFORME', 'MAUVAIS']).withMessage('Invalid condition'),
-  body('location').optional().trim().isLength({ min: 1 }).withMessage('Location cannot be empty')
+  body('location').optional().trim().isLength({ min: 1 }).withMessage('Location cannot be empty'),
+  ...phytosanitaryValidation,
+  body('reason').optional().trim()
+];
+
+const createStockMovementValidation = [
+  body('type').isIn(STOCK_MOVEMENT_TYPES).withMessage(`Type must be one of ${STOCK_MOVEMENT_TYPES.join(', ')}`),
+  body('quantity').isFloat().withMessage('Quantity must be a number'),
+  body('quantity').custom((value, { req }) => req.body.type === 'ADJUSTMENT' ? parseFloat(value) !== 0 : parseFloat(value) > 0)
+    .withMessage('Quantity must be greater than 0 (adjustments can be negative but not 0)'),
+  body('toLocation')
+    .if(body('type').equals('TRANSFER'))
+    .trim()
+    .notEmpty()
+    .withMessage('Destination location is required for transfers'),
+  body('reason').optional().trim(),
+  body('projectId').optional().isString().withMessage('Project ID must be a string')
 ];
 
 // Get all inventory items
@@ -132,20 +166,41 @@ router.post('/', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), create
       });
     }
 
-    const { owner, family, subFamily, designation, stockQty, unit, condition, location } = req.body;
-
-    const inventoryItem = await prisma.inventoryItem.create({
-      data: {
-        owner,
-        family,
-        subFamily,
-        designation,
-        stockQty,
-        unit,
-        condition,
-        location,
-        lastChecked: new Date()
+    const { owner, family, subFamily, designation, stockQty, minQty, reorderQty, unit, condition, location, activeSubstance, preHarvestDays, reentryHours } = req.body;
+
+    // Opening stock is recorded as a receipt so the ledger adds up to stockQty
+    const inventoryItem = await prisma.$transaction(async (tx) => {
+      let item = await tx.inventoryItem.create({
+        data: {
+          owner,
+          family,
+          subFamily,
+          designation,
+          stockQty: 0,
+          minQty,
+          reorderQty,
+          unit,
+          condition,
+          location,
+          activeSubstance,
+          preHarvestDays,
+          reentryHours,
+          lastChecked: new Date()
+        }
+      });
+
+      if (parseFloat(stockQty) > 0) {
+        ({ item } = await recordStockMovement(tx, item, {
+          type: 'RECEIPT',
+          quantity: parseFloat(stockQty),
+          reason: 'Initial stock',
+          userId: req.user.id
+        }));
       }
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'INVENTORY_ITEM', entityId: item.id, after: item });
+
+      return item;
     });
 
     res.status(201).json({
@@ -173,7 +228,7 @@ router.put('/:id', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), upda
     }
 
     const { id } = req.params;
-    const updateData = req.body;
+    const { stockQty, reason, ...updateData } = req.body;
 
     // Check if inventory item exists
     const existingItem = await prisma.inventoryItem.findUnique({
@@ -190,9 +245,26 @@ router.put('/:id', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), upda
     // Update last checked date
     updateData.lastChecked = new Date();
 
-    const inventoryItem = await prisma.inventoryItem.update({
-      where: { id },
-      data: updateData
+    const inventoryItem = await prisma.$transaction(async (tx) => {
+      let item = await tx.inventoryItem.update({
+        where: { id },
+        data: updateData
+      });
+
+      // A new quantity is recorded as an adjustment of the difference with the stock locked
+      // by the update above, which includes movements recorded since the item was read
+      if (stockQty !== undefined && parseFloat(stockQty) !== item.stockQty) {
+        ({ item } = await recordStockMovement(tx, item, {
+          type: 'ADJUSTMENT',
+          quantity: parseFloat(stockQty) - item.stockQty,
+          reason: reason || 'Stock quantity corrected',
+          userId: req.user.id
+        }));
+      }
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'INVENTORY_ITEM', entityId: id, before: existingItem, after: item });
+
+      return item;
     });
 
     res.json({
@@ -224,8 +296,20 @@ router.delete('/:id', authenticateToken, requireRole('ADMIN'), async (req, res)
       });
     }
 
-    await prisma.inventoryItem.delete({
-      where: { id }
+    const interventionCount = await prisma.interventionProduct.count({ where: { itemId: id } });
+    if (interventionCount > 0) {
+      return res.status(400).json({
+        error: 'Cannot Delete Inventory Item',
+        message: `This item was applied in ${interventionCount} intervention(s) and must stay in the register`
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.inventoryItem.delete({
+        where: { id }
+      });
+
+      await logAudit(tx, req, { action: 'DELETE', entityType: 'INVENTORY_ITEM', entityId: id, before: inventoryItem });
     });
 
     res.json({
@@ -286,6 +370,97 @@ router.get('/alerts/conditions', authenticateToken, async (req, res) => {
   }
 });
 
+// Get low-stock alerts (items below their minimum quantity)
+router.get('/alerts/low-stock', authenticateToken, async (req, res) => {
+  try {
+    const { family, location } = req.query;
+
+    let whereClause = {};
+    if (family) whereClause.family = family;
+    if (location) whereClause.location = location;
+
+    const lowStockItems = await getLowStockItems(prisma, whereClause);
+
+    res.json({
+      lowStockItems,
+      total: lowStockItems.length
+    });
+  } catch (error) {
+    console.error('Get low-stock alerts error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve low-stock alerts',
+      message: 'An error occurred while fetching low-stock alerts'
+    });
+  }
+});
+
+// Draft one F.47 price offer with a line per item below its minimum quantity.
+// Without itemIds, every low-stock item is included.
+router.post('/alerts/low-stock/price-offer', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), [
+  body('itemIds').optional().isArray().withMessage('Item IDs must be an array'),
+  body('destinataire').optional().trim().isLength({ min: 2 }).withMessage('Destinataire must be at least 2 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const { itemIds, destinataire = 'À définir' } = req.body;
+
+    const lowStockItems = await getLowStockItems(prisma, itemIds ? { id: { in: itemIds } } : {});
+
+    if (lowStockItems.length === 0) {
+      return res.status(400).json({
+        error: 'No Low-Stock Items',
+        message: 'None of the requested items is below its minimum quantity'
+      });
+    }
+
+    const priceOffer = await prisma.$transaction(async (tx) => {
+      const draft = await tx.priceOffer.create({
+        data: {
+          orderNumber: await nextDocumentNumber(tx, 'PRICE_OFFER'),
+          destinataire,
+          demandeur: req.user.name,
+          address: DEFAULT_PRICE_OFFER_ADDRESS,
+          dateSent: new Date(),
+          status: 'PENDING',
+          createdById: req.user.id,
+          items: {
+            create: lowStockItems.map((item, index) => ({
+              lineNumber: index + 1,
+              designation: item.designation,
+              techDescription: [item.family, item.subFamily].filter(Boolean).join(' / '),
+              unit: item.unit,
+              quantity: item.suggestedOrderQty
+            }))
+          }
+        },
+        include: { items: { orderBy: { lineNumber: 'asc' } } }
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'PRICE_OFFER', entityId: draft.id, after: draft });
+
+      return draft;
+    });
+
+    res.status(201).json({
+      message: 'Price offer draft created successfully',
+      priceOffer
+    });
+  } catch (error) {
+    console.error('Draft low-stock price offer error:', error);
+    res.status(500).json({
+      error: 'Failed to draft price offer',
+      message: 'An error occurred while drafting the price offer'
+    });
+  }
+});
+
 // Get inventory statistics
 router.get('/statistics/overview', authenticateToken, async (req, res) => {
   try {
@@ -376,7 +551,7 @@ router.post('/bulk-update', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR
       const updates = [];
 
       for (const item of items) {
-        const { id, stockQty, condition, location } = item;
+        const { id, stockQty, condition, location, reason } = item;
 
         if (!id) {
           throw new Error('Item ID is required for bulk update');
@@ -386,15 +561,34 @@ router.post('/bulk-update', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR
           lastChecked: new Date()
         };
 
-        if (stockQty !== undefined) updateData.stockQty = stockQty;
         if (condition) updateData.condition = condition;
         if (location) updateData.location = location;
 
-        const updatedItem = await tx.inventoryItem.update({
+        const existingItem = await tx.inventoryItem.findUnique({ where: { id } });
+        if (!existingItem) {
+          throw new Error(`Inventory item ${id} not found`);
+        }
+
+        let updatedItem = await tx.inventoryItem.update({
           where: { id },
           data: updateData
         });
 
+        if (stockQty !== undefined && parseFloat(stockQty) !== updatedItem.stockQty) {
+          if (!(parseFloat(stockQty) >= 0)) {
+            throw new Error(`Invalid stock quantity for inventory item ${id}`);
+          }
+
+          ({ item: updatedItem } = await recordStockMovement(tx, updatedItem, {
+            type: 'ADJUSTMENT',
+            quantity: parseFloat(stockQty) - updatedItem.stockQty,
+            reason: reason || 'Bulk stock update',
+            userId: req.user.id
+          }));
+        }
+
+        await logAudit(tx, req, { action: 'UPDATE', entityType: 'INVENTORY_ITEM', entityId: id, before: existingItem, after: updatedItem });
+
         updates.push(updatedItem);
       }
 
@@ -414,6 +608,161 @@ router.post('/bulk-update', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR
   }
 });
 
+// Get stock movements of an inventory item, newest first
+router.get('/:id/movements', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20, type, startDate, endDate } = req.query;
+    const skip = (page - 1) * limit;
+
+    const inventoryItem = await prisma.inventoryItem.findUnique({
+      where: { id }
+    });
+
+    if (!inventoryItem) {
+      return res.status(404).json({
+        error: 'Inventory Item Not Found',
+        message: 'The requested inventory item was not found'
+      });
+    }
+
+    let whereClause = { itemId: id };
+    if (type) whereClause.type = type;
+    if (startDate || endDate) {
+      whereClause.createdAt = {};
+      if (startDate) whereClause.createdAt.gte = new Date(startDate);
+      if (endDate) whereClause.createdAt.lte = new Date(endDate);
+    }
+
+    const movements = await prisma.stockMovement.findMany({
+      where: whereClause,
+      include: {
+        project: { select: { id: true, title: true } },
+        user: { select: { id: true, name: true } }
+      },
+      orderBy: { createdAt: 'desc' },
+      skip: parseInt(skip),
+      take: parseInt(limit)
+    });
+
+    const total = await prisma.stockMovement.count({ where: whereClause });
+
+    res.json({
+      inventoryItem,
+      movements,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve stock movements',
+      message: 'An error occurred while fetching stock movements'
+    });
+  }
+});
+
+// Record a stock movement (receipt, consumption, transfer, adjustment or loss)
+router.post('/:id/movements', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), createStockMovementValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { type, quantity, toLocation, reason, projectId } = req.body;
+
+    const inventoryItem = await prisma.inventoryItem.findUnique({
+      where: { id }
+    });
+
+    if (!inventoryItem) {
+      return res.status(404).json({
+        error: 'Inventory Item Not Found',
+        message: 'The requested inventory item was not found'
+      });
+    }
+
+    if (projectId) {
+      const project = await prisma.project.findUnique({ where: { id: projectId } });
+      if (!project) {
+        return res.status(400).json({
+          error: 'Invalid Project',
+          message: 'The specified project was not found'
+        });
+      }
+    }
+
+    if (type === 'TRANSFER' && toLocation === inventoryItem.location) {
+      return res.status(400).json({
+        error: 'Invalid Transfer',
+        message: 'Destination location must differ from the current location'
+      });
+    }
+
+    const delta = type === 'TRANSFER' ? -Math.abs(parseFloat(quantity)) : getMovementDelta(type, parseFloat(quantity));
+    if (inventoryItem.stockQty + delta < 0) {
+      return res.status(400).json({
+        error: 'Insufficient Stock',
+        message: `Only ${inventoryItem.stockQty} ${inventoryItem.unit} in stock`
+      });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const movement = { reason, projectId, userId: req.user.id };
+
+      if (type === 'TRANSFER') {
+        const transfer = await transferStock(tx, inventoryItem, parseFloat(quantity), toLocation, movement);
+
+        await logAudit(tx, req, { action: 'UPDATE', entityType: 'INVENTORY_ITEM', entityId: id, before: inventoryItem, after: transfer.source.item });
+        await logAudit(tx, req, {
+          action: transfer.targetCreated ? 'CREATE' : 'UPDATE',
+          entityType: 'INVENTORY_ITEM',
+          entityId: transfer.target.item.id,
+          before: transfer.targetCreated ? null : { ...transfer.target.item, stockQty: transfer.target.item.stockQty - transfer.target.movement.quantity },
+          after: transfer.target.item
+        });
+
+        return {
+          inventoryItem: transfer.source.item,
+          movements: [transfer.source.movement, transfer.target.movement],
+          destinationItem: transfer.target.item
+        };
+      }
+
+      const recorded = await recordStockMovement(tx, inventoryItem, { ...movement, type, quantity: delta });
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'INVENTORY_ITEM', entityId: id, before: inventoryItem, after: recorded.item });
+
+      return {
+        inventoryItem: recorded.item,
+        movements: [recorded.movement]
+      };
+    });
+
+    res.status(201).json({
+      message: 'Stock movement recorded successfully',
+      ...result
+    });
+  } catch (error) {
+    console.error('Create stock movement error:', error);
+    if (error.code === INSUFFICIENT_STOCK) {
+      return res.status(400).json({ error: 'Insufficient Stock', message: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to record stock movement',
+      message: 'An error occurred while recording the stock movement'
+    });
+  }
+});
+
 // Get inventory families (for dropdown)
 router.get('/families/list', authenticateToken, async (req, res) => {
   try {
@@ -0,0 +1,356 @@
+// src/routes/inventoryCounts.js
+// Weekly inventory count sessions (F.10 Inventaire hebdomadaire)
+
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+const { recordStockMovement } = require('../utils/stock');
+const { generateInventoryCountPDF } = require('../utils/pdfGenerator');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation schemas
+const openSessionValidation = [
+  body('weekStart').isISO8601().withMessage('Week start must be a valid date'),
+  body('location').trim().isLength({ min: 1 }).withMessage('Location is required'),
+  body('notes').optional().trim()
+];
+
+const recordCountsValidation = [
+  body('counts').isArray({ min: 1 }).withMessage('Counts must be a non-empty array'),
+  body('counts.*.itemId').notEmpty().withMessage('Item ID is required'),
+  body('counts.*.countedQty').isFloat({ min: 0 }).withMessage('Counted quantity must be non-negative'),
+  body('counts.*.condition').optional().isIn(['OK', 'NON_CONFORME', 'MAUVAIS']).withMessage('Invalid condition'),
+  body('counts.*.notes').optional().trim()
+];
+
+// Monday 00:00 UTC of the week containing a date
+const toWeekStart = (date) => {
+  const weekStart = new Date(date);
+  weekStart.setUTCHours(0, 0, 0, 0);
+  weekStart.setUTCDate(weekStart.getUTCDate() - ((weekStart.getUTCDay() + 6) % 7));
+  return weekStart;
+};
+
+// Add expected stock and variance to the lines of a session.
+// Open sessions compare with the current stock; closed sessions keep the values applied at closing.
+const withVariance = (session) => ({
+  ...session,
+  lines: session.lines.map(line => {
+    const expectedQty = session.status === 'CLOSED' ? line.expectedQty : line.item.stockQty;
+    return {
+      ...line,
+      expectedQty,
+      varianceQty: line.countedQty === null ? null : line.countedQty - expectedQty
+    };
+  })
+});
+
+const sessionInclude = {
+  openedBy: { select: { id: true, name: true } },
+  closedBy: { select: { id: true, name: true } },
+  lines: {
+    include: { item: true },
+    orderBy: [{ item: { family: 'asc' } }, { item: { designation: 'asc' } }]
+  }
+};
+
+// Get count sessions
+router.get('/', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, location } = req.query;
+    const skip = (page - 1) * limit;
+
+    let whereClause = {};
+    if (status) whereClause.status = status;
+    if (location) whereClause.location = location;
+
+    const sessions = await prisma.inventoryCountSession.findMany({
+      where: whereClause,
+      include: {
+        openedBy: { select: { id: true, name: true } },
+        closedBy: { select: { id: true, name: true } },
+        _count: { select: { lines: true } }
+      },
+      orderBy: [{ weekStart: 'desc' }, { location: 'asc' }],
+      skip: parseInt(skip),
+      take: parseInt(limit)
+    });
+
+    const total = await prisma.inventoryCountSession.count({ where: whereClause });
+
+    res.json({
+      sessions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get count sessions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve count sessions', message: 'An error occurred while fetching count sessions' });
+  }
+});
+
+// Get a count session with its lines and variances
+router.get('/:id', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const session = await prisma.inventoryCountSession.findUnique({
+      where: { id },
+      include: sessionInclude
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Count Session Not Found', message: 'The requested count session was not found' });
+    }
+
+    const result = withVariance(session);
+    const counted = result.lines.filter(line => line.countedQty !== null);
+
+    res.json({
+      session: result,
+      summary: {
+        itemCount: result.lines.length,
+        countedCount: counted.length,
+        itemsWithVariance: counted.filter(line => line.varianceQty !== 0).length
+      }
+    });
+  } catch (error) {
+    console.error('Get count session error:', error);
+    res.status(500).json({ error: 'Failed to retrieve count session', message: 'An error occurred while fetching the count session' });
+  }
+});
+
+// Open a count session for a week and location, with one line per item stored there
+router.post('/', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), openSessionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { location, notes } = req.body;
+    const weekStart = toWeekStart(req.body.weekStart);
+
+    const existingSession = await prisma.inventoryCountSession.findUnique({
+      where: { weekStart_location: { weekStart, location } }
+    });
+
+    if (existingSession) {
+      return res.status(409).json({
+        error: 'Count Session Already Exists',
+        message: 'A count session already exists for this week and location',
+        sessionId: existingSession.id
+      });
+    }
+
+    const items = await prisma.inventoryItem.findMany({
+      where: { location },
+      select: { id: true }
+    });
+
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'No Items', message: 'No inventory items are stored at this location' });
+    }
+
+    const session = await prisma.$transaction(async (tx) => {
+      const created = await tx.inventoryCountSession.create({
+        data: {
+          weekStart,
+          location,
+          notes,
+          openedById: req.user.id,
+          lines: { create: items.map(item => ({ itemId: item.id })) }
+        },
+        include: sessionInclude
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'INVENTORY_COUNT_SESSION', entityId: created.id, after: created });
+
+      return created;
+    });
+
+    res.status(201).json({ message: 'Count session opened successfully', session: withVariance(session) });
+  } catch (error) {
+    console.error('Open count session error:', error);
+    res.status(500).json({ error: 'Failed to open count session', message: 'An error occurred while opening the count session' });
+  }
+});
+
+// Record counted quantities and conditions
+router.put('/:id/lines', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), recordCountsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { counts } = req.body;
+
+    const session = await prisma.inventoryCountSession.findUnique({
+      where: { id },
+      include: { lines: true }
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Count Session Not Found', message: 'The requested count session was not found' });
+    }
+    if (session.status !== 'OPEN') {
+      return res.status(400).json({ error: 'Count Session Closed', message: 'Counts can only be recorded on open sessions' });
+    }
+
+    const linesByItem = new Map(session.lines.map(line => [line.itemId, line]));
+    const unknownItems = counts.filter(count => !linesByItem.has(count.itemId)).map(count => count.itemId);
+    if (unknownItems.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid Items',
+        message: 'Some items are not part of this count session',
+        itemIds: unknownItems
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      for (const count of counts) {
+        const line = linesByItem.get(count.itemId);
+        const updatedLine = await tx.inventoryCountLine.update({
+          where: { id: line.id },
+          data: {
+            countedQty: parseFloat(count.countedQty),
+            condition: count.condition,
+            notes: count.notes,
+            countedAt: new Date()
+          }
+        });
+
+        await logAudit(tx, req, { action: 'UPDATE', entityType: 'INVENTORY_COUNT_LINE', entityId: line.id, before: line, after: updatedLine });
+      }
+    });
+
+    const updatedSession = await prisma.inventoryCountSession.findUnique({
+      where: { id },
+      include: sessionInclude
+    });
+
+    res.json({ message: 'Counts recorded successfully', session: withVariance(updatedSession) });
+  } catch (error) {
+    console.error('Record counts error:', error);
+    res.status(500).json({ error: 'Failed to record counts', message: 'An error occurred while recording counts' });
+  }
+});
+
+// Close a session: every item must be counted; variances are applied as stock adjustments
+router.post('/:id/close', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await prisma.inventoryCountSession.findUnique({
+      where: { id },
+      include: sessionInclude
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Count Session Not Found', message: 'The requested count session was not found' });
+    }
+    if (session.status !== 'OPEN') {
+      return res.status(400).json({ error: 'Count Session Closed', message: 'This count session is already closed' });
+    }
+
+    const uncounted = session.lines.filter(line => line.countedQty === null);
+    if (uncounted.length > 0) {
+      return res.status(400).json({
+        error: 'Incomplete Count',
+        message: `${uncounted.length} item(s) have not been counted`,
+        items: uncounted.map(line => ({ itemId: line.itemId, designation: line.item.designation }))
+      });
+    }
+
+    const closedSession = await prisma.$transaction(async (tx) => {
+      const closedAt = new Date();
+
+      for (const line of session.lines) {
+        // Re-read the stock: movements may have been recorded while counting
+        const item = await tx.inventoryItem.findUnique({ where: { id: line.itemId } });
+        const varianceQty = line.countedQty - item.stockQty;
+
+        let updatedItem = await tx.inventoryItem.update({
+          where: { id: item.id },
+          data: {
+            condition: line.condition || undefined,
+            lastChecked: closedAt
+          }
+        });
+
+        if (varianceQty !== 0) {
+          ({ item: updatedItem } = await recordStockMovement(tx, updatedItem, {
+            type: 'ADJUSTMENT',
+            quantity: varianceQty,
+            reason: `Inventaire hebdomadaire du ${session.weekStart.toISOString().slice(0, 10)}`,
+            userId: req.user.id
+          }));
+        }
+
+        await tx.inventoryCountLine.update({
+          where: { id: line.id },
+          data: { expectedQty: item.stockQty, varianceQty }
+        });
+
+        await logAudit(tx, req, { action: 'UPDATE', entityType: 'INVENTORY_ITEM', entityId: item.id, before: item, after: updatedItem });
+      }
+
+      const closed = await tx.inventoryCountSession.update({
+        where: { id },
+        data: {
+          status: 'CLOSED',
+          closedById: req.user.id,
+          closedAt
+        },
+        include: sessionInclude
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'INVENTORY_COUNT_SESSION', entityId: id, before: session, after: closed });
+
+      return closed;
+    });
+
+    res.json({ message: 'Count session closed successfully', session: withVariance(closedSession) });
+  } catch (error) {
+    console.error('Close count session error:', error);
+    res.status(500).json({ error: 'Failed to close count session', message: 'An error occurred while closing the count session' });
+  }
+});
+
+// Export a closed session as a F.10 PDF
+router.get('/:id/pdf', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const session = await prisma.inventoryCountSession.findUnique({
+      where: { id },
+      include: sessionInclude
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Count Session Not Found', message: 'The requested count session was not found' });
+    }
+    if (session.status !== 'CLOSED') {
+      return res.status(400).json({ error: 'Count Session Open', message: 'Only closed count sessions can be exported' });
+    }
+
+    const pdfBuffer = await generateInventoryCountPDF(session);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="F10-inventaire-${session.weekStart.toISOString().slice(0, 10)}.pdf"`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Generate count session PDF error:', error);
+    res.status(500).json({ error: 'Failed to generate PDF', message: 'An error occurred while generating the PDF' });
+  }
+});
+
+module.exports = router;
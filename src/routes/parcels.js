@@ -0,0 +1,267 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { isPolygonGeometry } = require('../utils/geojson');
+const { logAudit } = require('../utils/audit');
+const { getParcelSurface } = require('../utils/occupancy');
+
+// Mounted under /api/fields/:fieldId/parcels
+const router = express.Router({ mergeParams: true });
+const prisma = new PrismaClient();
+
+// Validation schemas
+const createParcelValidation = [
+  body('code').trim().isLength({ min: 1 }).withMessage('Parcel code is required'),
+  body('surfaceM2').isFloat({ min: 0.1 }).withMessage('Surface area must be greater than 0'),
+  body('geometry').optional({ nullable: true }).custom(isPolygonGeometry).withMessage('Geometry must be a GeoJSON Polygon or MultiPolygon'),
+  body('notes').optional().trim()
+];
+
+const updateParcelValidation = [
+  body('code').optional().trim().isLength({ min: 1 }).withMessage('Parcel code cannot be empty'),
+  body('surfaceM2').optional().isFloat({ min: 0.1 }).withMessage('Surface area must be greater than 0'),
+  body('geometry').optional({ nullable: true }).custom(isPolygonGeometry).withMessage('Geometry must be a GeoJSON Polygon or MultiPolygon'),
+  body('notes').optional().trim()
+];
+
+// Check that parcels of a field do not cover more than the field surface
+const checkParcelsFitField = async (field, surfaceM2, excludeParcelId) => {
+  const allocatedSurfaceM2 = await getParcelSurface(prisma, field.id, excludeParcelId) + surfaceM2;
+  return allocatedSurfaceM2 <= field.totalSurfaceM2;
+};
+
+// Get all parcels of a field
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { fieldId } = req.params;
+
+    const field = await prisma.field.findUnique({ where: { id: fieldId } });
+
+    if (!field) {
+      return res.status(404).json({
+        error: 'Field Not Found',
+        message: 'The requested field was not found'
+      });
+    }
+
+    const parcels = await prisma.parcel.findMany({
+      where: { fieldId },
+      orderBy: { code: 'asc' }
+    });
+
+    res.json({ parcels });
+  } catch (error) {
+    console.error('Get parcels error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve parcels',
+      message: 'An error occurred while fetching parcels'
+    });
+  }
+});
+
+// Create new parcel
+router.post('/', authenticateToken, requireRole('ADMIN'), createParcelValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const { fieldId } = req.params;
+    const { code, surfaceM2, geometry, notes } = req.body;
+
+    const field = await prisma.field.findUnique({ where: { id: fieldId } });
+
+    if (!field) {
+      return res.status(404).json({
+        error: 'Field Not Found',
+        message: 'The requested field was not found'
+      });
+    }
+
+    const existingParcel = await prisma.parcel.findUnique({
+      where: { fieldId_code: { fieldId, code } }
+    });
+
+    if (existingParcel) {
+      return res.status(409).json({
+        error: 'Parcel Already Exists',
+        message: 'A parcel with this code already exists in this field'
+      });
+    }
+
+    if (!(await checkParcelsFitField(field, surfaceM2))) {
+      return res.status(400).json({
+        error: 'Insufficient Surface Area',
+        message: `Parcels would exceed the field total surface (${field.totalSurfaceM2} m²)`
+      });
+    }
+
+    const parcel = await prisma.$transaction(async (tx) => {
+      const created = await tx.parcel.create({
+        data: {
+          fieldId,
+          code,
+          surfaceM2,
+          geometry,
+          notes
+        }
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'PARCEL', entityId: created.id, after: created });
+
+      return created;
+    });
+
+    res.status(201).json({
+      message: 'Parcel created successfully',
+      parcel
+    });
+  } catch (error) {
+    console.error('Create parcel error:', error);
+    res.status(500).json({
+      error: 'Failed to create parcel',
+      message: 'An error occurred while creating the parcel'
+    });
+  }
+});
+
+// Update parcel
+router.put('/:parcelId', authenticateToken, requireRole('ADMIN'), updateParcelValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const { fieldId, parcelId } = req.params;
+    const { code, surfaceM2, geometry, notes } = req.body;
+
+    const existingParcel = await prisma.parcel.findFirst({
+      where: { id: parcelId, fieldId },
+      include: { field: true }
+    });
+
+    if (!existingParcel) {
+      return res.status(404).json({
+        error: 'Parcel Not Found',
+        message: 'The requested parcel was not found'
+      });
+    }
+
+    if (code && code !== existingParcel.code) {
+      const codeConflict = await prisma.parcel.findUnique({
+        where: { fieldId_code: { fieldId, code } }
+      });
+
+      if (codeConflict) {
+        return res.status(409).json({
+          error: 'Parcel Code Conflict',
+          message: 'A parcel with this code already exists in this field'
+        });
+      }
+    }
+
+    if (surfaceM2 && !(await checkParcelsFitField(existingParcel.field, surfaceM2, parcelId))) {
+      return res.status(400).json({
+        error: 'Insufficient Surface Area',
+        message: `Parcels would exceed the field total surface (${existingParcel.field.totalSurfaceM2} m²)`
+      });
+    }
+
+    const parcel = await prisma.$transaction(async (tx) => {
+      const updated = await tx.parcel.update({
+        where: { id: parcelId },
+        data: {
+          code,
+          surfaceM2,
+          geometry,
+          notes
+        }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'PARCEL', entityId: parcelId, before: existingParcel, after: updated });
+
+      return updated;
+    });
+
+    res.json({
+      message: 'Parcel updated successfully',
+      parcel
+    });
+  } catch (error) {
+    console.error('Update parcel error:', error);
+    res.status(500).json({
+      error: 'Failed to update parcel',
+      message: 'An error occurred while updating the parcel'
+    });
+  }
+});
+
+// Delete parcel
+router.delete('/:parcelId', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const { fieldId, parcelId } = req.params;
+
+    const parcel = await prisma.parcel.findFirst({
+      where: { id: parcelId, fieldId },
+      include: {
+        projects: {
+          where: {
+            status: {
+              in: ['EN_COURS', 'PROGRAMME', 'A_LANCER']
+            }
+          }
+        },
+        reservations: {
+          where: {
+            status: {
+              in: ['PENDING', 'APPROVED', 'MODIFICATION_REQUESTED']
+            }
+          }
+        }
+      }
+    });
+
+    if (!parcel) {
+      return res.status(404).json({
+        error: 'Parcel Not Found',
+        message: 'The requested parcel was not found'
+      });
+    }
+
+    if (parcel.projects.length > 0 || parcel.reservations.length > 0) {
+      return res.status(400).json({
+        error: 'Cannot Delete Parcel',
+        message: 'Cannot delete a parcel used by active projects or open reservations'
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.parcel.delete({
+        where: { id: parcelId }
+      });
+
+      await logAudit(tx, req, { action: 'DELETE', entityType: 'PARCEL', entityId: parcelId, before: parcel });
+    });
+
+    res.json({
+      message: 'Parcel deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete parcel error:', error);
+    res.status(500).json({
+      error: 'Failed to delete parcel',
+      message: 'An error occurred while deleting the parcel'
+    });
+  }
+});
+
+module.exports = router;
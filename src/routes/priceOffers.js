@@ -2,37 +2,72 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken, requireRole } = require('../middleware/auth');
-const PDFDocument = require('pdfkit');
+const { logAudit } = require('../utils/audit');
+const { buildQuoteComparison } = require('../utils/quotes');
+const { generatePriceOfferPDF } = require('../utils/pdfGenerator');
+const { signerSelect, findSigner, fingerprintDocument, verifySignature } = require('../utils/signatures');
+const { sendSignatureRequestEmail } = require('../utils/email');
+const { nextDocumentNumber } = require('../utils/numbering');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
 // Validation schemas
+const itemValidation = [
+  body('items.*.designation').trim().isLength({ min: 3 }).withMessage('Item designation must be at least 3 characters'),
+  body('items.*.unit').trim().isLength({ min: 1 }).withMessage('Unit is required'),
+  body('items.*.quantity').isFloat({ min: 0.1 }).withMessage('Quantity must be greater than 0'),
+  body('items.*.techDescription').optional().trim()
+];
+
 const createPriceOfferValidation = [
   body('destinataire').trim().isLength({ min: 2 }).withMessage('Destinataire must be at least 2 characters'),
   body('demandeur').trim().isLength({ min: 2 }).withMessage('Demandeur must be at least 2 characters'),
   body('address').trim().isLength({ min: 5 }).withMessage('Address must be at least 5 characters'),
-  body('itemDesignation').trim().isLength({ min: 3 }).withMessage('Item designation must be at least 3 characters'),
-  body('unit').trim().isLength({ min: 1 }).withMessage('Unit is required'),
-  body('quantity').isFloat({ min: 0.1 }).withMessage('Quantity must be greater than 0'),
-  body('contact').optional().trim(),
-  body('orderNumber').optional().trim(),
-  body('techDescription').optional().trim()
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  ...itemValidation,
+  body('contact').optional().trim()
 ];
 
 const updatePriceOfferValidation = [
   body('destinataire').optional().trim().isLength({ min: 2 }).withMessage('Destinataire must be at least 2 characters'),
   body('demandeur').optional().trim().isLength({ min: 2 }).withMessage('Demandeur must be at least 2 characters'),
   body('address').optional().trim().isLength({ min: 5 }).withMessage('Address must be at least 5 characters'),
-  body('itemDesignation').optional().trim().isLength({ min: 3 }).withMessage('Item designation must be at least 3 characters'),
-  body('unit').optional().trim().isLength({ min: 1 }).withMessage('Unit cannot be empty'),
-  body('quantity').optional().isFloat({ min: 0.1 }).withMessage('Quantity must be greater than 0'),
-  body('contact').optional().trim(),
-  body('orderNumber').optional().trim(),
-  body('techDescription').optional().trim(),
-  body('status').optional().isIn(['PENDING', 'SENT', 'ACCEPTED', 'REJECTED']).withMessage('Invalid status')
+  body('items').optional().isArray({ min: 1 }).withMessage('At least one item is required'),
+  ...itemValidation,
+  body('contact').optional().trim()
+];
+
+const sendToSuppliersValidation = [
+  body('supplierIds').isArray({ min: 1 }).withMessage('At least one supplier is required'),
+  body('notes').optional().trim()
+];
+
+const recordQuotesValidation = [
+  body('quotes').isArray({ min: 1 }).withMessage('Quotes must be a non-empty array'),
+  body('quotes.*.itemId').notEmpty().withMessage('Item ID is required'),
+  body('quotes.*.unitPrice').isFloat({ min: 0 }).withMessage('Unit price must be non-negative'),
+  body('notes').optional().trim()
+];
+
+const designateSignerValidation = [
+  body('signerId').notEmpty().withMessage('Signer ID is required')
 ];
 
+const recipientsInclude = {
+  supplier: { select: { id: true, name: true, email: true, ice: true } },
+  quotes: true
+};
+
+// Number the items of a request in the order they were given (Numéro d'ordre)
+const toOfferItems = (items) => items.map((item, index) => ({
+  lineNumber: index + 1,
+  designation: item.designation,
+  techDescription: item.techDescription,
+  unit: item.unit,
+  quantity: parseFloat(item.quantity)
+}));
+
 // Get all price offers
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -59,7 +94,7 @@ router.get('/', authenticateToken, async (req, res) => {
       whereClause.OR = [
         { destinataire: { contains: search, mode: 'insensitive' } },
         { demandeur: { contains: search, mode: 'insensitive' } },
-        { itemDesignation: { contains: search, mode: 'insensitive' } },
+        { items: { some: { designation: { contains: search, mode: 'insensitive' } } } },
         { orderNumber: { contains: search, mode: 'insensitive' } }
       ];
     }
@@ -79,7 +114,8 @@ router.get('/', authenticateToken, async (req, res) => {
             name: true,
             email: true
           }
-        }
+        },
+        items: { orderBy: { lineNumber: 'asc' } }
       },
       orderBy: {
         dateSent: 'desc'
@@ -122,6 +158,17 @@ router.get('/:id', authenticateToken, async (req, res) => {
             name: true,
             email: true
           }
+        },
+        items: { orderBy: { lineNumber: 'asc' } },
+        signer: { select: signerSelect },
+        recipients: { include: recipientsInclude, orderBy: { sentAt: 'asc' } },
+        purchaseOrder: {
+          select: {
+            id: true,
+            number: true,
+            status: true,
+            serviceOrders: { select: { id: true, number: true, objet: true, status: true } }
+          }
         }
       }
     });
@@ -167,37 +214,37 @@ router.post('/', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), create
       demandeur,
       contact,
       address,
-      orderNumber,
-      itemDesignation,
-      unit,
-      techDescription,
-      quantity
+      items
     } = req.body;
 
-    const priceOffer = await prisma.priceOffer.create({
-      data: {
-        destinataire,
-        demandeur,
-        contact,
-        address,
-        orderNumber,
-        itemDesignation,
-        unit,
-        techDescription,
-        quantity,
-        dateSent: new Date(),
-        status: 'PENDING',
-        createdById: req.user.id
-      },
-      include: {
-        createdBy: {
-          select: {
-            id: true,
-            name: true,
-            email: true
-          }
+    const priceOffer = await prisma.$transaction(async (tx) => {
+      const created = await tx.priceOffer.create({
+        data: {
+          orderNumber: await nextDocumentNumber(tx, 'PRICE_OFFER'),
+          destinataire,
+          demandeur,
+          contact,
+          address,
+          dateSent: new Date(),
+          status: 'PENDING',
+          createdById: req.user.id,
+          items: { create: toOfferItems(items) }
+        },
+        include: {
+          createdBy: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
+          },
+          items: { orderBy: { lineNumber: 'asc' } }
         }
-      }
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'PRICE_OFFER', entityId: created.id, after: created });
+
+      return created;
     });
 
     res.status(201).json({
@@ -225,11 +272,14 @@ router.put('/:id', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), upda
     }
 
     const { id } = req.params;
-    const updateData = req.body;
+    // The order number and signature fields are only set by the system, and the status
+    // only changes through PATCH /:id/status, which requires a signature
+    const { items, orderNumber, signerId, signedAt, signatureHash, status, ...updateData } = req.body;
 
     // Check if price offer exists
     const existingOffer = await prisma.priceOffer.findUnique({
-      where: { id }
+      where: { id },
+      include: { items: { orderBy: { lineNumber: 'asc' } } }
     });
 
     if (!existingOffer) {
@@ -239,18 +289,36 @@ router.put('/:id', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), upda
       });
     }
 
-    const priceOffer = await prisma.priceOffer.update({
-      where: { id },
-      data: updateData,
-      include: {
-        createdBy: {
-          select: {
-            id: true,
-            name: true,
-            email: true
-          }
+    if (existingOffer.signedAt) {
+      return res.status(400).json({
+        error: 'Price Offer Signed',
+        message: 'Signed price offers are read-only'
+      });
+    }
+
+    // A new item list replaces the previous one, along with the supplier quotes on it
+    const priceOffer = await prisma.$transaction(async (tx) => {
+      const updated = await tx.priceOffer.update({
+        where: { id },
+        data: {
+          ...updateData,
+          items: items ? { deleteMany: {}, create: toOfferItems(items) } : undefined
+        },
+        include: {
+          createdBy: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
+          },
+          items: { orderBy: { lineNumber: 'asc' } }
         }
-      }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'PRICE_OFFER', entityId: id, before: existingOffer, after: updated });
+
+      return updated;
     });
 
     res.json({
@@ -279,21 +347,44 @@ router.patch('/:id/status', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR
       });
     }
 
-    const priceOffer = await prisma.priceOffer.update({
-      where: { id },
-      data: {
-        status,
-        dateSent: status === 'SENT' ? new Date() : undefined
-      },
-      include: {
-        createdBy: {
-          select: {
-            id: true,
-            name: true,
-            email: true
-          }
+    const existingOffer = await prisma.priceOffer.findUnique({
+      where: { id }
+    });
+
+    if (!existingOffer) {
+      return res.status(404).json({
+        error: 'Price Offer Not Found',
+        message: 'The requested price offer was not found'
+      });
+    }
+
+    // Only approved (signed) price offers leave the farm
+    if (status !== 'PENDING' && !existingOffer.signedAt) {
+      return res.status(400).json({
+        error: 'Price Offer Not Signed',
+        message: 'Price offers must be signed before they are sent'
+      });
+    }
+
+    const priceOffer = await prisma.$transaction(async (tx) => {
+      const updated = await tx.priceOffer.update({
+        where: { id },
+        data: { status },
+        include: {
+          createdBy: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
+          },
+          items: { orderBy: { lineNumber: 'asc' } }
         }
-      }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'PRICE_OFFER', entityId: id, before: existingOffer, after: updated });
+
+      return updated;
     });
 
     res.json({
@@ -315,7 +406,8 @@ router.delete('/:id', authenticateToken, requireRole('ADMIN'), async (req, res)
     const { id } = req.params;
 
     const priceOffer = await prisma.priceOffer.findUnique({
-      where: { id }
+      where: { id },
+      include: { purchaseOrder: { select: { number: true } } }
     });
 
     if (!priceOffer) {
@@ -325,8 +417,26 @@ router.delete('/:id', authenticateToken, requireRole('ADMIN'), async (req, res)
       });
     }
 
-    await prisma.priceOffer.delete({
-      where: { id }
+    if (priceOffer.purchaseOrder) {
+      return res.status(400).json({
+        error: 'Cannot Delete Price Offer',
+        message: `Purchase order ${priceOffer.purchaseOrder.number} was generated from this price offer`
+      });
+    }
+
+    if (priceOffer.signedAt) {
+      return res.status(400).json({
+        error: 'Price Offer Signed',
+        message: 'Signed price offers cannot be deleted'
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.priceOffer.delete({
+        where: { id }
+      });
+
+      await logAudit(tx, req, { action: 'DELETE', entityType: 'PRICE_OFFER', entityId: id, before: priceOffer });
     });
 
     res.json({
@@ -341,6 +451,387 @@ router.delete('/:id', authenticateToken, requireRole('ADMIN'), async (req, res)
   }
 });
 
+// Send a price request to suppliers from the registry
+router.post('/:id/suppliers', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), sendToSuppliersValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { supplierIds, notes } = req.body;
+
+    const existingOffer = await prisma.priceOffer.findUnique({
+      where: { id },
+      include: { recipients: true }
+    });
+
+    if (!existingOffer) {
+      return res.status(404).json({
+        error: 'Price Offer Not Found',
+        message: 'The requested price offer was not found'
+      });
+    }
+
+    if (!existingOffer.signedAt) {
+      return res.status(400).json({
+        error: 'Price Offer Not Signed',
+        message: 'Price offers must be signed before they are sent'
+      });
+    }
+
+    const suppliers = await prisma.supplier.findMany({
+      where: { id: { in: supplierIds } },
+      select: { id: true }
+    });
+
+    if (suppliers.length !== new Set(supplierIds).size) {
+      return res.status(404).json({
+        error: 'Supplier Not Found',
+        message: 'One or more suppliers were not found'
+      });
+    }
+
+    const alreadySent = new Set(existingOffer.recipients.map(recipient => recipient.supplierId));
+    const newSupplierIds = suppliers.map(supplier => supplier.id).filter(supplierId => !alreadySent.has(supplierId));
+
+    const priceOffer = await prisma.$transaction(async (tx) => {
+      for (const supplierId of newSupplierIds) {
+        const recipient = await tx.priceOfferRecipient.create({
+          data: { priceOfferId: id, supplierId, notes }
+        });
+
+        await logAudit(tx, req, { action: 'CREATE', entityType: 'PRICE_OFFER_RECIPIENT', entityId: recipient.id, after: recipient });
+      }
+
+      const updated = await tx.priceOffer.update({
+        where: { id },
+        data: existingOffer.status === 'PENDING' ? { status: 'SENT' } : {},
+        include: {
+          items: { orderBy: { lineNumber: 'asc' } },
+          recipients: { include: recipientsInclude, orderBy: { sentAt: 'asc' } }
+        }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'PRICE_OFFER', entityId: id, before: existingOffer, after: updated });
+
+      return updated;
+    });
+
+    res.json({
+      message: `Price offer sent to ${newSupplierIds.length} new supplier(s)`,
+      priceOffer
+    });
+  } catch (error) {
+    console.error('Send price offer to suppliers error:', error);
+    res.status(500).json({
+      error: 'Failed to send price offer',
+      message: 'An error occurred while sending the price offer to suppliers'
+    });
+  }
+});
+
+// Record the unit prices returned by a supplier, per item
+router.put('/:id/suppliers/:supplierId/quotes', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), recordQuotesValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const { id, supplierId } = req.params;
+    const { quotes, notes } = req.body;
+
+    const recipient = await prisma.priceOfferRecipient.findUnique({
+      where: { priceOfferId_supplierId: { priceOfferId: id, supplierId } },
+      include: { priceOffer: { include: { items: true } }, quotes: true }
+    });
+
+    if (!recipient) {
+      return res.status(404).json({
+        error: 'Supplier Not Found',
+        message: 'This price offer was not sent to this supplier'
+      });
+    }
+
+    const itemIds = new Set(recipient.priceOffer.items.map(item => item.id));
+    const unknownItems = quotes.filter(quote => !itemIds.has(quote.itemId)).map(quote => quote.itemId);
+    if (unknownItems.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid Items',
+        message: 'Some items are not part of this price offer',
+        itemIds: unknownItems
+      });
+    }
+
+    const quotesByItem = new Map(recipient.quotes.map(quote => [quote.itemId, quote]));
+
+    const updatedRecipient = await prisma.$transaction(async (tx) => {
+      for (const quote of quotes) {
+        const existingQuote = quotesByItem.get(quote.itemId);
+        const savedQuote = await tx.supplierQuote.upsert({
+          where: { recipientId_itemId: { recipientId: recipient.id, itemId: quote.itemId } },
+          create: { recipientId: recipient.id, itemId: quote.itemId, unitPrice: parseFloat(quote.unitPrice) },
+          update: { unitPrice: parseFloat(quote.unitPrice) }
+        });
+
+        await logAudit(tx, req, {
+          action: existingQuote ? 'UPDATE' : 'CREATE',
+          entityType: 'SUPPLIER_QUOTE',
+          entityId: savedQuote.id,
+          before: existingQuote,
+          after: savedQuote
+        });
+      }
+
+      const updated = await tx.priceOfferRecipient.update({
+        where: { id: recipient.id },
+        data: {
+          respondedAt: new Date(),
+          notes
+        },
+        include: recipientsInclude
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'PRICE_OFFER_RECIPIENT', entityId: recipient.id, before: recipient, after: updated });
+
+      return updated;
+    });
+
+    res.json({
+      message: 'Quotes recorded successfully',
+      recipient: updatedRecipient
+    });
+  } catch (error) {
+    console.error('Record supplier quotes error:', error);
+    res.status(500).json({
+      error: 'Failed to record quotes',
+      message: 'An error occurred while recording the supplier quotes'
+    });
+  }
+});
+
+// Compare the prices returned by the suppliers, flagging the best-priced one
+router.get('/:id/comparison', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const priceOffer = await prisma.priceOffer.findUnique({
+      where: { id },
+      include: {
+        items: { orderBy: { lineNumber: 'asc' } },
+        recipients: { include: recipientsInclude, orderBy: { sentAt: 'asc' } }
+      }
+    });
+
+    if (!priceOffer) {
+      return res.status(404).json({
+        error: 'Price Offer Not Found',
+        message: 'The requested price offer was not found'
+      });
+    }
+
+    res.json({
+      priceOfferId: priceOffer.id,
+      orderNumber: priceOffer.orderNumber,
+      comparison: buildQuoteComparison(priceOffer)
+    });
+  } catch (error) {
+    console.error('Compare supplier quotes error:', error);
+    res.status(500).json({
+      error: 'Failed to compare quotes',
+      message: 'An error occurred while comparing the supplier quotes'
+    });
+  }
+});
+
+// Designate the user who signs the price offer, and ask them to sign it
+router.put('/:id/signer', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), designateSignerValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { signerId } = req.body;
+
+    const existingOffer = await prisma.priceOffer.findUnique({ where: { id } });
+
+    if (!existingOffer) {
+      return res.status(404).json({
+        error: 'Price Offer Not Found',
+        message: 'The requested price offer was not found'
+      });
+    }
+
+    if (existingOffer.signedAt) {
+      return res.status(400).json({
+        error: 'Price Offer Signed',
+        message: 'This price offer has already been signed'
+      });
+    }
+
+    const signer = await findSigner(prisma, signerId);
+    if (!signer) {
+      return res.status(400).json({
+        error: 'Invalid Signer',
+        message: 'The signer must be an administrator or a supervisor'
+      });
+    }
+
+    const priceOffer = await prisma.$transaction(async (tx) => {
+      const updated = await tx.priceOffer.update({
+        where: { id },
+        data: { signerId },
+        include: {
+          items: { orderBy: { lineNumber: 'asc' } },
+          signer: { select: signerSelect }
+        }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'PRICE_OFFER', entityId: id, before: existingOffer, after: updated });
+
+      return updated;
+    });
+
+    try {
+      await sendSignatureRequestEmail(signer.email, signer.name, {
+        label: 'F.47 price offer',
+        reference: priceOffer.orderNumber,
+        url: `${process.env.FRONTEND_URL}/price-offers/${id}`
+      });
+    } catch (emailError) {
+      console.error('Failed to send signature request email:', emailError);
+    }
+
+    res.json({
+      message: 'Signer designated successfully',
+      priceOffer
+    });
+  } catch (error) {
+    console.error('Designate price offer signer error:', error);
+    res.status(500).json({
+      error: 'Failed to designate signer',
+      message: 'An error occurred while designating the signer'
+    });
+  }
+});
+
+// Sign the price offer (designated signer only): the rendered F.47 is hashed
+// and the offer becomes read-only
+router.post('/:id/sign', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingOffer = await prisma.priceOffer.findUnique({
+      where: { id },
+      include: {
+        items: { orderBy: { lineNumber: 'asc' } },
+        signer: { select: signerSelect }
+      }
+    });
+
+    if (!existingOffer) {
+      return res.status(404).json({
+        error: 'Price Offer Not Found',
+        message: 'The requested price offer was not found'
+      });
+    }
+
+    if (existingOffer.signerId !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access Denied',
+        message: 'Only the designated signer can sign this price offer'
+      });
+    }
+
+    if (existingOffer.signedAt) {
+      return res.status(400).json({
+        error: 'Price Offer Signed',
+        message: 'This price offer has already been signed'
+      });
+    }
+
+    const signedAt = new Date();
+    const signatureHash = await fingerprintDocument(generatePriceOfferPDF, existingOffer, signedAt);
+
+    const priceOffer = await prisma.$transaction(async (tx) => {
+      const updated = await tx.priceOffer.update({
+        where: { id },
+        data: { signedAt, signatureHash },
+        include: {
+          items: { orderBy: { lineNumber: 'asc' } },
+          signer: { select: signerSelect }
+        }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'PRICE_OFFER', entityId: id, before: existingOffer, after: updated });
+
+      return updated;
+    });
+
+    res.json({
+      message: 'Price offer signed successfully',
+      priceOffer
+    });
+  } catch (error) {
+    console.error('Sign price offer error:', error);
+    res.status(500).json({
+      error: 'Failed to sign price offer',
+      message: 'An error occurred while signing the price offer'
+    });
+  }
+});
+
+// Signature of the price offer, checked against the current rendering of the F.47
+router.get('/:id/signature', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const priceOffer = await prisma.priceOffer.findUnique({
+      where: { id },
+      include: {
+        items: { orderBy: { lineNumber: 'asc' } },
+        signer: { select: signerSelect }
+      }
+    });
+
+    if (!priceOffer) {
+      return res.status(404).json({
+        error: 'Price Offer Not Found',
+        message: 'The requested price offer was not found'
+      });
+    }
+
+    // Check access permissions
+    if (req.user.role === 'CLIENT' && priceOffer.createdById !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access Denied',
+        message: 'You can only access your own price offers'
+      });
+    }
+
+    res.json({ signature: await verifySignature(generatePriceOfferPDF, priceOffer) });
+  } catch (error) {
+    console.error('Verify price offer signature error:', error);
+    res.status(500).json({
+      error: 'Failed to verify signature',
+      message: 'An error occurred while verifying the price offer signature'
+    });
+  }
+});
+
 // Generate PDF for price offer
 router.get('/:id/pdf', authenticateToken, async (req, res) => {
   try {
@@ -353,7 +844,9 @@ router.get('/:id/pdf', authenticateToken, async (req, res) => {
           select: {
             name: true
           }
-        }
+        },
+        items: { orderBy: { lineNumber: 'asc' } },
+        signer: { select: signerSelect }
       }
     });
 
@@ -372,61 +865,11 @@ router.get('/:id/pdf', authenticateToken, async (req, res) => {
       });
     }
 
-    // Create PDF
-    const doc = new PDFDocument();
-    
-    // Set response headers
+    const pdfBuffer = await generatePriceOfferPDF(priceOffer);
+
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="price-offer-${id}.pdf"`);
-
-    // Pipe PDF to response
-    doc.pipe(res);
-
-    // Add content to PDF
-    doc.fontSize(18).text('AITTC / UM6P', { align: 'center' });
-    doc.moveDown();
-    doc.fontSize(14).text('Ferme expérimentale site Ben Guérir', { align: 'center' });
-    doc.moveDown();
-    doc.fontSize(12).text('Fiche : offre de prix', { align: 'center' });
-    doc.moveDown();
-
-    // Form details
-    doc.fontSize(10);
-    doc.text(`Code : F.47`);
-    doc.text(`Version : 01`);
-    doc.text(`Date : ${new Date(priceOffer.dateSent).toLocaleDateString()}`);
-    doc.moveDown();
-
-    doc.text(`Demande N° : ${priceOffer.orderNumber || 'N/A'}`);
-    doc.text(`Date : ${new Date(priceOffer.dateSent).toLocaleDateString()}`);
-    doc.moveDown();
-
-    doc.text(`Destinataire : ${priceOffer.destinataire}`);
-    doc.text(`Demandeur : ${priceOffer.demandeur}`);
-    if (priceOffer.contact) {
-      doc.text(`Contacts : ${priceOffer.contact}`);
-    }
-    doc.text(`Adresse : ${priceOffer.address}`);
-    doc.moveDown();
-
-    // Item details
-    doc.text('Numéro d\'ordre : 1');
-    doc.text(`Désignation article : ${priceOffer.itemDesignation}`);
-    if (priceOffer.techDescription) {
-      doc.text(`Description technique : ${priceOffer.techDescription}`);
-    }
-    doc.text(`Unité : ${priceOffer.unit}`);
-    doc.text(`Quantité : ${priceOffer.quantity}`);
-    doc.moveDown();
-
-    // Footer
-    doc.text('Centre AITTC de l\'Université Mohamed 6 Polytechniques (UM6P)');
-    doc.text('Adresse : Lot 660,Hay Moulay Rachid 43150, Ben Guérir - www.um6p.ma');
-    doc.text('R.C.n° 1037-Patente n° 45408944-I.F. 14437938-CNSS n° 9515919-ICE n° 000189568000063');
-    doc.text('Morocco');
-
-    // Finalize PDF
-    doc.end();
+    res.send(pdfBuffer);
   } catch (error) {
     console.error('Generate PDF error:', error);
     res.status(500).json({
@@ -0,0 +1,384 @@
+// src/routes/progressJournal.js
+// Dated progress journal of a project: observations, incidents, interventions and measurements with photos
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireOwnershipOrAdmin, requireSupervisorAccess } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+const { PHOTO_DIR, removePhotoFiles } = require('../utils/journalPhotos');
+
+// Mounted under /api/projects/:projectId/journal
+const router = express.Router({ mergeParams: true });
+const prisma = new PrismaClient();
+
+const PROGRESS_CATEGORIES = ['OBSERVATION', 'INCIDENT', 'INTERVENTION', 'MEASUREMENT'];
+const MAX_PHOTOS = 5;
+
+// Accepted photo formats: stored extension and how the file content starts
+const PHOTO_TYPES = {
+  'image/jpeg': { extension: '.jpg', matches: (header) => header.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  'image/png': { extension: '.png', matches: (header) => header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': { extension: '.webp', matches: (header) => header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP' }
+};
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(PHOTO_DIR, { recursive: true }, (error) => cb(error, PHOTO_DIR));
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${PHOTO_TYPES[file.mimetype].extension}`);
+    }
+  }),
+  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, files: MAX_PHOTOS },
+  fileFilter: (req, file, cb) => {
+    if (!PHOTO_TYPES[file.mimetype]) {
+      return cb(new Error('Photos must be JPEG, PNG or WebP images'));
+    }
+    cb(null, true);
+  }
+});
+
+// Whether an uploaded file really holds an image of its declared type
+const hasPhotoContent = async (file) => {
+  const handle = await fs.promises.open(file.path, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(12), 0, 12, 0);
+    return PHOTO_TYPES[file.mimetype].matches(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+};
+
+// Photos sent as the multipart field "photos"; upload errors and files that are not
+// what they claim to be are answered with 400
+const uploadPhotos = (req, res, next) => {
+  upload.array('photos', MAX_PHOTOS)(req, res, async (error) => {
+    if (error) {
+      return res.status(400).json({ error: 'Invalid Photos', message: error.message });
+    }
+
+    const files = req.files || [];
+    try {
+      const checks = await Promise.all(files.map(hasPhotoContent));
+      const invalid = files.find((file, index) => !checks[index]);
+      if (invalid) {
+        removePhotoFiles(files.map(file => file.filename));
+        return res.status(400).json({ error: 'Invalid Photos', message: `${invalid.originalname} is not a valid ${invalid.mimetype} image` });
+      }
+      next();
+    } catch (checkError) {
+      removePhotoFiles(files.map(file => file.filename));
+      next(checkError);
+    }
+  });
+};
+
+const photoData = (files) => files.map(file => ({
+  filename: file.filename,
+  originalName: file.originalname,
+  mimeType: file.mimetype,
+  size: file.size
+}));
+
+// Validation schemas
+const createEntryValidation = [
+  body('date').optional().isISO8601().withMessage('Date must be a valid date'),
+  body('category').isIn(PROGRESS_CATEGORIES).withMessage(`Category must be one of ${PROGRESS_CATEGORIES.join(', ')}`),
+  body('content').trim().isLength({ min: 1 }).withMessage('Content is required')
+];
+
+const updateEntryValidation = [
+  body('date').optional().isISO8601().withMessage('Date must be a valid date'),
+  body('category').optional().isIn(PROGRESS_CATEGORIES).withMessage(`Category must be one of ${PROGRESS_CATEGORIES.join(', ')}`),
+  body('content').optional().trim().isLength({ min: 1 }).withMessage('Content cannot be empty')
+];
+
+const entryInclude = {
+  author: { select: { id: true, name: true, role: true } },
+  photos: { select: { id: true, originalName: true, mimeType: true, size: true, createdAt: true }, orderBy: { createdAt: 'asc' } }
+};
+
+// Add the download URL of each photo
+const withPhotoUrls = (entry) => ({
+  ...entry,
+  photos: entry.photos.map(photo => ({
+    ...photo,
+    url: `/api/projects/${entry.projectId}/journal/${entry.id}/photos/${photo.id}`
+  }))
+});
+
+// Load an entry of the route's project; only its author or an admin may change it.
+// Returns { entry } or { status, body }.
+const findEditableEntry = async (req) => {
+  const entry = await prisma.progressEntry.findFirst({
+    where: { id: req.params.id, projectId: req.params.projectId },
+    include: { photos: true }
+  });
+
+  if (!entry) {
+    return { status: 404, body: { error: 'Entry Not Found', message: 'The requested journal entry was not found' } };
+  }
+  if (req.user.role !== 'ADMIN' && entry.authorId !== req.user.id) {
+    return { status: 403, body: { error: 'Access Denied', message: 'Only the author of an entry can change it' } };
+  }
+  return { entry };
+};
+
+// Get the journal of a project, newest first; filter by startDate, endDate and category (comma-separated)
+router.get('/', authenticateToken, requireOwnershipOrAdmin('project'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { page = 1, limit = 50, category, startDate, endDate } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Admins skip the ownership check, so the project may still not exist
+    const project = await prisma.project.findUnique({ where: { id: projectId }, select: { id: true } });
+    if (!project) {
+      return res.status(404).json({ error: 'Project Not Found', message: 'The requested project was not found' });
+    }
+
+    let whereClause = { projectId };
+
+    if (category) {
+      const categories = category.split(',').map(value => value.trim().toUpperCase());
+      if (categories.some(value => !PROGRESS_CATEGORIES.includes(value))) {
+        return res.status(400).json({ error: 'Invalid Category', message: `Category must be one of ${PROGRESS_CATEGORIES.join(', ')}` });
+      }
+      whereClause.category = { in: categories };
+    }
+
+    if (startDate || endDate) {
+      const start = startDate ? new Date(startDate) : null;
+      const end = endDate ? new Date(endDate) : null;
+
+      if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+        return res.status(400).json({ error: 'Invalid Date Range', message: 'startDate and endDate must be valid dates' });
+      }
+
+      whereClause.date = {};
+      if (start) whereClause.date.gte = start;
+      if (end) whereClause.date.lte = end;
+    }
+
+    const entries = await prisma.progressEntry.findMany({
+      where: whereClause,
+      include: entryInclude,
+      orderBy: [{ date: 'desc' }, { createdAt: 'desc' }],
+      skip: parseInt(skip),
+      take: parseInt(limit)
+    });
+
+    const total = await prisma.progressEntry.count({ where: whereClause });
+
+    res.json({
+      entries: entries.map(withPhotoUrls),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get progress journal error:', error);
+    res.status(500).json({ error: 'Failed to retrieve journal', message: 'An error occurred while fetching the progress journal' });
+  }
+});
+
+// Download a photo of an entry
+router.get('/:id/photos/:photoId', authenticateToken, requireOwnershipOrAdmin('project'), async (req, res) => {
+  try {
+    const { projectId, id, photoId } = req.params;
+    const photo = await prisma.progressPhoto.findFirst({
+      where: { id: photoId, entryId: id, entry: { projectId } }
+    });
+
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo Not Found', message: 'The requested photo was not found' });
+    }
+
+    // Only checked image formats are shown inline; the browser must not guess another type
+    const displayable = Boolean(PHOTO_TYPES[photo.mimeType]);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Content-Type', displayable ? photo.mimeType : 'application/octet-stream');
+    res.setHeader('Content-Disposition', `${displayable ? 'inline' : 'attachment'}; filename="${photo.originalName.replace(/"/g, '')}"`);
+    res.sendFile(path.resolve(PHOTO_DIR, photo.filename), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Photo Not Found', message: 'The photo file is missing' });
+      }
+    });
+  } catch (error) {
+    console.error('Get journal photo error:', error);
+    res.status(500).json({ error: 'Failed to retrieve photo', message: 'An error occurred while fetching the photo' });
+  }
+});
+
+// Add an entry with optional photos (Admin or the project supervisor); multipart/form-data or JSON
+router.post('/', authenticateToken, requireSupervisorAccess, uploadPhotos, createEntryValidation, async (req, res) => {
+  const files = req.files || [];
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removePhotoFiles(files.map(file => file.filename));
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { projectId } = req.params;
+    const { date, category, content } = req.body;
+
+    const entry = await prisma.$transaction(async (tx) => {
+      const created = await tx.progressEntry.create({
+        data: {
+          projectId,
+          authorId: req.user.id,
+          date: date ? new Date(date) : new Date(),
+          category,
+          content,
+          photos: { create: photoData(files) }
+        },
+        include: entryInclude
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'PROGRESS_ENTRY', entityId: created.id, after: created });
+
+      return created;
+    });
+
+    res.status(201).json({ message: 'Journal entry created successfully', entry: withPhotoUrls(entry) });
+  } catch (error) {
+    removePhotoFiles(files.map(file => file.filename));
+    console.error('Create journal entry error:', error);
+    res.status(500).json({ error: 'Failed to create journal entry', message: 'An error occurred while creating the journal entry' });
+  }
+});
+
+// Correct the date, category or text of an entry (its author or an admin)
+router.put('/:id', authenticateToken, requireSupervisorAccess, updateEntryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { entry: existingEntry, status, body: errorBody } = await findEditableEntry(req);
+    if (!existingEntry) {
+      return res.status(status).json(errorBody);
+    }
+
+    const { date, category, content } = req.body;
+
+    const entry = await prisma.$transaction(async (tx) => {
+      const updated = await tx.progressEntry.update({
+        where: { id: existingEntry.id },
+        data: {
+          date: date ? new Date(date) : undefined,
+          category,
+          content
+        },
+        include: entryInclude
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'PROGRESS_ENTRY', entityId: updated.id, before: existingEntry, after: updated });
+
+      return updated;
+    });
+
+    res.json({ message: 'Journal entry updated successfully', entry: withPhotoUrls(entry) });
+  } catch (error) {
+    console.error('Update journal entry error:', error);
+    res.status(500).json({ error: 'Failed to update journal entry', message: 'An error occurred while updating the journal entry' });
+  }
+});
+
+// Attach more photos to an entry (its author or an admin), up to MAX_PHOTOS in total
+router.post('/:id/photos', authenticateToken, requireSupervisorAccess, uploadPhotos, async (req, res) => {
+  const files = req.files || [];
+  try {
+    const { entry: existingEntry, status, body: errorBody } = await findEditableEntry(req);
+    if (!existingEntry) {
+      removePhotoFiles(files.map(file => file.filename));
+      return res.status(status).json(errorBody);
+    }
+
+    if (files.length === 0 || existingEntry.photos.length + files.length > MAX_PHOTOS) {
+      removePhotoFiles(files.map(file => file.filename));
+      return res.status(400).json({
+        error: 'Invalid Photos',
+        message: `Attach between 1 and ${MAX_PHOTOS - existingEntry.photos.length} photo(s); an entry holds at most ${MAX_PHOTOS}`
+      });
+    }
+
+    const entry = await prisma.$transaction(async (tx) => {
+      for (const data of photoData(files)) {
+        const photo = await tx.progressPhoto.create({ data: { ...data, entryId: existingEntry.id } });
+
+        await logAudit(tx, req, { action: 'CREATE', entityType: 'PROGRESS_PHOTO', entityId: photo.id, after: photo });
+      }
+
+      return tx.progressEntry.findUnique({ where: { id: existingEntry.id }, include: entryInclude });
+    });
+
+    res.status(201).json({ message: 'Photos added successfully', entry: withPhotoUrls(entry) });
+  } catch (error) {
+    removePhotoFiles(files.map(file => file.filename));
+    console.error('Add journal photos error:', error);
+    res.status(500).json({ error: 'Failed to add photos', message: 'An error occurred while adding the photos' });
+  }
+});
+
+// Remove a photo from an entry (its author or an admin)
+router.delete('/:id/photos/:photoId', authenticateToken, requireSupervisorAccess, async (req, res) => {
+  try {
+    const { entry, status, body: errorBody } = await findEditableEntry(req);
+    if (!entry) {
+      return res.status(status).json(errorBody);
+    }
+
+    const photo = entry.photos.find(candidate => candidate.id === req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo Not Found', message: 'The requested photo was not found' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.progressPhoto.delete({ where: { id: photo.id } });
+
+      await logAudit(tx, req, { action: 'DELETE', entityType: 'PROGRESS_PHOTO', entityId: photo.id, before: photo });
+    });
+    removePhotoFiles([photo.filename]);
+
+    res.json({ message: 'Photo deleted successfully' });
+  } catch (error) {
+    console.error('Delete journal photo error:', error);
+    res.status(500).json({ error: 'Failed to delete photo', message: 'An error occurred while deleting the photo' });
+  }
+});
+
+// Delete an entry and its photos (its author or an admin)
+router.delete('/:id', authenticateToken, requireSupervisorAccess, async (req, res) => {
+  try {
+    const { entry, status, body: errorBody } = await findEditableEntry(req);
+    if (!entry) {
+      return res.status(status).json(errorBody);
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.progressEntry.delete({ where: { id: entry.id } });
+
+      await logAudit(tx, req, { action: 'DELETE', entityType: 'PROGRESS_ENTRY', entityId: entry.id, before: entry });
+    });
+    removePhotoFiles(entry.photos.map(photo => photo.filename));
+
+    res.json({ message: 'Journal entry deleted successfully' });
+  } catch (error) {
+    console.error('Delete journal entry error:', error);
+    res.status(500).json({ error: 'Failed to delete journal entry', message: 'An error occurred while deleting the journal entry' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,273 @@
+// src/routes/projectPhases.js
+// Phases and milestones of a project, with planned and actual dates, owner and completion
+
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireOwnershipOrAdmin, requireSupervisorAccess } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+const { PHASE_KINDS, PHASE_STATUSES, phaseInclude, phaseOrder, slippageOf, createsDependencyCycle } = require('../utils/phases');
+
+// Mounted under /api/projects/:projectId/phases
+const router = express.Router({ mergeParams: true });
+const prisma = new PrismaClient();
+
+// Validation schemas
+const phaseFieldsValidation = [
+  body('kind').optional().isIn(PHASE_KINDS).withMessage(`Kind must be one of ${PHASE_KINDS.join(', ')}`),
+  body('plannedEnd').optional().isISO8601().withMessage('Planned end must be a valid date'),
+  body('actualStart').optional({ nullable: true }).isISO8601().withMessage('Actual start must be a valid date'),
+  body('actualEnd').optional({ nullable: true }).isISO8601().withMessage('Actual end must be a valid date'),
+  body('status').optional().isIn(PHASE_STATUSES).withMessage(`Status must be one of ${PHASE_STATUSES.join(', ')}`),
+  body('progress').optional().isInt({ min: 0, max: 100 }).withMessage('Progress must be between 0 and 100'),
+  body('ownerId').optional({ nullable: true }).isString().withMessage('Owner ID must be a string'),
+  body('dependsOnIds').optional().isArray().withMessage('Dependencies must be an array of phase IDs'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be a non-negative integer'),
+  body('notes').optional().trim()
+];
+
+const createPhaseValidation = [
+  body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  body('plannedStart').isISO8601().withMessage('Planned start must be a valid date'),
+  ...phaseFieldsValidation
+];
+
+const updatePhaseValidation = [
+  body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  body('plannedStart').optional().isISO8601().withMessage('Planned start must be a valid date'),
+  ...phaseFieldsValidation
+];
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+// Fill in what the kind and status imply, then check the dates.
+// Milestones are a single date; starting a phase records its actual start and completing it its actual end.
+// Returns { data } or { error, message }.
+const resolvePhase = (phase) => {
+  const data = { ...phase };
+  const now = new Date();
+
+  if (data.kind === 'MILESTONE' || !data.plannedEnd) data.plannedEnd = data.plannedStart;
+
+  if (data.status === 'PLANNED') {
+    data.actualStart = null;
+    data.actualEnd = null;
+  } else if (data.status === 'IN_PROGRESS') {
+    data.actualStart = data.actualStart || now;
+    data.actualEnd = null;
+  } else {
+    data.actualEnd = data.actualEnd || now;
+    data.actualStart = data.actualStart || data.actualEnd;
+    data.progress = 100;
+  }
+
+  if (data.plannedEnd < data.plannedStart) {
+    return { error: 'Invalid Date Range', message: 'Planned end must be after planned start' };
+  }
+  if (data.actualStart && data.actualEnd && data.actualEnd < data.actualStart) {
+    return { error: 'Invalid Date Range', message: 'Actual end must be after actual start' };
+  }
+  return { data };
+};
+
+// Dependencies are other phases of the same project, without cycles,
+// and must be completed before a phase starts
+const checkDependencies = async (projectId, phaseId, dependsOnIds, status) => {
+  const phases = await prisma.projectPhase.findMany({
+    where: { projectId },
+    select: { id: true, name: true, status: true, dependsOn: { select: { id: true } } }
+  });
+  const byId = new Map(phases.map(phase => [phase.id, phase]));
+
+  if (dependsOnIds.some(id => id === phaseId || !byId.has(id))) {
+    return { error: 'Invalid Dependency', message: 'Dependencies must be other phases of the same project' };
+  }
+  if (phaseId && createsDependencyCycle(phases, phaseId, dependsOnIds)) {
+    return { error: 'Dependency Cycle', message: 'These dependencies would make the phase depend on itself' };
+  }
+
+  const pending = dependsOnIds.map(id => byId.get(id)).filter(phase => phase.status !== 'COMPLETED');
+  if (status !== 'PLANNED' && pending.length > 0) {
+    return {
+      error: 'Dependencies Not Completed',
+      message: `Complete ${pending.map(phase => phase.name).join(', ')} before starting this phase`
+    };
+  }
+  return null;
+};
+
+const checkOwner = async (ownerId) => {
+  if (!ownerId) return null;
+
+  const owner = await prisma.user.findUnique({ where: { id: ownerId }, select: { id: true } });
+  return owner ? null : { error: 'Invalid Owner', message: 'The specified owner was not found' };
+};
+
+// Get the phases of a project with their slippage
+router.get('/', authenticateToken, requireOwnershipOrAdmin('project'), async (req, res) => {
+  try {
+    // Admins skip the ownership check, so the project may still not exist
+    const project = await prisma.project.findUnique({ where: { id: req.params.projectId }, select: { id: true } });
+    if (!project) {
+      return res.status(404).json({ error: 'Project Not Found', message: 'The requested project was not found' });
+    }
+
+    const phases = await prisma.projectPhase.findMany({
+      where: { projectId: project.id },
+      include: phaseInclude,
+      orderBy: phaseOrder
+    });
+    const slippages = slippageOf(phases);
+
+    res.json({ phases: phases.map(phase => ({ ...phase, slippage: slippages.get(phase.id) })) });
+  } catch (error) {
+    console.error('Get project phases error:', error);
+    res.status(500).json({ error: 'Failed to retrieve phases', message: 'An error occurred while fetching project phases' });
+  }
+});
+
+// Add a phase or milestone (Admin or the project supervisor)
+router.post('/', authenticateToken, requireSupervisorAccess, createPhaseValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { projectId } = req.params;
+    const { name, kind = 'PHASE', plannedStart, plannedEnd, actualStart, actualEnd, status = 'PLANNED', progress, ownerId, dependsOnIds = [], position, notes } = req.body;
+
+    const resolved = resolvePhase({
+      kind,
+      plannedStart: toDate(plannedStart),
+      plannedEnd: toDate(plannedEnd),
+      actualStart: toDate(actualStart),
+      actualEnd: toDate(actualEnd),
+      status,
+      progress: progress !== undefined ? parseInt(progress) : 0
+    });
+    if (resolved.error) {
+      return res.status(400).json(resolved);
+    }
+
+    const checkError = await checkDependencies(projectId, null, dependsOnIds, status) || await checkOwner(ownerId);
+    if (checkError) {
+      return res.status(400).json(checkError);
+    }
+
+    const phase = await prisma.$transaction(async (tx) => {
+      const created = await tx.projectPhase.create({
+        data: {
+          projectId,
+          name,
+          ...resolved.data,
+          ownerId: ownerId || null,
+          position: position !== undefined ? parseInt(position) : undefined,
+          notes,
+          dependsOn: { connect: dependsOnIds.map(id => ({ id })) }
+        },
+        include: phaseInclude
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'PROJECT_PHASE', entityId: created.id, after: created });
+
+      return created;
+    });
+
+    res.status(201).json({ message: 'Phase created successfully', phase });
+  } catch (error) {
+    console.error('Create project phase error:', error);
+    res.status(500).json({ error: 'Failed to create phase', message: 'An error occurred while creating the phase' });
+  }
+});
+
+// Update a phase: dates, owner, status and progress, dependencies (Admin or the project supervisor)
+router.put('/:id', authenticateToken, requireSupervisorAccess, updatePhaseValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { projectId, id } = req.params;
+    const { name, kind, plannedStart, plannedEnd, actualStart, actualEnd, status, progress, ownerId, dependsOnIds, position, notes } = req.body;
+
+    const existingPhase = await prisma.projectPhase.findFirst({
+      where: { id, projectId },
+      include: { dependsOn: { select: { id: true } } }
+    });
+    if (!existingPhase) {
+      return res.status(404).json({ error: 'Phase Not Found', message: 'The requested phase was not found' });
+    }
+
+    // null clears an actual date or the owner
+    const resolved = resolvePhase({
+      kind: kind || existingPhase.kind,
+      plannedStart: plannedStart ? new Date(plannedStart) : existingPhase.plannedStart,
+      plannedEnd: plannedEnd ? new Date(plannedEnd) : existingPhase.plannedEnd,
+      actualStart: actualStart !== undefined ? toDate(actualStart) : existingPhase.actualStart,
+      actualEnd: actualEnd !== undefined ? toDate(actualEnd) : existingPhase.actualEnd,
+      status: status || existingPhase.status,
+      progress: progress !== undefined ? parseInt(progress) : existingPhase.progress
+    });
+    if (resolved.error) {
+      return res.status(400).json(resolved);
+    }
+
+    const dependencyIds = dependsOnIds || existingPhase.dependsOn.map(dependency => dependency.id);
+    const checkError = ((dependsOnIds || status) && await checkDependencies(projectId, id, dependencyIds, resolved.data.status))
+      || await checkOwner(ownerId);
+    if (checkError) {
+      return res.status(400).json(checkError);
+    }
+
+    const phase = await prisma.$transaction(async (tx) => {
+      const updated = await tx.projectPhase.update({
+        where: { id },
+        data: {
+          name,
+          ...resolved.data,
+          ownerId: ownerId === undefined ? undefined : ownerId || null,
+          position: position !== undefined ? parseInt(position) : undefined,
+          notes,
+          dependsOn: dependsOnIds ? { set: dependsOnIds.map(dependencyId => ({ id: dependencyId })) } : undefined
+        },
+        include: phaseInclude
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'PROJECT_PHASE', entityId: id, before: existingPhase, after: updated });
+
+      return updated;
+    });
+
+    res.json({ message: 'Phase updated successfully', phase });
+  } catch (error) {
+    console.error('Update project phase error:', error);
+    res.status(500).json({ error: 'Failed to update phase', message: 'An error occurred while updating the phase' });
+  }
+});
+
+// Delete a phase (Admin or the project supervisor); phases depending on it lose that dependency
+router.delete('/:id', authenticateToken, requireSupervisorAccess, async (req, res) => {
+  try {
+    const { projectId, id } = req.params;
+    const phase = await prisma.projectPhase.findFirst({ where: { id, projectId } });
+
+    if (!phase) {
+      return res.status(404).json({ error: 'Phase Not Found', message: 'The requested phase was not found' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.projectPhase.delete({ where: { id } });
+
+      await logAudit(tx, req, { action: 'DELETE', entityType: 'PROJECT_PHASE', entityId: id, before: phase });
+    });
+
+    res.json({ message: 'Phase deleted successfully' });
+  } catch (error) {
+    console.error('Delete project phase error:', error);
+    res.status(500).json({ error: 'Failed to delete phase', message: 'An error occurred while deleting the phase' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,12 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken, requireRole, requireOwnershipOrAdmin, requireSupervisorAccess } = require('../middleware/auth');
+const { ACTIVE_PROJECT_STATUSES, getFieldAvailability, checkParcelSelection, checkParcels, syncFreeSurface } = require('../utils/occupancy');
+const { promoteWaitlist } = require('../utils/waitlist');
+const { logAudit } = require('../utils/audit');
+const { removePhotoFiles } = require('../utils/journalPhotos');
+const { checkActivityType, checkProjectAttributes } = require('../utils/activityTypes');
+const { phaseInclude, phaseOrder, slippageOf } = require('../utils/phases');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -15,7 +21,9 @@ const createProjectValidation = [
   body('surfaceM2').isFloat({ min: 0.1 }).withMessage('Surface area must be greater than 0'),
   body('startDate').isISO8601().withMessage('Start date must be a valid date'),
   body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
-  body('activityTypeId').optional().isUUID().withMessage('Activity type ID must be a valid UUID')
+  body('activityTypeId').optional().isString().withMessage('Activity type ID must be a string'),
+  body('attributes').optional().isObject().withMessage('Attributes must be an object'),
+  body('parcelIds').optional().isArray().withMessage('Parcel IDs must be an array')
 ];
 
 const updateProjectValidation = [
@@ -24,7 +32,9 @@ const updateProjectValidation = [
   body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
   body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
   body('status').optional().isIn(['EN_COURS', 'FINALISE', 'PROGRAMME', 'A_LANCER']).withMessage('Invalid project status'),
-  body('activityTypeId').optional().isUUID().withMessage('Activity type ID must be a valid UUID')
+  body('activityTypeId').optional().isString().withMessage('Activity type ID must be a string'),
+  body('attributes').optional().isObject().withMessage('Attributes must be an object'),
+  body('parcelIds').optional().isArray().withMessage('Parcel IDs must be an array')
 ];
 
 // Get all projects (filtered by user role)
@@ -177,7 +187,8 @@ router.get('/:id', authenticateToken, requireOwnershipOrAdmin('project'), async
           select: {
             id: true,
             label: true,
-            description: true
+            description: true,
+            attributes: true
           }
         },
         reservation: {
@@ -186,6 +197,21 @@ router.get('/:id', authenticateToken, requireOwnershipOrAdmin('project'), async
             status: true,
             createdAt: true
           }
+        },
+        parcels: {
+          select: {
+            id: true,
+            code: true,
+            surfaceM2: true,
+            geometry: true
+          },
+          orderBy: {
+            code: 'asc'
+          }
+        },
+        phases: {
+          include: phaseInclude,
+          orderBy: phaseOrder
         }
       }
     });
@@ -197,6 +223,9 @@ router.get('/:id', authenticateToken, requireOwnershipOrAdmin('project'), async
       });
     }
 
+    const slippages = slippageOf(project.phases);
+    project.phases = project.phases.map(phase => ({ ...phase, slippage: slippages.get(phase.id) }));
+
     res.json({ project });
   } catch (error) {
     console.error('Get project error:', error);
@@ -218,9 +247,16 @@ router.post('/', authenticateToken, requireRole('ADMIN'), createProjectValidatio
       });
     }
 
-    const { title, fieldId, clientId, supervisorId, surfaceM2, startDate, endDate, activityTypeId, status = 'A_LANCER' } = req.body;
+    const { title, fieldId, clientId, supervisorId, surfaceM2, startDate, endDate, activityTypeId, attributes, status = 'A_LANCER', parcelIds = [] } = req.body;
+
+    if (endDate && new Date(endDate) < new Date(startDate)) {
+      return res.status(400).json({
+        error: 'Invalid Date Range',
+        message: 'End date must be after start date'
+      });
+    }
 
-    // Check if field exists and has sufficient free surface
+    // Check if field exists and has sufficient free surface for the project dates
     const field = await prisma.field.findUnique({
       where: { id: fieldId }
     });
@@ -239,11 +275,27 @@ router.post('/', authenticateToken, requireRole('ADMIN'), createProjectValidatio
       });
     }
 
-    if (surfaceM2 > field.freeSurfaceM2) {
-      return res.status(400).json({
-        error: 'Insufficient Surface Area',
-        message: `Requested surface area (${surfaceM2} m²) exceeds available area (${field.freeSurfaceM2} m²)`
-      });
+    if (ACTIVE_PROJECT_STATUSES.includes(status)) {
+      const availability = await getFieldAvailability(prisma, field, new Date(startDate), endDate ? new Date(endDate) : null);
+      if (surfaceM2 > availability.freeSurfaceM2) {
+        return res.status(400).json({
+          error: 'Insufficient Surface Area',
+          message: `Requested surface area (${surfaceM2} m²) exceeds available area (${availability.freeSurfaceM2} m²) for the project dates`
+        });
+      }
+
+      if (parcelIds.length > 0) {
+        const parcelError = await checkParcels(prisma, field, parcelIds, surfaceM2, new Date(startDate), endDate ? new Date(endDate) : null);
+        if (parcelError) {
+          return res.status(400).json(parcelError);
+        }
+      }
+    } else if (parcelIds.length > 0) {
+      // Projects that do not occupy the field yet still only take its own parcels
+      const parcelError = await checkParcelSelection(prisma, field, parcelIds, surfaceM2);
+      if (parcelError) {
+        return res.status(400).json(parcelError);
+      }
     }
 
     // Check if client exists
@@ -270,6 +322,21 @@ router.post('/', authenticateToken, requireRole('ADMIN'), createProjectValidatio
       });
     }
 
+    // Attributes required by the activity type (e.g. variety and sowing date for cereals)
+    let activityType = null;
+    if (activityTypeId) {
+      const activityTypeCheck = await checkActivityType(prisma, activityTypeId);
+      if (!activityTypeCheck.activityType) {
+        return res.status(activityTypeCheck.status).json(activityTypeCheck.body);
+      }
+      activityType = activityTypeCheck.activityType;
+    }
+
+    const attributeCheck = checkProjectAttributes(activityType, attributes);
+    if (attributeCheck.body) {
+      return res.status(attributeCheck.status).json(attributeCheck.body);
+    }
+
     // Use transaction to ensure data consistency
     const result = await prisma.$transaction(async (tx) => {
       // Create project
@@ -280,10 +347,12 @@ router.post('/', authenticateToken, requireRole('ADMIN'), createProjectValidatio
           clientId,
           supervisorId,
           activityTypeId,
+          attributes: attributeCheck.attributes || undefined,
           surfaceM2,
           startDate: new Date(startDate),
           endDate: endDate ? new Date(endDate) : null,
-          status
+          status,
+          parcels: { connect: parcelIds.map(parcelId => ({ id: parcelId })) }
         },
         include: {
           client: {
@@ -310,18 +379,13 @@ router.post('/', authenticateToken, requireRole('ADMIN'), createProjectValidatio
         }
       });
 
-      // Update field free surface if project is active
-      if (['EN_COURS', 'PROGRAMME', 'A_LANCER'].includes(status)) {
-        await tx.field.update({
-          where: { id: fieldId },
-          data: {
-            freeSurfaceM2: {
-              decrement: surfaceM2
-            }
-          }
-        });
+      // Refresh field free surface if project is active
+      if (ACTIVE_PROJECT_STATUSES.includes(status)) {
+        await syncFreeSurface(tx, fieldId);
       }
 
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'PROJECT', entityId: project.id, after: project });
+
       return project;
     });
 
@@ -350,13 +414,14 @@ router.put('/:id', authenticateToken, requireOwnershipOrAdmin('project'), update
     }
 
     const { id } = req.params;
-    const { title, surfaceM2, startDate, endDate, status, activityTypeId, progressNotes } = req.body;
+    const { title, surfaceM2, startDate, endDate, status, activityTypeId, attributes, progressNotes, parcelIds } = req.body;
 
     // Get existing project
     const existingProject = await prisma.project.findUnique({
       where: { id },
       include: {
-        field: true
+        field: true,
+        parcels: { select: { id: true } }
       }
     });
 
@@ -367,66 +432,84 @@ router.put('/:id', authenticateToken, requireOwnershipOrAdmin('project'), update
       });
     }
 
-    // Use transaction to ensure data consistency
-    const result = await prisma.$transaction(async (tx) => {
-      let updatedData = {};
-
-      // Handle surface area changes
-      if (surfaceM2 && surfaceM2 !== existingProject.surfaceM2) {
-        const surfaceDifference = surfaceM2 - existingProject.surfaceM2;
-        
-        // Check if field has sufficient free surface for increase
-        if (surfaceDifference > 0 && surfaceDifference > existingProject.field.freeSurfaceM2) {
-          throw new Error(`Insufficient surface area. Available: ${existingProject.field.freeSurfaceM2} m², Required: ${surfaceDifference} m²`);
+    // Attributes are checked against the activity type whenever either of them changes
+    let attributeCheck = null;
+    if (activityTypeId || attributes !== undefined) {
+      let activityType = null;
+      if (activityTypeId && activityTypeId !== existingProject.activityTypeId) {
+        const activityTypeCheck = await checkActivityType(prisma, activityTypeId);
+        if (!activityTypeCheck.activityType) {
+          return res.status(activityTypeCheck.status).json(activityTypeCheck.body);
         }
+        activityType = activityTypeCheck.activityType;
+      } else if (existingProject.activityTypeId) {
+        activityType = await prisma.activityType.findUnique({ where: { id: existingProject.activityTypeId } });
+      }
 
-        updatedData.surfaceM2 = surfaceM2;
+      attributeCheck = checkProjectAttributes(activityType, attributes !== undefined ? attributes : existingProject.attributes);
+      if (attributeCheck.body) {
+        return res.status(attributeCheck.status).json(attributeCheck.body);
+      }
+    }
 
-        // Update field free surface
-        await tx.field.update({
-          where: { id: existingProject.fieldId },
-          data: {
-            freeSurfaceM2: {
-              decrement: surfaceDifference
-            }
-          }
+    // Re-check field availability when the project keeps or regains surface with new dates or size
+    const newSurfaceM2 = surfaceM2 || existingProject.surfaceM2;
+    const newStartDate = startDate ? new Date(startDate) : existingProject.startDate;
+    const newEndDate = endDate ? new Date(endDate) : existingProject.endDate;
+    const newStatus = status || existingProject.status;
+
+    if (newEndDate && newEndDate < newStartDate) {
+      return res.status(400).json({
+        error: 'Invalid Date Range',
+        message: 'End date must be after start date'
+      });
+    }
+
+    const newParcelIds = parcelIds || existingProject.parcels.map(parcel => parcel.id);
+    const occupancyChanged = surfaceM2 || startDate || endDate || parcelIds ||
+      (status && !ACTIVE_PROJECT_STATUSES.includes(existingProject.status));
+
+    if (ACTIVE_PROJECT_STATUSES.includes(newStatus) && occupancyChanged) {
+      const availability = await getFieldAvailability(prisma, existingProject.field, newStartDate, newEndDate, {
+        excludeProjectId: id
+      });
+
+      if (newSurfaceM2 > availability.freeSurfaceM2) {
+        return res.status(400).json({
+          error: 'Insufficient Surface Area',
+          message: `Requested surface area (${newSurfaceM2} m²) exceeds available area (${availability.freeSurfaceM2} m²) for the project dates`
         });
       }
 
-      // Handle status changes
-      if (status && status !== existingProject.status) {
-        updatedData.status = status;
-
-        // If project is being finalized, release surface area back to field
-        if (status === 'FINALISE' && existingProject.status !== 'FINALISE') {
-          await tx.field.update({
-            where: { id: existingProject.fieldId },
-            data: {
-              freeSurfaceM2: {
-                increment: existingProject.surfaceM2
-              }
-            }
-          });
-        }
-        // If project is being reactivated, reserve surface area again
-        else if (existingProject.status === 'FINALISE' && status !== 'FINALISE') {
-          await tx.field.update({
-            where: { id: existingProject.fieldId },
-            data: {
-              freeSurfaceM2: {
-                decrement: existingProject.surfaceM2
-              }
-            }
-          });
+      if (newParcelIds.length > 0) {
+        const parcelError = await checkParcels(prisma, existingProject.field, newParcelIds, newSurfaceM2, newStartDate, newEndDate, {
+          excludeProjectId: id
+        });
+        if (parcelError) {
+          return res.status(400).json(parcelError);
         }
       }
+    } else if (parcelIds && parcelIds.length > 0) {
+      // Projects that do not occupy the field yet still only take its own parcels
+      const parcelError = await checkParcelSelection(prisma, existingProject.field, parcelIds, newSurfaceM2);
+      if (parcelError) {
+        return res.status(400).json(parcelError);
+      }
+    }
 
-      // Add other updates
+    // Use transaction to ensure data consistency
+    const result = await prisma.$transaction(async (tx) => {
+      let updatedData = {};
+
+      if (surfaceM2) updatedData.surfaceM2 = surfaceM2;
+      if (status) updatedData.status = status;
       if (title) updatedData.title = title;
-      if (startDate) updatedData.startDate = new Date(startDate);
-      if (endDate) updatedData.endDate = new Date(endDate);
+      if (startDate) updatedData.startDate = newStartDate;
+      if (endDate) updatedData.endDate = newEndDate;
       if (activityTypeId) updatedData.activityTypeId = activityTypeId;
+      if (attributeCheck && attributeCheck.attributes) updatedData.attributes = attributeCheck.attributes;
       if (progressNotes !== undefined) updatedData.progressNotes = progressNotes;
+      if (parcelIds) updatedData.parcels = { set: parcelIds.map(parcelId => ({ id: parcelId })) };
 
       // Update project
       const updatedProject = await tx.project.update({
@@ -463,9 +546,17 @@ router.put('/:id', authenticateToken, requireOwnershipOrAdmin('project'), update
         }
       });
 
+      // Surface held by the project may have changed (size, dates or finalisation)
+      await syncFreeSurface(tx, existingProject.fieldId);
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'PROJECT', entityId: id, before: existingProject, after: updatedProject });
+
       return updatedProject;
     });
 
+    // Finalising or shrinking the project may have freed surface
+    await promoteWaitlist(prisma, existingProject.fieldId);
+
     res.json({
       message: 'Project updated successfully',
       project: result
@@ -479,7 +570,8 @@ router.put('/:id', authenticateToken, requireOwnershipOrAdmin('project'), update
   }
 });
 
-// Update project progress notes (Supervisor only)
+// Record a progress note (Supervisor only): added to the project journal as an observation
+// and kept as the latest progress note of the project
 router.patch('/:id/progress', authenticateToken, requireSupervisorAccess, async (req, res) => {
   try {
     const { id } = req.params;
@@ -492,34 +584,61 @@ router.patch('/:id/progress', authenticateToken, requireSupervisorAccess, async
       });
     }
 
-    const project = await prisma.project.update({
-      where: { id },
-      data: {
-        progressNotes
-      },
-      include: {
-        client: {
-          select: {
-            id: true,
-            name: true,
-            email: true
-          }
-        },
-        supervisor: {
-          select: {
-            id: true,
-            name: true,
-            email: true
-          }
+    const existingProject = await prisma.project.findUnique({ where: { id } });
+
+    if (!existingProject) {
+      return res.status(404).json({
+        error: 'Project Not Found',
+        message: 'The requested project was not found'
+      });
+    }
+
+    const project = await prisma.$transaction(async (tx) => {
+      const entry = await tx.progressEntry.create({
+        data: {
+          projectId: id,
+          authorId: req.user.id,
+          date: new Date(),
+          category: 'OBSERVATION',
+          content: progressNotes
+        }
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'PROGRESS_ENTRY', entityId: entry.id, after: entry });
+
+      const updatedProject = await tx.project.update({
+        where: { id },
+        data: {
+          progressNotes
         },
-        field: {
-          select: {
-            id: true,
-            name: true,
-            location: true
+        include: {
+          client: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
+          },
+          supervisor: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
+          },
+          field: {
+            select: {
+              id: true,
+              name: true,
+              location: true
+            }
           }
         }
-      }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'PROJECT', entityId: id, before: existingProject, after: updatedProject });
+
+      return updatedProject;
     });
 
     res.json({
@@ -554,26 +673,33 @@ router.delete('/:id', authenticateToken, requireRole('ADMIN'), async (req, res)
       });
     }
 
+    // The journal entries and their photo rows go with the project; the files are removed once it is deleted
+    const photos = await prisma.progressPhoto.findMany({
+      where: { entry: { projectId: id } },
+      select: { filename: true }
+    });
+
     // Use transaction to ensure data consistency
     await prisma.$transaction(async (tx) => {
-      // Release surface area back to field if project is active
-      if (['EN_COURS', 'PROGRAMME', 'A_LANCER'].includes(project.status)) {
-        await tx.field.update({
-          where: { id: project.fieldId },
-          data: {
-            freeSurfaceM2: {
-              increment: project.surfaceM2
-            }
-          }
-        });
-      }
-
       // Delete project
       await tx.project.delete({
         where: { id }
       });
+
+      await logAudit(tx, req, { action: 'DELETE', entityType: 'PROJECT', entityId: id, before: project });
+
+      // Release surface area back to field if project was active
+      if (ACTIVE_PROJECT_STATUSES.includes(project.status)) {
+        await syncFreeSurface(tx, project.fieldId);
+      }
     });
 
+    removePhotoFiles(photos.map(photo => photo.filename));
+
+    if (ACTIVE_PROJECT_STATUSES.includes(project.status)) {
+      await promoteWaitlist(prisma, project.fieldId);
+    }
+
     res.json({
       message: 'Project deleted successfully'
     });
@@ -0,0 +1,303 @@
+// src/routes/purchaseOrders.js
+// Purchase orders (bons de commande): accepted price offer -> purchase order -> F.84 service order
+
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+const { buildQuoteComparison } = require('../utils/quotes');
+const { nextDocumentNumber, findMarketNumberConflict, isMarketNumberConflict } = require('../utils/numbering');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation schemas
+const createPurchaseOrderValidation = [
+  body('priceOfferId').notEmpty().withMessage('Price offer ID is required'),
+  body('supplierId').optional().isString().withMessage('Supplier ID must be a string'),
+  body('objet').optional().trim().isLength({ min: 3 }).withMessage('Objet must be at least 3 characters'),
+  body('notes').optional().trim()
+];
+
+const createServiceOrderValidation = [
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('clientRep').trim().notEmpty().withMessage('Client representative is required'),
+  body('marketNumber').optional().trim(),
+  body('objet').optional().trim().notEmpty().withMessage('Objet cannot be empty')
+];
+
+// Upstream price offer and downstream service orders of a purchase order
+const purchaseOrderInclude = {
+  supplier: true,
+  createdBy: { select: { id: true, name: true, email: true } },
+  items: { orderBy: { lineNumber: 'asc' } },
+  priceOffer: { select: { id: true, orderNumber: true, destinataire: true, dateSent: true, status: true } },
+  serviceOrders: { select: { id: true, number: true, objet: true, startDate: true, status: true } }
+};
+
+// Get purchase orders
+router.get('/', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, supplierId, search } = req.query;
+    const skip = (page - 1) * limit;
+
+    let whereClause = {};
+    if (status) whereClause.status = status;
+    if (supplierId) whereClause.supplierId = supplierId;
+    if (search) {
+      whereClause.OR = [
+        { number: { contains: search, mode: 'insensitive' } },
+        { objet: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    const purchaseOrders = await prisma.purchaseOrder.findMany({
+      where: whereClause,
+      include: {
+        supplier: { select: { id: true, name: true } },
+        priceOffer: { select: { id: true, orderNumber: true } },
+        _count: { select: { serviceOrders: true } }
+      },
+      orderBy: { orderDate: 'desc' },
+      skip: parseInt(skip),
+      take: parseInt(limit)
+    });
+
+    const total = await prisma.purchaseOrder.count({ where: whereClause });
+
+    res.json({
+      purchaseOrders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({ error: 'Failed to retrieve purchase orders', message: 'An error occurred while fetching purchase orders' });
+  }
+});
+
+// Get a purchase order with its upstream and downstream documents
+router.get('/:id', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const purchaseOrder = await prisma.purchaseOrder.findUnique({
+      where: { id },
+      include: purchaseOrderInclude
+    });
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase Order Not Found', message: 'The requested purchase order was not found' });
+    }
+
+    res.json({ purchaseOrder });
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({ error: 'Failed to retrieve purchase order', message: 'An error occurred while fetching the purchase order' });
+  }
+});
+
+// Generate the purchase order of an accepted price offer.
+// Without supplierId, the best-priced supplier of the quote comparison is used.
+router.post('/', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), createPurchaseOrderValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { priceOfferId, objet, notes } = req.body;
+
+    const priceOffer = await prisma.priceOffer.findUnique({
+      where: { id: priceOfferId },
+      include: {
+        items: { orderBy: { lineNumber: 'asc' } },
+        recipients: { include: { supplier: true, quotes: true } },
+        purchaseOrder: { select: { id: true, number: true } }
+      }
+    });
+
+    if (!priceOffer) {
+      return res.status(404).json({ error: 'Price Offer Not Found', message: 'The requested price offer was not found' });
+    }
+    if (!priceOffer.signedAt) {
+      return res.status(400).json({ error: 'Price Offer Not Signed', message: 'Price offers must be signed before they are sent' });
+    }
+    if (priceOffer.status !== 'ACCEPTED') {
+      return res.status(400).json({ error: 'Price Offer Not Accepted', message: 'Only accepted price offers can generate a purchase order' });
+    }
+    if (priceOffer.purchaseOrder) {
+      return res.status(409).json({
+        error: 'Purchase Order Already Exists',
+        message: `Purchase order ${priceOffer.purchaseOrder.number} was already generated from this price offer`,
+        purchaseOrderId: priceOffer.purchaseOrder.id
+      });
+    }
+
+    const supplierId = req.body.supplierId || buildQuoteComparison(priceOffer).bestSupplierId;
+    if (!supplierId) {
+      return res.status(400).json({
+        error: 'Supplier Required',
+        message: 'No supplier quoted every item of this price offer; select a supplier'
+      });
+    }
+
+    const supplier = await prisma.supplier.findUnique({ where: { id: supplierId } });
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier Not Found', message: 'The requested supplier was not found' });
+    }
+
+    // Prices returned by the supplier for this request, when it was consulted
+    const recipient = priceOffer.recipients.find(r => r.supplierId === supplierId);
+    const pricesByItem = new Map(recipient ? recipient.quotes.map(quote => [quote.itemId, quote.unitPrice]) : []);
+    const items = priceOffer.items.map(item => ({
+      lineNumber: item.lineNumber,
+      designation: item.designation,
+      techDescription: item.techDescription,
+      unit: item.unit,
+      quantity: item.quantity,
+      unitPrice: pricesByItem.has(item.id) ? pricesByItem.get(item.id) : null
+    }));
+    const totalAmount = items.every(item => item.unitPrice !== null)
+      ? Math.round(items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0) * 100) / 100
+      : null;
+
+    const purchaseOrder = await prisma.$transaction(async (tx) => {
+      const orderDate = new Date();
+      const created = await tx.purchaseOrder.create({
+        data: {
+          number: await nextDocumentNumber(tx, 'PURCHASE_ORDER', orderDate),
+          priceOfferId,
+          supplierId,
+          objet: objet || priceOffer.items.map(item => item.designation).join(', '),
+          orderDate,
+          totalAmount,
+          notes,
+          createdById: req.user.id,
+          items: { create: items }
+        },
+        include: purchaseOrderInclude
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'PURCHASE_ORDER', entityId: created.id, after: created });
+
+      return created;
+    });
+
+    res.status(201).json({ message: 'Purchase order created successfully', purchaseOrder });
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    res.status(500).json({ error: 'Failed to create purchase order', message: 'An error occurred while creating the purchase order' });
+  }
+});
+
+// Update purchase order status
+router.patch('/:id/status', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), [
+  body('status').isIn(['ISSUED', 'DELIVERED', 'CANCELLED']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { status } = req.body;
+
+    const existingOrder = await prisma.purchaseOrder.findUnique({ where: { id } });
+    if (!existingOrder) {
+      return res.status(404).json({ error: 'Purchase Order Not Found', message: 'The requested purchase order was not found' });
+    }
+
+    const purchaseOrder = await prisma.$transaction(async (tx) => {
+      const updated = await tx.purchaseOrder.update({
+        where: { id },
+        data: { status },
+        include: purchaseOrderInclude
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'PURCHASE_ORDER', entityId: id, before: existingOrder, after: updated });
+
+      return updated;
+    });
+
+    res.json({ message: 'Purchase order status updated successfully', purchaseOrder });
+  } catch (error) {
+    console.error('Update purchase order status error:', error);
+    res.status(500).json({ error: 'Failed to update purchase order status', message: 'An error occurred while updating the purchase order status' });
+  }
+});
+
+// Generate the F.84 service order of a purchase order, pre-filled with its supplier, BC number and object
+router.post('/:id/service-order', authenticateToken, requireRole('ADMIN'), createServiceOrderValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { startDate, clientRep, marketNumber, objet } = req.body;
+
+    const purchaseOrder = await prisma.purchaseOrder.findUnique({
+      where: { id },
+      include: { supplier: true }
+    });
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase Order Not Found', message: 'The requested purchase order was not found' });
+    }
+    if (purchaseOrder.status === 'CANCELLED') {
+      return res.status(400).json({ error: 'Purchase Order Cancelled', message: 'Cancelled purchase orders cannot generate a service order' });
+    }
+
+    const marketNumberConflict = await findMarketNumberConflict(prisma, marketNumber);
+    if (marketNumberConflict) {
+      return res.status(409).json({
+        error: 'Market Number Already Used',
+        message: `Market number ${marketNumber} is already used by service order ${marketNumberConflict.number}`
+      });
+    }
+
+    const serviceOrder = await prisma.$transaction(async (tx) => {
+      const created = await tx.serviceOrder.create({
+        data: {
+          number: await nextDocumentNumber(tx, 'SERVICE_ORDER'),
+          objet: objet || purchaseOrder.objet,
+          marketNumber,
+          bcNumber: purchaseOrder.number,
+          startDate: new Date(startDate),
+          clientRep,
+          supplier: purchaseOrder.supplier.name,
+          supplierId: purchaseOrder.supplierId,
+          purchaseOrderId: id,
+          createdById: req.user.id
+        },
+        include: {
+          purchaseOrder: { select: { id: true, number: true, priceOfferId: true } }
+        }
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'SERVICE_ORDER', entityId: created.id, after: created });
+
+      return created;
+    });
+
+    res.status(201).json({ message: 'Service order created successfully', serviceOrder });
+  } catch (error) {
+    console.error('Create service order from purchase order error:', error);
+    if (isMarketNumberConflict(error)) {
+      return res.status(409).json({
+        error: 'Market Number Already Used',
+        message: `Market number ${req.body.marketNumber} is already used by another service order`
+      });
+    }
+    res.status(500).json({ error: 'Failed to create service order', message: 'An error occurred while creating the service order' });
+  }
+});
+
+module.exports = router;
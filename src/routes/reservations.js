@@ -5,6 +5,19 @@ const { PrismaClient } = require('@prisma/client');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken, requireRole, requireOwnershipOrAdmin } = require('../middleware/auth');
 const { sendReservationStatusEmail, sendProjectAssignmentEmail } = require('../utils/email');
+const {
+  HOLDING_RESERVATION_STATUSES,
+  ACTIVE_PROJECT_STATUSES,
+  parseWindow,
+  getFieldAvailability,
+  checkParcels,
+  getConflictReport,
+  syncFreeSurface
+} = require('../utils/occupancy');
+const { canTransition, recordDecision, expirePendingReservations } = require('../utils/reservationLifecycle');
+const { promoteWaitlist } = require('../utils/waitlist');
+const { logAudit } = require('../utils/audit');
+const { checkActivityType, checkProjectAttributes } = require('../utils/activityTypes');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -15,13 +28,78 @@ const createReservationValidation = [
   body('surfaceM2Requested').isFloat({ min: 0.1 }).withMessage('Surface area must be greater than 0'),
   body('startRequested').isISO8601().withMessage('Start date must be a valid date'),
   body('endRequested').isISO8601().withMessage('End date must be a valid date'),
+  body('parcelIds').optional().isArray().withMessage('Parcel IDs must be an array'),
+  body('activityTypeId').optional().isString().withMessage('Activity type ID must be a string'),
 ];
 
 const updateReservationValidation = [
   body('status').isIn(['APPROVED', 'REJECTED']).withMessage('Status must be APPROVED or REJECTED'),
-  body('supervisorId').optional().isUUID().withMessage('Supervisor ID must be a valid UUID')
+  body('reason')
+    .if(body('status').equals('REJECTED'))
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required when rejecting a reservation'),
+  body('comments').optional().trim(),
+  body('supervisorId').optional().isString().notEmpty().withMessage('Supervisor ID must be a valid ID'),
+  body('createProject').optional().isBoolean().withMessage('createProject must be a boolean'),
+  body('projectTitle').optional().trim().isLength({ min: 3 }).withMessage('Project title must be at least 3 characters'),
+  body('activityTypeId').optional().isString().withMessage('Activity type ID must be a string'),
+  body('attributes').optional().isObject().withMessage('Attributes must be an object')
 ];
 
+const cancelReservationValidation = [
+  body('reason').optional().trim()
+];
+
+const requestModificationValidation = [
+  body('surfaceM2Requested').optional().isFloat({ min: 0.1 }).withMessage('Surface area must be greater than 0'),
+  body('startRequested').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endRequested').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('reason').optional().trim()
+];
+
+const decideModificationValidation = [
+  body('decision').isIn(['ACCEPT', 'DECLINE']).withMessage('Decision must be ACCEPT or DECLINE'),
+  body('comments').optional().trim()
+];
+
+// Check that a request fits its field for the requested dates.
+// Returns null when it fits, otherwise { status, body } where body carries the
+// conflicting reservations/projects and suggested alternatives.
+// `options.excludeReservationId` ignores the surface already held by a reservation being changed.
+const checkReservationFits = async (field, surfaceM2, start, end, parcelIds = [], options = {}) => {
+  let parcelProblem = null;
+  if (parcelIds.length > 0) {
+    parcelProblem = await checkParcels(prisma, field, parcelIds, surfaceM2, start, end, options);
+
+    // Unknown parcels or parcels too small: nothing to suggest
+    if (parcelProblem && !parcelProblem.conflicts) {
+      return { status: 400, body: parcelProblem };
+    }
+  }
+
+  const availability = await getFieldAvailability(prisma, field, start, end, options);
+  let problem = parcelProblem;
+  if (surfaceM2 > availability.freeSurfaceM2) {
+    problem = {
+      error: 'Insufficient Surface Area',
+      message: `Requested surface area (${surfaceM2} m²) exceeds available area (${availability.freeSurfaceM2} m²) for the requested dates`
+    };
+  }
+
+  if (!problem) return null;
+
+  const report = await getConflictReport(prisma, field, surfaceM2, start, end, { ...options, parcelIds });
+  return {
+    status: 409,
+    body: {
+      error: problem.error,
+      message: problem.message,
+      ...report
+    }
+  };
+};
+
 // Get all reservations (filtered by user role)
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -73,6 +151,53 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Check a prospective request for conflicts and get alternative slots
+router.get('/conflicts', authenticateToken, async (req, res) => {
+  try {
+    const { fieldId, surfaceM2, startDate, endDate, parcelIds } = req.query;
+    const surface = parseFloat(surfaceM2);
+    const window = parseWindow(startDate, endDate);
+
+    if (!fieldId || !(surface > 0) || !startDate || !endDate || !window) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'fieldId, surfaceM2 (> 0), startDate and endDate (after startDate) are required'
+      });
+    }
+
+    const field = await prisma.field.findUnique({ where: { id: fieldId } });
+    if (!field) {
+      return res.status(404).json({ error: 'Field Not Found' });
+    }
+
+    const requestedParcelIds = parcelIds ? String(parcelIds).split(',').filter(Boolean) : [];
+    const misfit = await checkReservationFits(field, surface, window.start, window.end, requestedParcelIds);
+
+    if (misfit && misfit.status === 400) {
+      return res.status(400).json(misfit.body);
+    }
+
+    if (misfit) {
+      return res.json({ available: false, fieldStatus: field.status, ...misfit.body });
+    }
+
+    const { freeSurfaceM2 } = await getFieldAvailability(prisma, field, window.start, window.end);
+    res.json({
+      available: field.status === 'ACTIVE',
+      fieldStatus: field.status,
+      fieldId: field.id,
+      startDate: window.start,
+      endDate: window.end,
+      requestedSurfaceM2: surface,
+      freeSurfaceM2,
+      conflicts: []
+    });
+  } catch (error) {
+    console.error('Check reservation conflicts error:', error);
+    res.status(500).json({ error: 'Failed to check conflicts', message: 'An error occurred while checking reservation conflicts' });
+  }
+});
+
 // Get single reservation
 router.get('/:id', authenticateToken, requireOwnershipOrAdmin('reservation'), async (req, res) => {
   try {
@@ -82,7 +207,14 @@ router.get('/:id', authenticateToken, requireOwnershipOrAdmin('reservation'), as
       include: {
         client: { select: { id: true, name: true, email: true, entity: { select: { id: true, name: true } } } },
         field: { select: { id: true, name: true, location: true, totalSurfaceM2: true, freeSurfaceM2: true, status: true } },
-        supervisor: { select: { id: true, name: true, email: true } }
+        supervisor: { select: { id: true, name: true, email: true } },
+        activityType: { select: { id: true, label: true } },
+        project: { select: { id: true, title: true, status: true } },
+        parcels: { select: { id: true, code: true, surfaceM2: true, geometry: true } },
+        decisions: {
+          include: { decidedBy: { select: { id: true, name: true } } },
+          orderBy: { createdAt: 'asc' }
+        }
       }
     });
 
@@ -104,7 +236,14 @@ router.post('/', authenticateToken, requireRole('CLIENT'), createReservationVali
       return res.status(400).json({ error: 'Validation Error', details: errors.array() });
     }
 
-    const { fieldId, surfaceM2Requested, startRequested, endRequested } = req.body;
+    const { fieldId, surfaceM2Requested, startRequested, endRequested, activityTypeId, parcelIds = [] } = req.body;
+    const start = new Date(startRequested);
+    const end = new Date(endRequested);
+
+    if (end < start) {
+      return res.status(400).json({ error: 'Invalid Date Range', message: 'End date must be after start date' });
+    }
+
     const field = await prisma.field.findUnique({ where: { id: fieldId } });
 
     if (!field) {
@@ -113,19 +252,39 @@ router.post('/', authenticateToken, requireRole('CLIENT'), createReservationVali
     if (field.status !== 'ACTIVE') {
       return res.status(400).json({ error: 'Field Not Available' });
     }
-    if (surfaceM2Requested > field.freeSurfaceM2) {
-      return res.status(400).json({ error: 'Insufficient Surface Area' });
-    }
-    
-    const reservation = await prisma.reservation.create({
-      data: {
-        clientId: req.user.id,
-        fieldId,
-        surfaceM2Requested: parseFloat(surfaceM2Requested),
-        startRequested: new Date(startRequested),
-        endRequested: new Date(endRequested),
-        status: 'PENDING'
-      },
+
+    const misfit = await checkReservationFits(field, parseFloat(surfaceM2Requested), start, end, parcelIds);
+    if (misfit) {
+      return res.status(misfit.status).json(misfit.body);
+    }
+
+    if (activityTypeId) {
+      const activityTypeCheck = await checkActivityType(prisma, activityTypeId);
+      if (!activityTypeCheck.activityType) {
+        return res.status(activityTypeCheck.status).json(activityTypeCheck.body);
+      }
+    }
+
+    const reservation = await prisma.$transaction(async (tx) => {
+      const created = await tx.reservation.create({
+        data: {
+          clientId: req.user.id,
+          fieldId,
+          surfaceM2Requested: parseFloat(surfaceM2Requested),
+          startRequested: start,
+          endRequested: end,
+          activityTypeId,
+          status: 'PENDING',
+          parcels: { connect: parcelIds.map(parcelId => ({ id: parcelId })) }
+        },
+        include: {
+          parcels: { select: { id: true, code: true, surfaceM2: true } }
+        }
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'RESERVATION', entityId: created.id, after: created });
+
+      return created;
     });
 
     res.status(201).json({ message: 'Reservation request created successfully', reservation });
@@ -135,7 +294,9 @@ router.post('/', authenticateToken, requireRole('CLIENT'), createReservationVali
   }
 });
 
-// Update reservation status (approve/reject) - SIMPLIFIED FOR DEMO
+// Update reservation status (approve/reject).
+// With `createProject: true`, approval also creates the linked project for the supervisor,
+// with the attributes its activity type requires.
 router.patch('/:id/status', authenticateToken, requireRole('ADMIN'), updateReservationValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -144,40 +305,124 @@ router.patch('/:id/status', authenticateToken, requireRole('ADMIN'), updateReser
     }
 
     const { id } = req.params;
-    const { status, supervisorId } = req.body;
+    const { status, reason, comments, supervisorId, createProject = false, projectTitle, activityTypeId, attributes } = req.body;
 
     const reservation = await prisma.reservation.findUnique({
       where: { id },
       include: {
         client: { select: { name: true, email: true } },
-        field: { select: { id: true, freeSurfaceM2: true } }
+        field: { select: { id: true, name: true, totalSurfaceM2: true, freeSurfaceM2: true } },
+        parcels: { select: { id: true } }
       }
     });
 
     if (!reservation) {
       return res.status(404).json({ error: 'Reservation Not Found' });
     }
-    if (reservation.status !== 'PENDING') {
+    // Modification requests are decided through PATCH /:id/modification
+    if (reservation.status !== 'PENDING' || !canTransition(reservation.status, status)) {
       return res.status(400).json({ error: 'Only pending reservations can be changed' });
     }
 
+    // Surface may have been taken by other approvals since the request was made
+    if (status === 'APPROVED') {
+      const misfit = await checkReservationFits(
+        reservation.field,
+        reservation.surfaceM2Requested,
+        reservation.startRequested,
+        reservation.endRequested,
+        reservation.parcels.map(parcel => parcel.id)
+      );
+      if (misfit) {
+        return res.status(misfit.status).json(misfit.body);
+      }
+    }
+
+    const convertToProject = status === 'APPROVED' && createProject;
+    let supervisor = null;
+    let activityType = null;
+    let attributeCheck = null;
+
+    // The project takes the activity type of the decision, else the one requested with the reservation
+    const projectActivityTypeId = activityTypeId || (convertToProject ? reservation.activityTypeId : null);
+    if (projectActivityTypeId) {
+      const activityTypeCheck = await checkActivityType(prisma, projectActivityTypeId);
+      if (!activityTypeCheck.activityType) {
+        return res.status(activityTypeCheck.status).json(activityTypeCheck.body);
+      }
+      activityType = activityTypeCheck.activityType;
+    }
+
+    if (convertToProject) {
+      if (!supervisorId) {
+        return res.status(400).json({
+          error: 'Supervisor Required',
+          message: 'A supervisor is required to create the project'
+        });
+      }
+
+      supervisor = await prisma.user.findUnique({ where: { id: supervisorId } });
+      if (!supervisor || supervisor.role !== 'SUPERVISOR') {
+        return res.status(400).json({
+          error: 'Invalid Supervisor',
+          message: 'The specified supervisor is not valid'
+        });
+      }
+
+      attributeCheck = checkProjectAttributes(activityType, attributes);
+      if (attributeCheck.body) {
+        return res.status(attributeCheck.status).json(attributeCheck.body);
+      }
+    }
+
     const result = await prisma.$transaction(async (tx) => {
       const updatedReservation = await tx.reservation.update({
         where: { id },
-        data: { status, decisionDate: new Date(), supervisorId: status === 'APPROVED' ? supervisorId : null }
+        data: {
+          status,
+          decisionDate: new Date(),
+          rejectionReason: status === 'REJECTED' ? reason : null,
+          decisionComments: comments,
+          supervisorId: status === 'APPROVED' ? supervisorId : null,
+          activityTypeId: activityTypeId || undefined
+        }
       });
 
-      if (status === 'APPROVED') {
-        await tx.field.update({
-          where: { id: reservation.fieldId },
-          data: { freeSurfaceM2: { decrement: reservation.surfaceM2Requested } }
+      await recordDecision(tx, reservation, status, status, {
+        comments: status === 'REJECTED' ? reason : comments,
+        decidedById: req.user.id
+      });
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'RESERVATION', entityId: id, before: reservation, after: updatedReservation });
+
+      let project = null;
+      if (convertToProject) {
+        project = await tx.project.create({
+          data: {
+            title: projectTitle || `${reservation.client.name} - ${reservation.field.name}`,
+            reservationId: id,
+            fieldId: reservation.fieldId,
+            clientId: reservation.clientId,
+            supervisorId,
+            activityTypeId: updatedReservation.activityTypeId,
+            attributes: attributeCheck.attributes || undefined,
+            surfaceM2: reservation.surfaceM2Requested,
+            startDate: reservation.startRequested,
+            endDate: reservation.endRequested,
+            status: 'A_LANCER',
+            parcels: { connect: reservation.parcels.map(parcel => ({ id: parcel.id })) }
+          }
         });
+        await logAudit(tx, req, { action: 'CREATE', entityType: 'PROJECT', entityId: project.id, after: project });
+      }
+
+      if (status === 'APPROVED') {
+        await syncFreeSurface(tx, reservation.fieldId);
       }
 
       try {
         await sendReservationStatusEmail(
           reservation.client.email,
-          reservation,
+          updatedReservation,
           status,
           `Your reservation request for ${reservation.surfaceM2Requested}m²`
         );
@@ -185,16 +430,289 @@ router.patch('/:id/status', authenticateToken, requireRole('ADMIN'), updateReser
         console.error('Failed to send notification email:', emailError);
       }
 
-      return updatedReservation;
+      return { reservation: updatedReservation, project };
     });
 
-    res.json({ message: `Reservation ${status.toLowerCase()} successfully`, reservation: result });
+    if (result.project) {
+      try {
+        await sendProjectAssignmentEmail(supervisor.email, result.project, supervisor.name);
+      } catch (emailError) {
+        console.error('Failed to send project assignment email:', emailError);
+      }
+    }
+
+    res.json({
+      message: `Reservation ${status.toLowerCase()} successfully`,
+      reservation: result.reservation,
+      project: result.project
+    });
   } catch (error) {
     console.error('Update reservation status error:', error);
     res.status(500).json({ error: 'Failed to update reservation status', message: 'An error occurred while updating the reservation status' });
   }
 });
 
+// Expire pending reservations whose start date has passed (also run hourly by the scheduler)
+router.post('/expire', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const count = await expirePendingReservations(prisma);
+    res.json({ message: `${count} reservation(s) expired`, count });
+  } catch (error) {
+    console.error('Expire reservations error:', error);
+    res.status(500).json({ error: 'Failed to expire reservations', message: 'An error occurred while expiring reservations' });
+  }
+});
+
+// Cancel a reservation (client owner or admin); approved surface goes back to the field
+router.post('/:id/cancel', authenticateToken, requireOwnershipOrAdmin('reservation'), cancelReservationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const reservation = await prisma.reservation.findUnique({
+      where: { id },
+      include: { project: { select: { id: true, status: true } } }
+    });
+
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation Not Found' });
+    }
+    if (!canTransition(reservation.status, 'CANCELLED')) {
+      return res.status(400).json({
+        error: 'Cannot Cancel Reservation',
+        message: `A ${reservation.status.toLowerCase()} reservation cannot be cancelled`
+      });
+    }
+    if (reservation.project && ACTIVE_PROJECT_STATUSES.includes(reservation.project.status)) {
+      return res.status(400).json({
+        error: 'Cannot Cancel Reservation',
+        message: 'The reservation has an active project; the project must be closed instead'
+      });
+    }
+
+    const updatedReservation = await prisma.$transaction(async (tx) => {
+      const cancelled = await tx.reservation.update({
+        where: { id },
+        data: {
+          status: 'CANCELLED',
+          cancelledAt: new Date(),
+          cancellationReason: reason,
+          modificationSurfaceM2: null,
+          modificationStart: null,
+          modificationEnd: null,
+          modificationReason: null
+        }
+      });
+
+      await recordDecision(tx, reservation, 'CANCELLED', 'CANCELLED', {
+        comments: reason,
+        decidedById: req.user.id
+      });
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'RESERVATION', entityId: id, before: reservation, after: cancelled });
+
+      if (HOLDING_RESERVATION_STATUSES.includes(reservation.status)) {
+        await syncFreeSurface(tx, reservation.fieldId);
+      }
+
+      return cancelled;
+    });
+
+    if (HOLDING_RESERVATION_STATUSES.includes(reservation.status)) {
+      await promoteWaitlist(prisma, reservation.fieldId);
+    }
+
+    res.json({ message: 'Reservation cancelled successfully', reservation: updatedReservation });
+  } catch (error) {
+    console.error('Cancel reservation error:', error);
+    res.status(500).json({ error: 'Failed to cancel reservation', message: 'An error occurred while cancelling the reservation' });
+  }
+});
+
+// Request a change of dates or surface on an approved reservation (client owner).
+// The approved surface stays held until an admin accepts or declines the change.
+router.post('/:id/modification', authenticateToken, requireRole('CLIENT'), requireOwnershipOrAdmin('reservation'), requestModificationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { surfaceM2Requested, startRequested, endRequested, reason } = req.body;
+
+    if (surfaceM2Requested === undefined && !startRequested && !endRequested) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'At least one of surfaceM2Requested, startRequested or endRequested is required'
+      });
+    }
+
+    const reservation = await prisma.reservation.findUnique({
+      where: { id },
+      include: {
+        field: true,
+        project: { select: { id: true } },
+        parcels: { select: { id: true } }
+      }
+    });
+
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation Not Found' });
+    }
+    if (!canTransition(reservation.status, 'MODIFICATION_REQUESTED')) {
+      return res.status(400).json({
+        error: 'Cannot Modify Reservation',
+        message: 'Only approved reservations can be modified'
+      });
+    }
+    if (reservation.project) {
+      return res.status(400).json({
+        error: 'Cannot Modify Reservation',
+        message: 'The reservation has already been converted into a project'
+      });
+    }
+
+    const surfaceM2 = surfaceM2Requested !== undefined ? parseFloat(surfaceM2Requested) : reservation.surfaceM2Requested;
+    const start = startRequested ? new Date(startRequested) : reservation.startRequested;
+    const end = endRequested ? new Date(endRequested) : reservation.endRequested;
+
+    if (end < start) {
+      return res.status(400).json({ error: 'Invalid Date Range', message: 'End date must be after start date' });
+    }
+
+    const misfit = await checkReservationFits(
+      reservation.field,
+      surfaceM2,
+      start,
+      end,
+      reservation.parcels.map(parcel => parcel.id),
+      { excludeReservationId: id }
+    );
+    if (misfit) {
+      return res.status(misfit.status).json(misfit.body);
+    }
+
+    const updatedReservation = await prisma.$transaction(async (tx) => {
+      const updated = await tx.reservation.update({
+        where: { id },
+        data: {
+          status: 'MODIFICATION_REQUESTED',
+          modificationSurfaceM2: surfaceM2,
+          modificationStart: start,
+          modificationEnd: end,
+          modificationReason: reason
+        }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'RESERVATION', entityId: id, before: reservation, after: updated });
+
+      return updated;
+    });
+
+    res.json({ message: 'Modification requested successfully', reservation: updatedReservation });
+  } catch (error) {
+    console.error('Request reservation modification error:', error);
+    res.status(500).json({ error: 'Failed to request modification', message: 'An error occurred while requesting the modification' });
+  }
+});
+
+// Accept or decline a requested modification (admin)
+router.patch('/:id/modification', authenticateToken, requireRole('ADMIN'), decideModificationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { decision, comments } = req.body;
+
+    const reservation = await prisma.reservation.findUnique({
+      where: { id },
+      include: {
+        field: true,
+        parcels: { select: { id: true } }
+      }
+    });
+
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation Not Found' });
+    }
+    if (reservation.status !== 'MODIFICATION_REQUESTED') {
+      return res.status(400).json({
+        error: 'No Modification Requested',
+        message: 'This reservation has no pending modification'
+      });
+    }
+
+    const accepted = decision === 'ACCEPT';
+
+    // Other requests may have taken the surface since the modification was requested
+    if (accepted) {
+      const misfit = await checkReservationFits(
+        reservation.field,
+        reservation.modificationSurfaceM2,
+        reservation.modificationStart,
+        reservation.modificationEnd,
+        reservation.parcels.map(parcel => parcel.id),
+        { excludeReservationId: id }
+      );
+      if (misfit) {
+        return res.status(misfit.status).json(misfit.body);
+      }
+    }
+
+    const updatedReservation = await prisma.$transaction(async (tx) => {
+      const data = {
+        status: 'APPROVED',
+        decisionDate: new Date(),
+        decisionComments: comments,
+        modificationSurfaceM2: null,
+        modificationStart: null,
+        modificationEnd: null,
+        modificationReason: null
+      };
+
+      if (accepted) {
+        data.surfaceM2Requested = reservation.modificationSurfaceM2;
+        data.startRequested = reservation.modificationStart;
+        data.endRequested = reservation.modificationEnd;
+      }
+
+      const updated = await tx.reservation.update({ where: { id }, data });
+
+      await recordDecision(tx, reservation, accepted ? 'MODIFICATION_ACCEPTED' : 'MODIFICATION_DECLINED', 'APPROVED', {
+        comments,
+        decidedById: req.user.id
+      });
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'RESERVATION', entityId: id, before: reservation, after: updated });
+
+      if (accepted) {
+        await syncFreeSurface(tx, reservation.fieldId);
+      }
+
+      return updated;
+    });
+
+    if (accepted) {
+      await promoteWaitlist(prisma, reservation.fieldId);
+    }
+
+    res.json({
+      message: `Modification ${accepted ? 'accepted' : 'declined'} successfully`,
+      reservation: updatedReservation
+    });
+  } catch (error) {
+    console.error('Decide reservation modification error:', error);
+    res.status(500).json({ error: 'Failed to decide modification', message: 'An error occurred while deciding the modification' });
+  }
+});
+
 // Delete reservation (only if pending)
 router.delete('/:id', authenticateToken, requireOwnershipOrAdmin('reservation'), async (req, res) => {
   try {
@@ -208,7 +726,11 @@ router.delete('/:id', authenticateToken, requireOwnershipOrAdmin('reservation'),
       return res.status(400).json({ error: 'Cannot Delete Reservation' });
     }
 
-    await prisma.reservation.delete({ where: { id } });
+    await prisma.$transaction(async (tx) => {
+      await tx.reservation.delete({ where: { id } });
+
+      await logAudit(tx, req, { action: 'DELETE', entityType: 'RESERVATION', entityId: id, before: reservation });
+    });
     res.json({ message: 'Reservation deleted successfully' });
   } catch (error) {
     console.error('Delete reservation error:', error);
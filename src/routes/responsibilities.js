@@ -0,0 +1,292 @@
+// src/routes/responsibilities.js
+// F.75 responsibility matrix of the steering committee (axes, services, cells)
+
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+const { LEVELS, PARENT_LEVEL, responsibilityInclude, resolveResponsible, getResponsibleFor, buildMatrix } = require('../utils/responsibilities');
+const { generateResponsibilityMatrixPDF } = require('../utils/pdfGenerator');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation schemas
+const responsibilityFieldsValidation = [
+  body('parentId').optional({ nullable: true }).isString().withMessage('Parent ID must be a string'),
+  body('coordinatorId').optional({ nullable: true }).isString().withMessage('Coordinator ID must be a string'),
+  body('replacementId').optional({ nullable: true }).isString().withMessage('Replacement ID must be a string'),
+  body('routingKey').optional({ nullable: true }).trim().matches(/^[A-Z][A-Z0-9_]*$/).withMessage('Routing key must be upper case letters, digits or underscores'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be a non-negative integer'),
+  body('notes').optional().trim()
+];
+
+const createResponsibilityValidation = [
+  body('level').isIn(LEVELS).withMessage(`Level must be one of ${LEVELS.join(', ')}`),
+  body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  ...responsibilityFieldsValidation
+];
+
+const updateResponsibilityValidation = [
+  body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  ...responsibilityFieldsValidation
+];
+
+// Axes have no parent, services belong to an axis and cells to a service
+const checkParent = async (level, parentId) => {
+  const parentLevel = PARENT_LEVEL[level];
+  if (!parentLevel) {
+    return parentId ? { error: 'Invalid Parent', message: 'Axes cannot have a parent' } : null;
+  }
+
+  const parent = parentId ? await prisma.responsibility.findUnique({ where: { id: parentId } }) : null;
+  if (!parent || parent.level !== parentLevel) {
+    return { error: 'Invalid Parent', message: 'Services must belong to an existing axis and cells to an existing service' };
+  }
+  return null;
+};
+
+// Coordinators and replacements are farm staff, not clients
+const checkPeople = async (userIds) => {
+  const ids = userIds.filter(Boolean);
+  if (ids.length === 0) return null;
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: ids }, role: { in: ['ADMIN', 'SUPERVISOR'] } },
+    select: { id: true }
+  });
+  if (users.length !== new Set(ids).size) {
+    return { error: 'Invalid User', message: 'Coordinators and replacements must be administrators or supervisors' };
+  }
+  return null;
+};
+
+// Reject a routing key already used by another responsibility
+const checkRoutingKeyAvailable = async (routingKey, responsibilityId) => {
+  if (!routingKey) return null;
+
+  const existing = await prisma.responsibility.findUnique({ where: { routingKey } });
+  if (existing && existing.id !== responsibilityId) {
+    return { error: 'Routing Key Already Used', message: `Routing key ${routingKey} is already assigned to ${existing.name}` };
+  }
+  return null;
+};
+
+// Get the whole matrix, nested as axes > services > cells, with the person currently in charge
+router.get('/', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), async (req, res) => {
+  try {
+    const responsibilities = await prisma.responsibility.findMany({
+      include: responsibilityInclude
+    });
+
+    res.json({ matrix: buildMatrix(responsibilities) });
+  } catch (error) {
+    console.error('Get responsibility matrix error:', error);
+    res.status(500).json({ error: 'Failed to retrieve responsibility matrix', message: 'An error occurred while fetching the responsibility matrix' });
+  }
+});
+
+// Export the matrix as the F.75 form
+router.get('/pdf', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), async (req, res) => {
+  try {
+    const responsibilities = await prisma.responsibility.findMany({
+      include: responsibilityInclude
+    });
+    const lastUpdate = responsibilities.reduce((latest, responsibility) => (
+      !latest || responsibility.updatedAt > latest ? responsibility.updatedAt : latest
+    ), null);
+
+    const pdfBuffer = await generateResponsibilityMatrixPDF(buildMatrix(responsibilities), lastUpdate);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'attachment; filename="responsibility-matrix.pdf"');
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Generate responsibility matrix PDF error:', error);
+    res.status(500).json({ error: 'Failed to generate PDF', message: 'An error occurred while generating the PDF' });
+  }
+});
+
+// Who currently receives the notifications routed to a key
+router.get('/routing/:routingKey', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), async (req, res) => {
+  try {
+    const { routingKey } = req.params;
+
+    const responsibility = await prisma.responsibility.findUnique({
+      where: { routingKey },
+      include: responsibilityInclude
+    });
+
+    if (!responsibility) {
+      return res.status(404).json({ error: 'Routing Key Not Found', message: `No responsibility has the routing key ${routingKey}` });
+    }
+
+    res.json({
+      responsibility,
+      recipient: await getResponsibleFor(prisma, routingKey)
+    });
+  } catch (error) {
+    console.error('Get notification routing error:', error);
+    res.status(500).json({ error: 'Failed to resolve routing', message: 'An error occurred while resolving the notification recipient' });
+  }
+});
+
+// Get a responsibility with its parent and children
+router.get('/:id', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const responsibility = await prisma.responsibility.findUnique({
+      where: { id },
+      include: {
+        ...responsibilityInclude,
+        parent: { select: { id: true, level: true, name: true } },
+        children: { include: responsibilityInclude, orderBy: [{ position: 'asc' }, { name: 'asc' }] }
+      }
+    });
+
+    if (!responsibility) {
+      return res.status(404).json({ error: 'Responsibility Not Found', message: 'The requested responsibility was not found' });
+    }
+
+    res.json({ responsibility: { ...responsibility, responsible: resolveResponsible(responsibility) } });
+  } catch (error) {
+    console.error('Get responsibility error:', error);
+    res.status(500).json({ error: 'Failed to retrieve responsibility', message: 'An error occurred while fetching the responsibility' });
+  }
+});
+
+// Create an axis, service or cell (Admin only)
+router.post('/', authenticateToken, requireRole('ADMIN'), createResponsibilityValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { level, name, parentId, coordinatorId, replacementId, routingKey, position, notes } = req.body;
+
+    const checkError = await checkParent(level, parentId) || await checkPeople([coordinatorId, replacementId]);
+    if (checkError) {
+      return res.status(400).json(checkError);
+    }
+
+    const routingKeyError = await checkRoutingKeyAvailable(routingKey);
+    if (routingKeyError) {
+      return res.status(409).json(routingKeyError);
+    }
+
+    const responsibility = await prisma.$transaction(async (tx) => {
+      const created = await tx.responsibility.create({
+        data: {
+          level,
+          name,
+          parentId: parentId || null,
+          coordinatorId: coordinatorId || null,
+          replacementId: replacementId || null,
+          routingKey: routingKey || null,
+          position: position !== undefined ? parseInt(position) : undefined,
+          notes
+        },
+        include: responsibilityInclude
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'RESPONSIBILITY', entityId: created.id, after: created });
+
+      return created;
+    });
+
+    res.status(201).json({ message: 'Responsibility created successfully', responsibility });
+  } catch (error) {
+    console.error('Create responsibility error:', error);
+    res.status(500).json({ error: 'Failed to create responsibility', message: 'An error occurred while creating the responsibility' });
+  }
+});
+
+// Update a responsibility (Admin only); its level cannot change
+router.put('/:id', authenticateToken, requireRole('ADMIN'), updateResponsibilityValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { name, parentId, coordinatorId, replacementId, routingKey, position, notes } = req.body;
+
+    const existingResponsibility = await prisma.responsibility.findUnique({ where: { id } });
+    if (!existingResponsibility) {
+      return res.status(404).json({ error: 'Responsibility Not Found', message: 'The requested responsibility was not found' });
+    }
+
+    const checkError = (parentId !== undefined && await checkParent(existingResponsibility.level, parentId))
+      || await checkPeople([coordinatorId, replacementId]);
+    if (checkError) {
+      return res.status(400).json(checkError);
+    }
+
+    const routingKeyError = await checkRoutingKeyAvailable(routingKey, id);
+    if (routingKeyError) {
+      return res.status(409).json(routingKeyError);
+    }
+
+    // null clears the coordinator, replacement or routing key
+    const responsibility = await prisma.$transaction(async (tx) => {
+      const updated = await tx.responsibility.update({
+        where: { id },
+        data: {
+          name,
+          parentId: parentId === undefined ? undefined : parentId || null,
+          coordinatorId: coordinatorId === undefined ? undefined : coordinatorId || null,
+          replacementId: replacementId === undefined ? undefined : replacementId || null,
+          routingKey: routingKey === undefined ? undefined : routingKey || null,
+          position: position !== undefined ? parseInt(position) : undefined,
+          notes
+        },
+        include: responsibilityInclude
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'RESPONSIBILITY', entityId: id, before: existingResponsibility, after: updated });
+
+      return updated;
+    });
+
+    res.json({ message: 'Responsibility updated successfully', responsibility });
+  } catch (error) {
+    console.error('Update responsibility error:', error);
+    res.status(500).json({ error: 'Failed to update responsibility', message: 'An error occurred while updating the responsibility' });
+  }
+});
+
+// Delete a responsibility (Admin only), once its services or cells were removed
+router.delete('/:id', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const responsibility = await prisma.responsibility.findUnique({ where: { id } });
+
+    if (!responsibility) {
+      return res.status(404).json({ error: 'Responsibility Not Found', message: 'The requested responsibility was not found' });
+    }
+
+    const childCount = await prisma.responsibility.count({ where: { parentId: id } });
+    if (childCount > 0) {
+      return res.status(400).json({
+        error: 'Cannot Delete Responsibility',
+        message: `This ${responsibility.level.toLowerCase()} still has ${childCount} service(s) or cell(s)`
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.responsibility.delete({ where: { id } });
+
+      await logAudit(tx, req, { action: 'DELETE', entityType: 'RESPONSIBILITY', entityId: id, before: responsibility });
+    });
+
+    res.json({ message: 'Responsibility deleted successfully' });
+  } catch (error) {
+    console.error('Delete responsibility error:', error);
+    res.status(500).json({ error: 'Failed to delete responsibility', message: 'An error occurred while deleting the responsibility' });
+  }
+});
+
+module.exports = router;
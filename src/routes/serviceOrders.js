@@ -3,40 +3,81 @@ const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const { generateServiceOrderPDF } = require('../utils/pdfGenerator');
+const { logAudit } = require('../utils/audit');
+const { signerSelect, findSigner, fingerprintDocument, verifySignature } = require('../utils/signatures');
+const { sendSignatureRequestEmail } = require('../utils/email');
+const { nextDocumentNumber, findMarketNumberConflict, isMarketNumberConflict } = require('../utils/numbering');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Registry supplier of an order, or an error when the ID is unknown
+const findSupplier = async (supplierId) => {
+  const supplier = await prisma.supplier.findUnique({ where: { id: supplierId } });
+  return supplier ? { supplier } : { error: 'Supplier not found' };
+};
+
+// Purchase order an order is issued under; its number is the BC number of the order
+const findPurchaseOrder = async (purchaseOrderId) => {
+  const purchaseOrder = await prisma.purchaseOrder.findUnique({ where: { id: purchaseOrderId }, include: { supplier: true } });
+  if (!purchaseOrder) return { status: 404, error: 'Purchase order not found' };
+  if (purchaseOrder.status === 'CANCELLED') return { status: 400, error: 'Cancelled purchase orders cannot be used' };
+  return { purchaseOrder };
+};
+
+// A market number may only be used by one service order
+const checkMarketNumber = async (marketNumber, excludeServiceOrderId) => {
+  const conflict = await findMarketNumberConflict(prisma, marketNumber, excludeServiceOrderId);
+  return conflict ? `Market number ${marketNumber} is already used by service order ${conflict.number}` : null;
+};
+
 // Validation schemas
 const createServiceOrderValidation = [
   body('objet').trim().notEmpty().withMessage('Objet is required'),
   body('marketNumber').optional().trim(),
-  body('bcNumber').optional().trim(),
+  body('bcNumber').not().exists().withMessage('The BC number is taken from the purchase order (purchaseOrderId)'),
+  body('purchaseOrderId').optional().isString().withMessage('Purchase order ID must be a string'),
   body('startDate').isISO8601().withMessage('Start date must be a valid date'),
   body('clientRep').trim().notEmpty().withMessage('Client representative is required'),
-  body('supplier').trim().notEmpty().withMessage('Supplier is required')
+  body('supplierId').optional().isString().withMessage('Supplier ID must be a string'),
+  body('supplier').if(body('supplierId').not().exists()).trim().notEmpty().withMessage('Supplier is required')
 ];
 
 const updateServiceOrderValidation = [
   body('objet').optional().trim().notEmpty().withMessage('Objet cannot be empty'),
   body('marketNumber').optional().trim(),
-  body('bcNumber').optional().trim(),
+  body('bcNumber').not().exists().withMessage('The BC number is taken from the purchase order (purchaseOrderId)'),
+  body('purchaseOrderId').optional().isString().withMessage('Purchase order ID must be a string'),
   body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
   body('clientRep').optional().trim().notEmpty().withMessage('Client representative cannot be empty'),
+  body('supplierId').optional({ nullable: true }).isString().withMessage('Supplier ID must be a string'),
   body('supplier').optional().trim().notEmpty().withMessage('Supplier cannot be empty'),
   body('status').optional().isIn(['IN_PROGRESS', 'COMPLETED', 'CANCELLED']).withMessage('Invalid status')
 ];
 
+const designateSignerValidation = [
+  body('signerId').notEmpty().withMessage('Signer ID is required')
+];
+
 // Get all service orders (Admin only)
 router.get('/', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, supplier, startDate, endDate } = req.query;
+    const { page = 1, limit = 10, status, supplier, supplierId, startDate, endDate, search } = req.query;
     const skip = (page - 1) * limit;
 
     // Build filter conditions
     const where = {};
     if (status) where.status = status;
     if (supplier) where.supplier = { contains: supplier, mode: 'insensitive' };
+    if (supplierId) where.supplierId = supplierId;
+    if (search) {
+      where.OR = [
+        { number: { contains: search, mode: 'insensitive' } },
+        { marketNumber: { contains: search, mode: 'insensitive' } },
+        { bcNumber: { contains: search, mode: 'insensitive' } },
+        { objet: { contains: search, mode: 'insensitive' } }
+      ];
+    }
     if (startDate || endDate) {
       where.startDate = {};
       if (startDate) where.startDate.gte = new Date(startDate);
@@ -81,7 +122,7 @@ router.get('/', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { role, userId } = req.user;
+    const { role } = req.user;
 
     const serviceOrder = await prisma.serviceOrder.findUnique({
       where: { id },
@@ -92,6 +133,16 @@ router.get('/:id', authenticateToken, async (req, res) => {
             name: true,
             email: true
           }
+        },
+        supplierRef: true,
+        signer: { select: signerSelect },
+        purchaseOrder: {
+          select: {
+            id: true,
+            number: true,
+            status: true,
+            priceOffer: { select: { id: true, orderNumber: true, status: true } }
+          }
         }
       }
     });
@@ -101,7 +152,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 
     // Only admin or creator can view
-    if (role !== 'ADMIN' && serviceOrder.createdById !== userId) {
+    if (role !== 'ADMIN' && serviceOrder.createdById !== req.user.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -120,33 +171,71 @@ router.post('/', authenticateToken, requireRole(['ADMIN']), createServiceOrderVa
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { objet, marketNumber, bcNumber, startDate, clientRep, supplier } = req.body;
-    const { userId } = req.user;
+    const { objet, marketNumber, startDate, clientRep, purchaseOrderId } = req.body;
 
-    const serviceOrder = await prisma.serviceOrder.create({
-      data: {
-        objet,
-        marketNumber,
-        bcNumber,
-        startDate: new Date(startDate),
-        clientRep,
-        supplier,
-        createdById: userId
-      },
-      include: {
-        createdBy: {
-          select: {
-            id: true,
-            name: true,
-            email: true
+    // The supplier name is taken from the registry when a supplier is selected
+    let { supplier, supplierId } = req.body;
+    if (supplierId) {
+      const result = await findSupplier(supplierId);
+      if (result.error) {
+        return res.status(404).json({ error: result.error });
+      }
+      supplier = supplier || result.supplier.name;
+    }
+
+    // The BC number and, by default, the supplier come from the purchase order
+    let bcNumber = null;
+    if (purchaseOrderId) {
+      const result = await findPurchaseOrder(purchaseOrderId);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      bcNumber = result.purchaseOrder.number;
+      supplierId = supplierId || result.purchaseOrder.supplierId;
+      supplier = supplier || result.purchaseOrder.supplier.name;
+    }
+
+    const marketNumberError = await checkMarketNumber(marketNumber);
+    if (marketNumberError) {
+      return res.status(409).json({ error: marketNumberError });
+    }
+
+    const serviceOrder = await prisma.$transaction(async (tx) => {
+      const created = await tx.serviceOrder.create({
+        data: {
+          number: await nextDocumentNumber(tx, 'SERVICE_ORDER'),
+          objet,
+          marketNumber,
+          bcNumber,
+          startDate: new Date(startDate),
+          clientRep,
+          supplier,
+          supplierId,
+          purchaseOrderId,
+          createdById: req.user.id
+        },
+        include: {
+          createdBy: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
           }
         }
-      }
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'SERVICE_ORDER', entityId: created.id, after: created });
+
+      return created;
     });
 
     res.status(201).json(serviceOrder);
   } catch (error) {
     console.error('Error creating service order:', error);
+    if (isMarketNumberConflict(error)) {
+      return res.status(409).json({ error: `Market number ${req.body.marketNumber} is already used by another service order` });
+    }
     res.status(500).json({ error: 'Failed to create service order' });
   }
 });
@@ -160,24 +249,68 @@ router.put('/:id', authenticateToken, requireRole(['ADMIN']), updateServiceOrder
     }
 
     const { id } = req.params;
-    const updateData = { ...req.body };
-    
+    // The number and signature fields are only set by the system
+    const { number, signerId, signedAt, signatureHash, ...updateData } = req.body;
+
     if (updateData.startDate) {
       updateData.startDate = new Date(updateData.startDate);
     }
 
-    const serviceOrder = await prisma.serviceOrder.update({
-      where: { id },
-      data: updateData,
-      include: {
-        createdBy: {
-          select: {
-            id: true,
-            name: true,
-            email: true
+    const existingOrder = await prisma.serviceOrder.findUnique({ where: { id } });
+    if (!existingOrder) {
+      return res.status(404).json({ error: 'Service order not found' });
+    }
+
+    if (existingOrder.signedAt) {
+      return res.status(400).json({ error: 'Signed service orders are read-only' });
+    }
+
+    if (updateData.supplierId) {
+      const result = await findSupplier(updateData.supplierId);
+      if (result.error) {
+        return res.status(404).json({ error: result.error });
+      }
+      updateData.supplier = updateData.supplier || result.supplier.name;
+    }
+
+    // An order keeps the purchase order, and so the BC number, it was issued under
+    if (updateData.purchaseOrderId !== undefined && updateData.purchaseOrderId !== existingOrder.purchaseOrderId) {
+      if (existingOrder.purchaseOrderId) {
+        return res.status(400).json({ error: 'The BC number of an order issued under a purchase order cannot be changed' });
+      }
+
+      const result = await findPurchaseOrder(updateData.purchaseOrderId);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      updateData.bcNumber = result.purchaseOrder.number;
+    }
+
+    if (updateData.marketNumber) {
+      const marketNumberError = await checkMarketNumber(updateData.marketNumber, id);
+      if (marketNumberError) {
+        return res.status(409).json({ error: marketNumberError });
+      }
+    }
+
+    const serviceOrder = await prisma.$transaction(async (tx) => {
+      const updated = await tx.serviceOrder.update({
+        where: { id },
+        data: updateData,
+        include: {
+          createdBy: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
           }
         }
-      }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'SERVICE_ORDER', entityId: id, before: existingOrder, after: updated });
+
+      return updated;
     });
 
     res.json(serviceOrder);
@@ -186,6 +319,9 @@ router.put('/:id', authenticateToken, requireRole(['ADMIN']), updateServiceOrder
     if (error.code === 'P2025') {
       return res.status(404).json({ error: 'Service order not found' });
     }
+    if (isMarketNumberConflict(error)) {
+      return res.status(409).json({ error: `Market number ${req.body.marketNumber} is already used by another service order` });
+    }
     res.status(500).json({ error: 'Failed to update service order' });
   }
 });
@@ -195,8 +331,21 @@ router.delete('/:id', authenticateToken, requireRole(['ADMIN']), async (req, res
   try {
     const { id } = req.params;
 
-    await prisma.serviceOrder.delete({
-      where: { id }
+    const existingOrder = await prisma.serviceOrder.findUnique({ where: { id } });
+    if (!existingOrder) {
+      return res.status(404).json({ error: 'Service order not found' });
+    }
+
+    if (existingOrder.signedAt) {
+      return res.status(400).json({ error: 'Signed service orders cannot be deleted' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.serviceOrder.delete({
+        where: { id }
+      });
+
+      await logAudit(tx, req, { action: 'DELETE', entityType: 'SERVICE_ORDER', entityId: id, before: existingOrder });
     });
 
     res.json({ message: 'Service order deleted successfully' });
@@ -213,7 +362,7 @@ router.delete('/:id', authenticateToken, requireRole(['ADMIN']), async (req, res
 router.get('/:id/pdf', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { role, userId } = req.user;
+    const { role } = req.user;
 
     const serviceOrder = await prisma.serviceOrder.findUnique({
       where: { id },
@@ -224,7 +373,8 @@ router.get('/:id/pdf', authenticateToken, async (req, res) => {
             name: true,
             email: true
           }
-        }
+        },
+        signer: { select: signerSelect }
       }
     });
 
@@ -232,8 +382,8 @@ router.get('/:id/pdf', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Service order not found' });
     }
 
-    // Only admin or creator can generate PDF
-    if (role !== 'ADMIN' && serviceOrder.createdById !== userId) {
+    // Only admin, creator or designated signer can generate PDF
+    if (role !== 'ADMIN' && serviceOrder.createdById !== req.user.id && serviceOrder.signerId !== req.user.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -248,6 +398,137 @@ router.get('/:id/pdf', authenticateToken, async (req, res) => {
   }
 });
 
+// Designate the user who signs the service order, and ask them to sign it
+router.put('/:id/signer', authenticateToken, requireRole(['ADMIN']), designateSignerValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { signerId } = req.body;
+
+    const existingOrder = await prisma.serviceOrder.findUnique({ where: { id } });
+    if (!existingOrder) {
+      return res.status(404).json({ error: 'Service order not found' });
+    }
+
+    if (existingOrder.signedAt) {
+      return res.status(400).json({ error: 'Service order is already signed' });
+    }
+
+    const signer = await findSigner(prisma, signerId);
+    if (!signer) {
+      return res.status(400).json({ error: 'The signer must be an administrator or a supervisor' });
+    }
+
+    const serviceOrder = await prisma.$transaction(async (tx) => {
+      const updated = await tx.serviceOrder.update({
+        where: { id },
+        data: { signerId },
+        include: {
+          signer: { select: signerSelect }
+        }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'SERVICE_ORDER', entityId: id, before: existingOrder, after: updated });
+
+      return updated;
+    });
+
+    try {
+      await sendSignatureRequestEmail(signer.email, signer.name, {
+        label: 'F.84 service order',
+        reference: serviceOrder.number,
+        url: `${process.env.FRONTEND_URL}/service-orders/${id}`
+      });
+    } catch (emailError) {
+      console.error('Failed to send signature request email:', emailError);
+    }
+
+    res.json(serviceOrder);
+  } catch (error) {
+    console.error('Error designating service order signer:', error);
+    res.status(500).json({ error: 'Failed to designate signer' });
+  }
+});
+
+// Sign the service order (designated signer only): the rendered F.84 is hashed
+// and the order becomes read-only
+router.post('/:id/sign', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingOrder = await prisma.serviceOrder.findUnique({
+      where: { id },
+      include: {
+        signer: { select: signerSelect }
+      }
+    });
+    if (!existingOrder) {
+      return res.status(404).json({ error: 'Service order not found' });
+    }
+
+    if (existingOrder.signerId !== req.user.id) {
+      return res.status(403).json({ error: 'Only the designated signer can sign this service order' });
+    }
+
+    if (existingOrder.signedAt) {
+      return res.status(400).json({ error: 'Service order is already signed' });
+    }
+
+    const signedAt = new Date();
+    const signatureHash = await fingerprintDocument(generateServiceOrderPDF, existingOrder, signedAt);
+
+    const serviceOrder = await prisma.$transaction(async (tx) => {
+      const updated = await tx.serviceOrder.update({
+        where: { id },
+        data: { signedAt, signatureHash },
+        include: {
+          signer: { select: signerSelect }
+        }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'SERVICE_ORDER', entityId: id, before: existingOrder, after: updated });
+
+      return updated;
+    });
+
+    res.json(serviceOrder);
+  } catch (error) {
+    console.error('Error signing service order:', error);
+    res.status(500).json({ error: 'Failed to sign service order' });
+  }
+});
+
+// Signature of the service order, checked against the current rendering of the F.84
+router.get('/:id/signature', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const serviceOrder = await prisma.serviceOrder.findUnique({
+      where: { id },
+      include: {
+        signer: { select: signerSelect }
+      }
+    });
+    if (!serviceOrder) {
+      return res.status(404).json({ error: 'Service order not found' });
+    }
+
+    // Only admin, creator or signer can view
+    if (req.user.role !== 'ADMIN' && serviceOrder.createdById !== req.user.id && serviceOrder.signerId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json(await verifySignature(generateServiceOrderPDF, serviceOrder));
+  } catch (error) {
+    console.error('Error verifying service order signature:', error);
+    res.status(500).json({ error: 'Failed to verify signature' });
+  }
+});
+
 // Get service order statistics
 router.get('/stats/overview', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
   try {
@@ -296,18 +577,29 @@ router.patch('/:id/status', authenticateToken, requireRole(['ADMIN']), [
     const { id } = req.params;
     const { status } = req.body;
 
-    const serviceOrder = await prisma.serviceOrder.update({
-      where: { id },
-      data: { status },
-      include: {
-        createdBy: {
-          select: {
-            id: true,
-            name: true,
-            email: true
+    const existingOrder = await prisma.serviceOrder.findUnique({ where: { id } });
+    if (!existingOrder) {
+      return res.status(404).json({ error: 'Service order not found' });
+    }
+
+    const serviceOrder = await prisma.$transaction(async (tx) => {
+      const updated = await tx.serviceOrder.update({
+        where: { id },
+        data: { status },
+        include: {
+          createdBy: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
           }
         }
-      }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'SERVICE_ORDER', entityId: id, before: existingOrder, after: updated });
+
+      return updated;
     });
 
     res.json(serviceOrder);
@@ -0,0 +1,228 @@
+// src/routes/suppliers.js
+// Supplier registry
+
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation schemas
+const createSupplierValidation = [
+  body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  body('contactName').optional().trim(),
+  body('email').optional({ checkFalsy: true }).isEmail().normalizeEmail().withMessage('Email must be valid'),
+  body('phone').optional().trim(),
+  body('address').optional().trim(),
+  body('ice').optional({ checkFalsy: true }).trim().matches(/^\d{15}$/).withMessage('ICE must be 15 digits'),
+  body('rc').optional().trim(),
+  body('fiscalId').optional().trim(),
+  body('notes').optional().trim()
+];
+
+const updateSupplierValidation = [
+  body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  ...createSupplierValidation.slice(1)
+];
+
+// Reject an ICE already registered on another supplier
+const checkIceAvailable = async (ice, supplierId) => {
+  if (!ice) return null;
+
+  const existing = await prisma.supplier.findUnique({ where: { ice } });
+  if (existing && existing.id !== supplierId) {
+    return { error: 'Supplier Already Exists', message: `A supplier with ICE ${ice} already exists (${existing.name})` };
+  }
+  return null;
+};
+
+// Get suppliers
+router.get('/', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search } = req.query;
+    const skip = (page - 1) * limit;
+
+    let whereClause = {};
+    if (search) {
+      whereClause.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { contactName: { contains: search, mode: 'insensitive' } },
+        { ice: { contains: search } }
+      ];
+    }
+
+    const suppliers = await prisma.supplier.findMany({
+      where: whereClause,
+      include: {
+        _count: { select: { priceOffers: true, serviceOrders: true } }
+      },
+      orderBy: { name: 'asc' },
+      skip: parseInt(skip),
+      take: parseInt(limit)
+    });
+
+    const total = await prisma.supplier.count({ where: whereClause });
+
+    res.json({
+      suppliers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({ error: 'Failed to retrieve suppliers', message: 'An error occurred while fetching suppliers' });
+  }
+});
+
+// Get a supplier with every price request sent to it and its service orders
+router.get('/:id', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const supplier = await prisma.supplier.findUnique({
+      where: { id },
+      include: {
+        priceOffers: {
+          include: {
+            priceOffer: { select: { id: true, orderNumber: true, dateSent: true, status: true } },
+            quotes: true
+          },
+          orderBy: { sentAt: 'desc' }
+        },
+        serviceOrders: {
+          select: { id: true, number: true, objet: true, bcNumber: true, startDate: true, status: true },
+          orderBy: { startDate: 'desc' }
+        }
+      }
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier Not Found', message: 'The requested supplier was not found' });
+    }
+
+    res.json({ supplier });
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({ error: 'Failed to retrieve supplier', message: 'An error occurred while fetching the supplier' });
+  }
+});
+
+// Create supplier
+router.post('/', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), createSupplierValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { name, contactName, email, phone, address, ice, rc, fiscalId, notes } = req.body;
+
+    const iceError = await checkIceAvailable(ice);
+    if (iceError) {
+      return res.status(409).json(iceError);
+    }
+
+    const supplier = await prisma.$transaction(async (tx) => {
+      const created = await tx.supplier.create({
+        data: { name, contactName, email, phone, address, ice: ice || null, rc, fiscalId, notes }
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'SUPPLIER', entityId: created.id, after: created });
+
+      return created;
+    });
+
+    res.status(201).json({ message: 'Supplier created successfully', supplier });
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    res.status(500).json({ error: 'Failed to create supplier', message: 'An error occurred while creating the supplier' });
+  }
+});
+
+// Update supplier
+router.put('/:id', authenticateToken, requireRole(['ADMIN', 'SUPERVISOR']), updateSupplierValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { name, contactName, email, phone, address, ice, rc, fiscalId, notes } = req.body;
+
+    const existingSupplier = await prisma.supplier.findUnique({ where: { id } });
+    if (!existingSupplier) {
+      return res.status(404).json({ error: 'Supplier Not Found', message: 'The requested supplier was not found' });
+    }
+
+    const iceError = await checkIceAvailable(ice, id);
+    if (iceError) {
+      return res.status(409).json(iceError);
+    }
+
+    const supplier = await prisma.$transaction(async (tx) => {
+      const updated = await tx.supplier.update({
+        where: { id },
+        data: {
+          name,
+          contactName,
+          email,
+          phone,
+          address,
+          ice: ice === '' ? null : ice,
+          rc,
+          fiscalId,
+          notes
+        }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'SUPPLIER', entityId: id, before: existingSupplier, after: updated });
+
+      return updated;
+    });
+
+    res.json({ message: 'Supplier updated successfully', supplier });
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    res.status(500).json({ error: 'Failed to update supplier', message: 'An error occurred while updating the supplier' });
+  }
+});
+
+// Delete supplier (Admin only); suppliers with price requests are kept for history
+router.delete('/:id', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const supplier = await prisma.supplier.findUnique({ where: { id } });
+
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier Not Found', message: 'The requested supplier was not found' });
+    }
+
+    const priceRequestCount = await prisma.priceOfferRecipient.count({ where: { supplierId: id } });
+    if (priceRequestCount > 0) {
+      return res.status(400).json({
+        error: 'Cannot Delete Supplier',
+        message: 'Suppliers that received price requests cannot be deleted'
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.supplier.delete({ where: { id } });
+
+      await logAudit(tx, req, { action: 'DELETE', entityType: 'SUPPLIER', entityId: id, before: supplier });
+    });
+
+    res.json({ message: 'Supplier deleted successfully' });
+  } catch (error) {
+    console.error('Delete supplier error:', error);
+    res.status(500).json({ error: 'Failed to delete supplier', message: 'An error occurred while deleting the supplier' });
+  }
+});
+
+module.exports = router;
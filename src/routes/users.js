@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const { PrismaClient } = require('@prisma/client');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken, requireRole, requireOwnershipOrAdmin } = require('../middleware/auth');
+const { logAudit } = require('../utils/audit');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -20,7 +21,9 @@ const updateUserValidation = [
   body('email').optional().isEmail().normalizeEmail(),
   body('name').optional().trim().isLength({ min: 2 }),
   body('role').optional().isIn(['ADMIN', 'SUPERVISOR', 'CLIENT']),
-  body('entityId').optional().isUUID()
+  body('entityId').optional().isUUID(),
+  body('awayFrom').optional({ nullable: true }).isISO8601(),
+  body('awayUntil').optional({ nullable: true }).isISO8601()
 ];
 
 const changePasswordValidation = [
@@ -222,23 +225,29 @@ router.post('/', authenticateToken, requireRole('ADMIN'), createUserValidation,
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
     // Create user
-    const user = await prisma.user.create({
-      data: {
-        email,
-        passwordHash,
-        name,
-        role,
-        entityId,
-        isVerified: true // Admin-created users are automatically verified
-      },
-      include: {
-        entity: {
-          select: {
-            id: true,
-            name: true
+    const user = await prisma.$transaction(async (tx) => {
+      const created = await tx.user.create({
+        data: {
+          email,
+          passwordHash,
+          name,
+          role,
+          entityId,
+          isVerified: true // Admin-created users are automatically verified
+        },
+        include: {
+          entity: {
+            select: {
+              id: true,
+              name: true
+            }
           }
         }
-      }
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'USER', entityId: created.id, after: created });
+
+      return created;
     });
 
     // Remove sensitive information
@@ -269,7 +278,7 @@ router.put('/:id', authenticateToken, requireOwnershipOrAdmin('user'), updateUse
     }
 
     const { id } = req.params;
-    const { email, name, role, entityId } = req.body;
+    const { email, name, role, entityId, awayFrom, awayUntil } = req.body;
 
     // Check if user exists
     const existingUser = await prisma.user.findUnique({
@@ -310,23 +319,41 @@ router.put('/:id', authenticateToken, requireOwnershipOrAdmin('user'), updateUse
       });
     }
 
+    // Absence period (null clears it): responsibility notifications go to the replacement meanwhile
+    const nextAwayFrom = awayFrom !== undefined ? awayFrom : existingUser.awayFrom;
+    const nextAwayUntil = awayUntil !== undefined ? awayUntil : existingUser.awayUntil;
+    if (nextAwayUntil && (!nextAwayFrom || new Date(nextAwayUntil) <= new Date(nextAwayFrom))) {
+      return res.status(400).json({
+        error: 'Invalid Absence',
+        message: 'The end of an absence must come after its start'
+      });
+    }
+
     // Update user
-    const updatedUser = await prisma.user.update({
-      where: { id },
-      data: {
-        email,
-        name,
-        role,
-        entityId
-      },
-      include: {
-        entity: {
-          select: {
-            id: true,
-            name: true
+    const updatedUser = await prisma.$transaction(async (tx) => {
+      const updated = await tx.user.update({
+        where: { id },
+        data: {
+          email,
+          name,
+          role,
+          entityId,
+          awayFrom: awayFrom === undefined ? undefined : awayFrom && new Date(awayFrom),
+          awayUntil: awayUntil === undefined ? undefined : awayUntil && new Date(awayUntil)
+        },
+        include: {
+          entity: {
+            select: {
+              id: true,
+              name: true
+            }
           }
         }
-      }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'USER', entityId: id, before: existingUser, after: updated });
+
+      return updated;
     });
 
     // Remove sensitive information
@@ -385,11 +412,15 @@ router.patch('/:id/password', authenticateToken, requireOwnershipOrAdmin('user')
     const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
 
     // Update password
-    await prisma.user.update({
-      where: { id },
-      data: {
-        passwordHash: newPasswordHash
-      }
+    await prisma.$transaction(async (tx) => {
+      const updatedUser = await tx.user.update({
+        where: { id },
+        data: {
+          passwordHash: newPasswordHash
+        }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'USER', entityId: id, before: user, after: updatedUser });
     });
 
     res.json({
@@ -450,8 +481,12 @@ router.delete('/:id', authenticateToken, requireRole('ADMIN'), async (req, res)
     }
 
     // Delete user
-    await prisma.user.delete({
-      where: { id }
+    await prisma.$transaction(async (tx) => {
+      await tx.user.delete({
+        where: { id }
+      });
+
+      await logAudit(tx, req, { action: 'DELETE', entityType: 'USER', entityId: id, before: user });
     });
 
     res.json({
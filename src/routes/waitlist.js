@@ -0,0 +1,180 @@
+// src/routes/waitlist.js
+
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { getFieldAvailability } = require('../utils/occupancy');
+const { logAudit } = require('../utils/audit');
+const { checkActivityType } = require('../utils/activityTypes');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation schemas
+const createWaitlistEntryValidation = [
+  body('fieldId').notEmpty().withMessage('Field ID is required'),
+  body('surfaceM2Requested').isFloat({ min: 0.1 }).withMessage('Surface area must be greater than 0'),
+  body('startRequested').isISO8601().withMessage('Start date must be a valid date'),
+  body('endRequested').isISO8601().withMessage('End date must be a valid date'),
+  body('activityTypeId').optional().isString().withMessage('Activity type ID must be a string'),
+  body('notes').optional().trim()
+];
+
+// Get waitlist entries (clients only see their own)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, fieldId } = req.query;
+    const skip = (page - 1) * limit;
+
+    let whereClause = {};
+    if (status) whereClause.status = status;
+    if (fieldId) whereClause.fieldId = fieldId;
+
+    if (req.user.role === 'CLIENT') {
+      whereClause.clientId = req.user.id;
+    }
+
+    const entries = await prisma.waitlistEntry.findMany({
+      where: whereClause,
+      include: {
+        client: { select: { id: true, name: true, email: true } },
+        field: { select: { id: true, name: true, location: true } },
+        reservation: { select: { id: true, status: true } }
+      },
+      orderBy: { createdAt: 'asc' },
+      skip: parseInt(skip),
+      take: parseInt(limit)
+    });
+
+    const total = await prisma.waitlistEntry.count({ where: whereClause });
+
+    res.json({
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({ error: 'Failed to retrieve waitlist', message: 'An error occurred while fetching the waitlist' });
+  }
+});
+
+// Join the waitlist of a field for a date window
+router.post('/', authenticateToken, requireRole('CLIENT'), createWaitlistEntryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation Error', details: errors.array() });
+    }
+
+    const { fieldId, surfaceM2Requested, startRequested, endRequested, activityTypeId, notes } = req.body;
+    const surfaceM2 = parseFloat(surfaceM2Requested);
+    const start = new Date(startRequested);
+    const end = new Date(endRequested);
+
+    if (end < start) {
+      return res.status(400).json({ error: 'Invalid Date Range', message: 'End date must be after start date' });
+    }
+    if (start < new Date()) {
+      return res.status(400).json({ error: 'Invalid Date Range', message: 'Start date must be in the future' });
+    }
+
+    const field = await prisma.field.findUnique({ where: { id: fieldId } });
+
+    if (!field) {
+      return res.status(404).json({ error: 'Field Not Found' });
+    }
+    if (field.status !== 'ACTIVE') {
+      return res.status(400).json({ error: 'Field Not Available' });
+    }
+    if (surfaceM2 > field.totalSurfaceM2) {
+      return res.status(400).json({
+        error: 'Insufficient Surface Area',
+        message: `Requested surface area (${surfaceM2} m²) exceeds the field total surface (${field.totalSurfaceM2} m²)`
+      });
+    }
+
+    const { freeSurfaceM2 } = await getFieldAvailability(prisma, field, start, end);
+    if (surfaceM2 <= freeSurfaceM2) {
+      return res.status(400).json({
+        error: 'Surface Available',
+        message: `The field has ${freeSurfaceM2} m² free for these dates; create a reservation instead`
+      });
+    }
+
+    if (activityTypeId) {
+      const activityTypeCheck = await checkActivityType(prisma, activityTypeId);
+      if (!activityTypeCheck.activityType) {
+        return res.status(activityTypeCheck.status).json(activityTypeCheck.body);
+      }
+    }
+
+    const entry = await prisma.$transaction(async (tx) => {
+      const created = await tx.waitlistEntry.create({
+        data: {
+          clientId: req.user.id,
+          fieldId,
+          surfaceM2Requested: surfaceM2,
+          startRequested: start,
+          endRequested: end,
+          activityTypeId,
+          notes
+        }
+      });
+
+      await logAudit(tx, req, { action: 'CREATE', entityType: 'WAITLIST_ENTRY', entityId: created.id, after: created });
+
+      return created;
+    });
+
+    const position = await prisma.waitlistEntry.count({
+      where: { fieldId, status: 'WAITING', createdAt: { lte: entry.createdAt } }
+    });
+
+    res.status(201).json({ message: 'Added to the waitlist successfully', entry, position });
+  } catch (error) {
+    console.error('Create waitlist entry error:', error);
+    res.status(500).json({ error: 'Failed to join waitlist', message: 'An error occurred while joining the waitlist' });
+  }
+});
+
+// Leave the waitlist (owner or admin)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = await prisma.waitlistEntry.findUnique({ where: { id } });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Waitlist Entry Not Found' });
+    }
+    if (req.user.role !== 'ADMIN' && entry.clientId !== req.user.id) {
+      return res.status(403).json({ error: 'Access Denied', message: 'You can only access your own resources' });
+    }
+    if (entry.status !== 'WAITING') {
+      return res.status(400).json({ error: 'Cannot Cancel Waitlist Entry', message: 'Only waiting entries can be cancelled' });
+    }
+
+    const updatedEntry = await prisma.$transaction(async (tx) => {
+      const updated = await tx.waitlistEntry.update({
+        where: { id },
+        data: { status: 'CANCELLED' }
+      });
+
+      await logAudit(tx, req, { action: 'UPDATE', entityType: 'WAITLIST_ENTRY', entityId: id, before: entry, after: updated });
+
+      return updated;
+    });
+
+    res.json({ message: 'Waitlist entry cancelled successfully', entry: updatedEntry });
+  } catch (error) {
+    console.error('Cancel waitlist entry error:', error);
+    res.status(500).json({ error: 'Failed to cancel waitlist entry', message: 'An error occurred while cancelling the waitlist entry' });
+  }
+});
+
+module.exports = router;
@@ -9,14 +9,27 @@ const { PrismaClient } = require('@prisma/client');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const fieldRoutes = require('./routes/fields');
+const parcelRoutes = require('./routes/parcels');
 const projectRoutes = require('./routes/projects');
+const projectPhaseRoutes = require('./routes/projectPhases');
+const progressJournalRoutes = require('./routes/progressJournal');
 const reservationRoutes = require('./routes/reservations');
+const waitlistRoutes = require('./routes/waitlist');
 const inventoryRoutes = require('./routes/inventory');
+const inventoryCountRoutes = require('./routes/inventoryCounts');
 const priceOfferRoutes = require('./routes/priceOffers');
 const serviceOrderRoutes = require('./routes/serviceOrders');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const documentSequenceRoutes = require('./routes/documentSequences');
+const responsibilityRoutes = require('./routes/responsibilities');
+const activityTypeRoutes = require('./routes/activityTypes');
+const interventionRoutes = require('./routes/interventions');
 const dashboardRoutes = require('./routes/dashboard');
 const exportRoutes = require('./routes/exports');
 const entitiesRouter = require('./routes/entities');
+const auditRoutes = require('./routes/audit');
+const { startJobs } = require('./jobs/scheduler');
 
 const app = express();
 const prisma = new PrismaClient();
@@ -51,14 +64,26 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/fields/:fieldId/parcels', parcelRoutes);
 app.use('/api/fields', fieldRoutes);
+app.use('/api/projects/:projectId/phases', projectPhaseRoutes);
+app.use('/api/projects/:projectId/journal', progressJournalRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/reservations', reservationRoutes);
+app.use('/api/waitlist', waitlistRoutes);
 app.use('/api/inventory', inventoryRoutes);
+app.use('/api/inventory-counts', inventoryCountRoutes);
 app.use('/api/price-offers', priceOfferRoutes);
 app.use('/api/service-orders', serviceOrderRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/document-sequences', documentSequenceRoutes);
+app.use('/api/responsibilities', responsibilityRoutes);
+app.use('/api/activity-types', activityTypeRoutes);
+app.use('/api/interventions', interventionRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/exports', exportRoutes);
+app.use('/api/audit', auditRoutes);
 app.use('/entities', entitiesRouter);
 
 // Error handling middleware
@@ -112,6 +137,10 @@ app.listen(PORT, () => {
   console.log(`🚀 AITTC Farm Management Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+
+  if (process.env.DISABLE_JOBS !== 'true') {
+    startJobs();
+  }
 });
 
 module.exports = app; 
\ No newline at end of file
@@ -0,0 +1,149 @@
+const { slippageOf, createsDependencyCycle, buildGanttTasks } = require('../phases');
+
+const today = new Date('2026-10-19T10:00:00Z');
+
+const phase = (id, fields = {}) => ({
+  id,
+  name: `Phase ${id}`,
+  kind: 'PHASE',
+  status: 'PLANNED',
+  plannedStart: new Date('2026-10-01'),
+  plannedEnd: new Date('2026-10-31'),
+  actualStart: null,
+  actualEnd: null,
+  progress: 0,
+  owner: null,
+  dependsOn: [],
+  ...fields
+});
+
+const dependsOn = (...ids) => ids.map(id => ({ id, status: 'PLANNED' }));
+
+describe('slippageOf', () => {
+  it('keeps a phase running on schedule on track', () => {
+    const slippage = slippageOf([phase('a', { status: 'IN_PROGRESS', actualStart: new Date('2026-10-01') })], today);
+
+    expect(slippage.get('a')).toEqual({ days: 0, startDays: 0, status: 'ON_TRACK' });
+  });
+
+  it('marks a phase running past its planned end late', () => {
+    const slippage = slippageOf([phase('a', {
+      status: 'IN_PROGRESS',
+      actualStart: new Date('2026-09-01'),
+      plannedStart: new Date('2026-09-01'),
+      plannedEnd: new Date('2026-10-14')
+    })], today);
+
+    expect(slippage.get('a')).toEqual({ days: 5, startDays: 0, status: 'LATE' });
+  });
+
+  it('marks a phase that finished late as late and one that finished early as on track', () => {
+    const slippage = slippageOf([
+      phase('late', { status: 'COMPLETED', plannedEnd: new Date('2026-10-10'), actualEnd: new Date('2026-10-13') }),
+      phase('early', { status: 'COMPLETED', plannedEnd: new Date('2026-10-10'), actualEnd: new Date('2026-10-08') })
+    ], today);
+
+    expect(slippage.get('late')).toMatchObject({ days: 3, status: 'LATE' });
+    expect(slippage.get('early')).toMatchObject({ days: -2, status: 'ON_TRACK' });
+  });
+
+  it('puts a phase that has not started on time at risk', () => {
+    const slippage = slippageOf([phase('a', { plannedStart: new Date('2026-10-15') })], today);
+
+    expect(slippage.get('a')).toEqual({ days: 0, startDays: 4, status: 'AT_RISK' });
+  });
+
+  it('puts a phase that started late at risk', () => {
+    const slippage = slippageOf([phase('a', { status: 'IN_PROGRESS', actualStart: new Date('2026-10-03') })], today);
+
+    expect(slippage.get('a')).toEqual({ days: 0, startDays: 2, status: 'AT_RISK' });
+  });
+
+  it('puts a phase waiting on a late dependency at risk', () => {
+    const slippage = slippageOf([
+      phase('a', { status: 'IN_PROGRESS', actualStart: new Date('2026-09-01'), plannedStart: new Date('2026-09-01'), plannedEnd: new Date('2026-10-10') }),
+      phase('b', { plannedStart: new Date('2026-11-01'), plannedEnd: new Date('2026-11-30'), dependsOn: dependsOn('a') })
+    ], today);
+
+    expect(slippage.get('a').status).toBe('LATE');
+    expect(slippage.get('b')).toEqual({ days: 0, startDays: 0, status: 'AT_RISK' });
+  });
+});
+
+describe('createsDependencyCycle', () => {
+  const phases = [
+    phase('a'),
+    phase('b', { dependsOn: dependsOn('a') }),
+    phase('c', { dependsOn: dependsOn('b') })
+  ];
+
+  it('refuses a phase depending on itself', () => {
+    expect(createsDependencyCycle(phases, 'a', ['a'])).toBe(true);
+  });
+
+  it('refuses a dependency that leads back to the phase', () => {
+    expect(createsDependencyCycle(phases, 'a', ['c'])).toBe(true);
+  });
+
+  it('accepts dependencies that do not loop', () => {
+    expect(createsDependencyCycle(phases, 'c', ['a', 'b'])).toBe(false);
+    expect(createsDependencyCycle(phases, 'd', ['c'])).toBe(false);
+  });
+});
+
+describe('buildGanttTasks', () => {
+  const project = (phases, fields = {}) => ({
+    id: 'p',
+    title: 'Essai blé dur',
+    status: 'EN_COURS',
+    startDate: new Date('2026-09-01'),
+    endDate: null,
+    supervisor: { name: 'Superviseur' },
+    phases,
+    ...fields
+  });
+
+  it('puts the project summary before its phases', () => {
+    const tasks = buildGanttTasks([project([phase('a'), phase('b', { kind: 'MILESTONE' })])], today);
+
+    expect(tasks.map(task => [task.id, task.type, task.parent])).toEqual([
+      ['p', 'project', null],
+      ['a', 'task', 'p'],
+      ['b', 'milestone', 'p']
+    ]);
+  });
+
+  it('ends a phase running late today and others on their actual or planned end', () => {
+    const tasks = buildGanttTasks([project([
+      phase('late', { status: 'IN_PROGRESS', actualStart: new Date('2026-09-05'), plannedEnd: new Date('2026-10-10') }),
+      phase('done', { status: 'COMPLETED', actualStart: new Date('2026-09-02'), actualEnd: new Date('2026-09-20') }),
+      phase('planned', { plannedStart: new Date('2026-11-01'), plannedEnd: new Date('2026-11-30') })
+    ])], today);
+    const byId = Object.fromEntries(tasks.map(task => [task.id, task]));
+
+    expect(byId.late.start).toEqual(new Date('2026-09-05'));
+    expect(byId.late.end).toBe(today);
+    expect(byId.done.end).toEqual(new Date('2026-09-20'));
+    expect(byId.planned.end).toEqual(new Date('2026-11-30'));
+  });
+
+  it('summarises the project with its latest phase end, mean progress and worst slippage', () => {
+    const [summary] = buildGanttTasks([project([
+      phase('a', { status: 'IN_PROGRESS', actualStart: new Date('2026-10-01'), plannedEnd: new Date('2026-10-12'), progress: 80 }),
+      phase('b', { plannedStart: new Date('2026-10-15'), plannedEnd: new Date('2026-12-15'), progress: 20 })
+    ])], today);
+
+    expect(summary.end).toEqual(new Date('2026-12-15'));
+    expect(summary.progress).toBe(50);
+    expect(summary.slippage).toEqual({ days: 7, startDays: 0, status: 'LATE' });
+    expect(summary.owner).toBe('Superviseur');
+  });
+
+  it('uses the project dates and status when it has no phases', () => {
+    const [summary] = buildGanttTasks([project([], { status: 'FINALISE', endDate: new Date('2026-10-01') })], today);
+
+    expect(summary.end).toEqual(new Date('2026-10-01'));
+    expect(summary.progress).toBe(100);
+    expect(summary.slippage).toEqual({ days: 0, startDays: 0, status: 'ON_TRACK' });
+  });
+});
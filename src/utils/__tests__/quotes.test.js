@@ -0,0 +1,84 @@
+const { buildQuoteComparison } = require('../quotes');
+
+const offer = (recipients) => ({
+  items: [
+    { id: 'seed', lineNumber: 1, designation: 'Semences de blé dur', unit: 'kg', quantity: 100 },
+    { id: 'urea', lineNumber: 2, designation: 'Urée 46%', unit: 'sac', quantity: 3 }
+  ],
+  recipients: recipients.map(([supplierId, prices]) => ({
+    supplierId,
+    supplier: { name: `Fournisseur ${supplierId}` },
+    respondedAt: new Date('2026-10-01'),
+    quotes: Object.entries(prices).map(([itemId, unitPrice]) => ({ itemId, unitPrice }))
+  }))
+});
+
+describe('buildQuoteComparison', () => {
+  it('flags the cheapest unit price of each item, ties included', () => {
+    const { items } = buildQuoteComparison(offer([
+      ['A', { seed: 4.5, urea: 320 }],
+      ['B', { seed: 4.2, urea: 320 }]
+    ]));
+
+    expect(items[0].bestSupplierIds).toEqual(['B']);
+    expect(items[0].quotes.map(quote => quote.isBest)).toEqual([false, true]);
+    expect(items[1].bestSupplierIds).toEqual(['A', 'B']);
+  });
+
+  it('prices each quote for the quantity of the item', () => {
+    const { items } = buildQuoteComparison(offer([['A', { seed: 4.333, urea: 320 }]]));
+
+    expect(items[0].quotes[0].totalPrice).toBe(433.3);
+    expect(items[1].quotes[0].totalPrice).toBe(960);
+  });
+
+  it('ranks only the suppliers that quoted every item', () => {
+    const comparison = buildQuoteComparison(offer([
+      ['A', { seed: 4.5, urea: 320 }],
+      ['B', { seed: 4.2, urea: 325 }],
+      ['C', { seed: 1 }]
+    ]));
+
+    const byId = Object.fromEntries(comparison.suppliers.map(supplier => [supplier.supplierId, supplier]));
+    expect(byId.A).toMatchObject({ complete: true, total: 1410, isBest: false });
+    expect(byId.B).toMatchObject({ complete: true, total: 1395, isBest: true });
+    expect(byId.C).toMatchObject({ complete: false, quotedItems: 1, total: 100, isBest: false });
+    expect(comparison.bestSupplierId).toBe('B');
+  });
+
+  it('flags every supplier tied on the best total and picks the first', () => {
+    const comparison = buildQuoteComparison(offer([
+      ['A', { seed: 4.5, urea: 320 }],
+      ['B', { seed: 4.2, urea: 330 }]
+    ]));
+
+    expect(comparison.suppliers.map(supplier => supplier.isBest)).toEqual([true, true]);
+    expect(comparison.bestSupplierId).toBe('A');
+  });
+
+  it('picks the lowest complete total even when a partial quote is cheaper', () => {
+    const comparison = buildQuoteComparison(offer([
+      ['A', { seed: 5, urea: 300 }],
+      ['B', { seed: 4, urea: 300 }],
+      ['C', { urea: 10 }]
+    ]));
+
+    expect(comparison.bestSupplierId).toBe('B');
+    expect(comparison.suppliers.filter(supplier => supplier.isBest).map(supplier => supplier.supplierId)).toEqual(['B']);
+  });
+
+  it('has no best supplier until one quotes every item', () => {
+    const comparison = buildQuoteComparison(offer([['A', { seed: 4.5 }]]));
+
+    expect(comparison.bestSupplierId).toBeNull();
+    expect(comparison.suppliers[0].isBest).toBe(false);
+  });
+
+  it('handles a request nobody answered', () => {
+    const comparison = buildQuoteComparison(offer([]));
+
+    expect(comparison.items.every(item => item.quotes.length === 0 && item.bestSupplierIds.length === 0)).toBe(true);
+    expect(comparison.suppliers).toEqual([]);
+    expect(comparison.bestSupplierId).toBeNull();
+  });
+});
@@ -0,0 +1,160 @@
+// Activity types and the extra project attributes each of them defines,
+// e.g. variety, sowing density and sowing date for cereal crops
+
+const ATTRIBUTE_TYPES = ['TEXT', 'NUMBER', 'DATE', 'BOOLEAN', 'CHOICE'];
+const ATTRIBUTE_KEY = /^[a-z][a-zA-Z0-9]*$/;
+
+// Problems in a list of attribute definitions:
+// [{ key, label, type, required, unit, options, min, max }]
+const checkAttributeDefinitions = (definitions) => {
+  if (!Array.isArray(definitions)) {
+    return ['Attributes must be an array'];
+  }
+
+  const errors = [];
+  const keys = new Set();
+  definitions.forEach((definition, index) => {
+    const name = definition && definition.key ? `Attribute ${definition.key}` : `Attribute ${index + 1}`;
+
+    if (!definition || typeof definition.key !== 'string' || !ATTRIBUTE_KEY.test(definition.key)) {
+      errors.push(`${name}: key must be camelCase letters and digits`);
+    } else if (keys.has(definition.key)) {
+      errors.push(`${name}: key is defined twice`);
+    } else {
+      keys.add(definition.key);
+    }
+
+    if (!definition || typeof definition.label !== 'string' || !definition.label.trim()) {
+      errors.push(`${name}: label is required`);
+    }
+    if (!definition || !ATTRIBUTE_TYPES.includes(definition.type)) {
+      errors.push(`${name}: type must be one of ${ATTRIBUTE_TYPES.join(', ')}`);
+    }
+    if (definition && definition.type === 'CHOICE' && (!Array.isArray(definition.options) || definition.options.length === 0)) {
+      errors.push(`${name}: a CHOICE attribute needs a list of options`);
+    }
+    if (definition && definition.min !== undefined && definition.max !== undefined && definition.min > definition.max) {
+      errors.push(`${name}: min is greater than max`);
+    }
+  });
+
+  return errors;
+};
+
+// Keep only the documented fields of each definition
+const normalizeAttributeDefinitions = (definitions) => definitions.map(definition => ({
+  key: definition.key,
+  label: definition.label.trim(),
+  type: definition.type,
+  required: Boolean(definition.required),
+  unit: definition.unit || undefined,
+  options: definition.type === 'CHOICE' ? definition.options.map(String) : undefined,
+  min: definition.type === 'NUMBER' && definition.min !== undefined ? Number(definition.min) : undefined,
+  max: definition.type === 'NUMBER' && definition.max !== undefined ? Number(definition.max) : undefined
+}));
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Convert one attribute value to its type, or return { error }
+const convertValue = (definition, value) => {
+  switch (definition.type) {
+    case 'NUMBER': {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      if (!Number.isFinite(number)) return { error: 'must be a number' };
+      if (definition.min !== undefined && number < definition.min) return { error: `must be at least ${definition.min}` };
+      if (definition.max !== undefined && number > definition.max) return { error: `must be at most ${definition.max}` };
+      return { value: number };
+    }
+    case 'DATE': {
+      const date = new Date(value);
+      if (typeof value !== 'string' || isNaN(date.getTime())) return { error: 'must be a valid date' };
+      return { value: date.toISOString().slice(0, 10) };
+    }
+    case 'BOOLEAN':
+      if (typeof value !== 'boolean') return { error: 'must be true or false' };
+      return { value };
+    case 'CHOICE':
+      if (!definition.options.includes(String(value))) return { error: `must be one of ${definition.options.join(', ')}` };
+      return { value: String(value) };
+    default:
+      return { value: String(value).trim() };
+  }
+};
+
+// Validate project attributes against the definitions of its activity type.
+// Returns { errors: [{ attribute, message }], attributes } with values converted to their type.
+const validateProjectAttributes = (definitions, values) => {
+  const errors = [];
+  const attributes = {};
+
+  if (values !== undefined && values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+    return { errors: [{ attribute: null, message: 'Attributes must be an object' }], attributes };
+  }
+
+  const input = values || {};
+  const known = new Set(definitions.map(definition => definition.key));
+  Object.keys(input)
+    .filter(key => !known.has(key))
+    .forEach(key => errors.push({ attribute: key, message: `${key} is not an attribute of this activity type` }));
+
+  for (const definition of definitions) {
+    const value = input[definition.key];
+    if (isMissing(value)) {
+      if (definition.required) {
+        errors.push({ attribute: definition.key, message: `${definition.label} is required` });
+      }
+      continue;
+    }
+
+    const converted = convertValue(definition, value);
+    if (converted.error) {
+      errors.push({ attribute: definition.key, message: `${definition.label} ${converted.error}` });
+    } else {
+      attributes[definition.key] = converted.value;
+    }
+  }
+
+  return { errors, attributes };
+};
+
+// Project attributes checked against its activity type (null when it has none).
+// Returns { attributes } or { status, body } describing the error.
+const checkProjectAttributes = (activityType, values) => {
+  if (!activityType) {
+    return values && Object.keys(values).length > 0
+      ? { status: 400, body: { error: 'Invalid Attributes', message: 'Attributes require an activity type' } }
+      : { attributes: null };
+  }
+
+  const { errors, attributes } = validateProjectAttributes(activityType.attributes, values);
+  if (errors.length > 0) {
+    return {
+      status: 400,
+      body: { error: 'Invalid Attributes', message: `Invalid attributes for activity type ${activityType.label}`, details: errors }
+    };
+  }
+  return { attributes };
+};
+
+// Activity type that new projects, reservations and waitlist entries can use.
+// Returns { activityType } or { status, body } describing the error.
+const checkActivityType = async (client, activityTypeId) => {
+  const activityType = await client.activityType.findUnique({ where: { id: activityTypeId } });
+
+  if (!activityType) {
+    return { status: 404, body: { error: 'Activity Type Not Found', message: 'The specified activity type was not found' } };
+  }
+  if (activityType.retiredAt) {
+    return { status: 400, body: { error: 'Activity Type Retired', message: `The activity type ${activityType.label} is no longer in use` } };
+  }
+  return { activityType };
+};
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  checkAttributeDefinitions,
+  normalizeAttributeDefinitions,
+  validateProjectAttributes,
+  checkProjectAttributes,
+  checkActivityType
+};
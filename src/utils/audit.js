@@ -0,0 +1,66 @@
+// Audit trail of create/update/delete operations
+
+// Changes to these are recorded without their values
+const SENSITIVE_KEYS = ['passwordHash', 'verificationToken', 'resetToken', 'resetTokenExpiry'];
+
+// Fields that change on every write and carry no information
+const IGNORED_KEYS = ['updatedAt'];
+
+// Keep the record's own columns: related records included by queries are left out
+const isRelation = (value) => {
+  return Array.isArray(value) || (value !== null && typeof value === 'object' && !(value instanceof Date) && 'id' in value);
+};
+
+const hide = (key, value) => (SENSITIVE_KEYS.includes(key) && value !== null ? '[hidden]' : value);
+
+const toAuditRecord = (record) => {
+  if (!record) return {};
+
+  return Object.fromEntries(Object.entries(record)
+    .filter(([key, value]) => !IGNORED_KEYS.includes(key) && !isRelation(value))
+    .map(([key, value]) => [key, value instanceof Date ? value.toISOString() : value]));
+};
+
+// Field by field difference between two records: { field: { before, after } }
+const diffRecords = (before, after) => {
+  const previous = toAuditRecord(before);
+  const next = toAuditRecord(after);
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  const changes = {};
+  for (const key of keys) {
+    const oldValue = previous[key] === undefined ? null : previous[key];
+    const newValue = next[key] === undefined ? null : next[key];
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[key] = { before: hide(key, oldValue), after: hide(key, newValue) };
+    }
+  }
+
+  return changes;
+};
+
+// Audit entry data for an operation on an entity.
+// `before` is null for creations and `after` is null for deletions.
+// Without a request (background jobs) the entry has no actor.
+const buildAuditEntry = (req, { action, entityType, entityId, before = null, after = null }) => ({
+  actorId: req && req.user ? req.user.id : null,
+  action,
+  entityType,
+  entityId,
+  changes: diffRecords(before, after),
+  ipAddress: req ? req.ip : null
+});
+
+// Record an operation on an entity.
+// `client` can be a transaction so the entry is only saved with the change itself.
+const logAudit = (client, req, operation) => {
+  return client.auditLog.create({
+    data: buildAuditEntry(req, operation)
+  });
+};
+
+module.exports = {
+  diffRecords,
+  buildAuditEntry,
+  logAudit
+};
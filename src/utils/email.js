@@ -13,6 +13,14 @@ const createTransporter = () => {
   });
 };
 
+// Escape free text typed by users before putting it in an email body
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 // Send verification email
 const sendVerificationEmail = async (email, token) => {
   const transporter = createTransporter();
@@ -150,6 +158,14 @@ const sendReservationStatusEmail = async (email, reservation, status, projectTit
             <p><strong>Status:</strong> <span style="color: ${statusColor}; font-weight: bold;">${status}</span></p>
           </div>
           
+          ${reservation.rejectionReason ? `
+            <p><strong>Reason:</strong> ${escapeHtml(reservation.rejectionReason)}</p>
+          ` : ''}
+          
+          ${reservation.decisionComments ? `
+            <p><strong>Comments from the administration:</strong> ${escapeHtml(reservation.decisionComments)}</p>
+          ` : ''}
+          
           ${status === 'APPROVED' ? `
             <p>Your project has been approved and assigned to a supervisor. You will receive further updates on your project progress.</p>
           ` : `
@@ -222,9 +238,178 @@ const sendProjectAssignmentEmail = async (email, project, supervisorName) => {
   }
 };
 
+// Send notification email when a waitlisted request becomes a pending reservation
+const sendWaitlistPromotionEmail = async (email, reservation, fieldName) => {
+  const transporter = createTransporter();
+  
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to: email,
+    subject: 'AITTC Farm Management - Waitlist Update',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #2c5aa0; color: white; padding: 20px; text-align: center;">
+          <h1>AITTC Farm Management System</h1>
+        </div>
+        
+        <div style="padding: 20px; background-color: #f9f9f9;">
+          <h2>Surface Available</h2>
+          
+          <p>Surface has become available on <strong>${fieldName}</strong> for the dates you were waiting for. Your waitlist request has been turned into a reservation request.</p>
+          
+          <div style="background-color: white; padding: 15px; border-radius: 5px; margin: 20px 0;">
+            <h3>Reservation Details:</h3>
+            <p><strong>Surface Area:</strong> ${reservation.surfaceM2Requested} m²</p>
+            <p><strong>Start Date:</strong> ${new Date(reservation.startRequested).toLocaleDateString()}</p>
+            <p><strong>End Date:</strong> ${new Date(reservation.endRequested).toLocaleDateString()}</p>
+            <p><strong>Status:</strong> ${reservation.status}</p>
+          </div>
+          
+          <p>The request is now pending review by the farm administration. You will be notified of the decision.</p>
+        </div>
+        
+        <div style="background-color: #333; color: white; padding: 15px; text-align: center; font-size: 12px;">
+          <p>AITTC Experimental Farm Management System</p>
+          <p>This is an automated message, please do not reply.</p>
+        </div>
+      </div>
+    `
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Waitlist promotion email sent to ${email}`);
+  } catch (error) {
+    console.error('Error sending waitlist promotion email:', error);
+    throw error;
+  }
+};
+
+// Send the daily digest of items below their minimum quantity to the stock manager
+const sendLowStockDigestEmail = async (email, items) => {
+  const transporter = createTransporter();
+  const draftUrl = `${process.env.FRONTEND_URL}/inventory/low-stock?draft=price-offer`;
+
+  const rows = items.map(item => `
+              <tr>
+                <td style="padding: 6px; border-bottom: 1px solid #eee;">${item.designation}</td>
+                <td style="padding: 6px; border-bottom: 1px solid #eee;">${item.location}</td>
+                <td style="padding: 6px; border-bottom: 1px solid #eee; text-align: right;">${item.stockQty} / ${item.minQty} ${item.unit}</td>
+                <td style="padding: 6px; border-bottom: 1px solid #eee; text-align: right;">${item.suggestedOrderQty} ${item.unit}</td>
+              </tr>`).join('');
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to: email,
+    subject: `AITTC Farm Management - ${items.length} item(s) below minimum stock`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #2c5aa0; color: white; padding: 20px; text-align: center;">
+          <h1>AITTC Farm Management System</h1>
+        </div>
+        
+        <div style="padding: 20px; background-color: #f9f9f9;">
+          <h2>Low Stock Digest</h2>
+          
+          <p>The following items are below their minimum quantity:</p>
+          
+          <div style="background-color: white; padding: 15px; border-radius: 5px; margin: 20px 0;">
+            <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+              <tr>
+                <th style="padding: 6px; text-align: left;">Item</th>
+                <th style="padding: 6px; text-align: left;">Location</th>
+                <th style="padding: 6px; text-align: right;">Stock / Min.</th>
+                <th style="padding: 6px; text-align: right;">To Order</th>
+              </tr>${rows}
+            </table>
+          </div>
+          
+          <p>A F.47 price offer can be drafted for the missing quantities:</p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${draftUrl}" 
+               style="background-color: #2c5aa0; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Draft Price Offer
+            </a>
+          </div>
+        </div>
+        
+        <div style="background-color: #333; color: white; padding: 15px; text-align: center; font-size: 12px;">
+          <p>AITTC Experimental Farm Management System</p>
+          <p>This is an automated message, please do not reply.</p>
+        </div>
+      </div>
+    `
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Low stock digest email sent to ${email}`);
+  } catch (error) {
+    console.error('Error sending low stock digest email:', error);
+    throw error;
+  }
+};
+
+// document: { label, reference, url } of the form awaiting signature
+const sendSignatureRequestEmail = async (email, signerName, document) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to: email,
+    subject: `AITTC Farm Management - ${document.label} awaiting your signature`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #2c5aa0; color: white; padding: 20px; text-align: center;">
+          <h1>AITTC Farm Management System</h1>
+        </div>
+        
+        <div style="padding: 20px; background-color: #f9f9f9;">
+          <h2>Signature Requested</h2>
+          
+          <p>Dear ${signerName},</p>
+          
+          <p>You have been designated to sign the following document:</p>
+          
+          <div style="background-color: white; padding: 15px; border-radius: 5px; margin: 20px 0;">
+            <p><strong>Document:</strong> ${document.label}</p>
+            <p><strong>Reference:</strong> ${document.reference}</p>
+          </div>
+          
+          <p>Once signed, the document can no longer be modified.</p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${document.url}" 
+               style="background-color: #2c5aa0; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Review and Sign
+            </a>
+          </div>
+        </div>
+        
+        <div style="background-color: #333; color: white; padding: 15px; text-align: center; font-size: 12px;">
+          <p>AITTC Experimental Farm Management System</p>
+          <p>This is an automated message, please do not reply.</p>
+        </div>
+      </div>
+    `
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Signature request email sent to ${email}`);
+  } catch (error) {
+    console.error('Error sending signature request email:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   sendVerificationEmail,
   sendPasswordResetEmail,
   sendReservationStatusEmail,
-  sendProjectAssignmentEmail
+  sendProjectAssignmentEmail,
+  sendWaitlistPromotionEmail,
+  sendLowStockDigestEmail,
+  sendSignatureRequestEmail
 }; 
\ No newline at end of file
@@ -0,0 +1,89 @@
+// GeoJSON helpers for field and parcel boundaries
+
+// Check that a position is a [longitude, latitude] pair
+const isPosition = (position) => {
+  return Array.isArray(position) &&
+    position.length >= 2 &&
+    position.every(coordinate => typeof coordinate === 'number' && isFinite(coordinate));
+};
+
+// Check that a ring is closed and has at least 4 positions
+const isLinearRing = (ring) => {
+  if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+    return false;
+  }
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+};
+
+// Check that polygon coordinates are a list of linear rings (outer ring first)
+const isPolygonCoordinates = (coordinates) => {
+  return Array.isArray(coordinates) && coordinates.length > 0 && coordinates.every(isLinearRing);
+};
+
+// Check that a value is a GeoJSON Polygon or MultiPolygon geometry
+const isPolygonGeometry = (geometry) => {
+  if (!geometry || typeof geometry !== 'object') {
+    return false;
+  }
+
+  if (geometry.type === 'Polygon') {
+    return isPolygonCoordinates(geometry.coordinates);
+  }
+
+  if (geometry.type === 'MultiPolygon') {
+    return Array.isArray(geometry.coordinates) &&
+      geometry.coordinates.length > 0 &&
+      geometry.coordinates.every(isPolygonCoordinates);
+  }
+
+  return false;
+};
+
+// Earth radius used for spherical area (WGS84 semi-major axis)
+const EARTH_RADIUS_M = 6378137;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Area of a ring in m² on the sphere, unsigned
+const ringArea = (ring) => {
+  let area = 0;
+
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[i + 1];
+    area += toRadians(lng2 - lng1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+
+  return Math.abs(area * EARTH_RADIUS_M * EARTH_RADIUS_M / 2);
+};
+
+// Area of polygon coordinates: outer ring minus holes
+const polygonArea = (rings) => {
+  const [outer, ...holes] = rings;
+  return holes.reduce((area, hole) => area - ringArea(hole), ringArea(outer));
+};
+
+// Surface of a Polygon or MultiPolygon geometry in m², rounded to 2 decimals
+const computeGeometryArea = (geometry) => {
+  const area = geometry.type === 'MultiPolygon'
+    ? geometry.coordinates.reduce((sum, polygon) => sum + polygonArea(polygon), 0)
+    : polygonArea(geometry.coordinates);
+
+  return Math.round(area * 100) / 100;
+};
+
+// Build a GeoJSON Feature
+const toFeature = (geometry, properties) => ({
+  type: 'Feature',
+  geometry: geometry || null,
+  properties
+});
+
+module.exports = {
+  isPolygonGeometry,
+  computeGeometryArea,
+  toFeature
+};
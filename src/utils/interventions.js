@@ -0,0 +1,169 @@
+// Field intervention register: irrigation, fertilization, fertigation, crop protection and harvests.
+// Crop protection treatments carry the pre-harvest (DAR) and re-entry intervals of their products.
+
+const INTERVENTION_TYPES = ['IRRIGATION', 'FERTILIZATION', 'FERTIGATION', 'CROP_PROTECTION', 'HARVEST'];
+
+// What each type of intervention must record
+const INTERVENTION_INPUTS = {
+  IRRIGATION: { water: true, products: false },
+  FERTILIZATION: { water: false, products: true },
+  FERTIGATION: { water: true, products: true },
+  CROP_PROTECTION: { water: false, products: true },
+  HARVEST: { water: false, products: false }
+};
+
+// French labels used in stock movement reasons
+const INTERVENTION_LABELS = {
+  IRRIGATION: 'Irrigation',
+  FERTILIZATION: 'Fertilisation',
+  FERTIGATION: 'Fertigation',
+  CROP_PROTECTION: 'Protection phytosanitaire',
+  HARVEST: 'Récolte'
+};
+
+const M2_PER_HA = 10000;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Quantity of product for a dose per hectare, rounded to the gram or millilitre
+const productQuantity = (dosePerHa, surfaceHa) => Math.round(dosePerHa * surfaceHa * 1000) / 1000;
+
+// Check the water volume and products required by the type; returns an error message or null
+const checkInterventionInputs = (type, waterVolumeM3, products) => {
+  const inputs = INTERVENTION_INPUTS[type];
+  if (inputs.water && !(waterVolumeM3 > 0)) {
+    return `${INTERVENTION_LABELS[type]} requires a water volume`;
+  }
+  if (inputs.products && products.length === 0) {
+    return `${INTERVENTION_LABELS[type]} requires at least one product`;
+  }
+  if (!inputs.products && products.length > 0) {
+    return `${INTERVENTION_LABELS[type]} does not use products`;
+  }
+  return null;
+};
+
+// Phytosanitary products need their active substance, DAR and re-entry interval;
+// returns an error message or null
+const checkPhytosanitaryData = (products) => {
+  const incomplete = products.filter(product => (
+    !product.activeSubstance || !Number.isInteger(product.preHarvestDays) || !Number.isInteger(product.reentryHours)
+  ));
+  if (incomplete.length === 0) return null;
+
+  return `Active substance, pre-harvest interval and re-entry interval are required for ${incomplete.map(product => product.item.designation).join(', ')}`;
+};
+
+// End of the pre-harvest and re-entry intervals of a treatment: the longest among its products
+const phytosanitaryIntervals = (date, products) => {
+  const preHarvestDays = Math.max(0, ...products.map(product => product.preHarvestDays || 0));
+  const reentryHours = Math.max(0, ...products.map(product => product.reentryHours || 0));
+  return {
+    preHarvestUntil: new Date(date.getTime() + preHarvestDays * DAY_MS),
+    reentryUntil: new Date(date.getTime() + reentryHours * HOUR_MS)
+  };
+};
+
+const treatmentInclude = {
+  field: { select: { id: true, name: true } },
+  project: { select: { id: true, title: true } },
+  products: { select: { activeSubstance: true, preHarvestDays: true, reentryHours: true, item: { select: { id: true, designation: true } } } }
+};
+
+// Treatments whose pre-harvest interval still runs on a harvest date. Treatments of another project
+// on the same field do not count; treatments of the whole field (no project) always do.
+const findPreHarvestConflicts = (client, { fieldId, projectId, date }) => {
+  return client.intervention.findMany({
+    where: {
+      fieldId,
+      type: 'CROP_PROTECTION',
+      date: { lte: date },
+      preHarvestUntil: { gt: date },
+      ...(projectId ? { OR: [{ projectId }, { projectId: null }] } : {})
+    },
+    include: treatmentInclude,
+    orderBy: { preHarvestUntil: 'desc' }
+  });
+};
+
+// Fields under a re-entry restriction at a date, latest end first,
+// with the treatments that cause it: [{ field, reentryUntil, treatments }]
+const getReentryRestrictions = async (client, date = new Date()) => {
+  const treatments = await client.intervention.findMany({
+    where: { type: 'CROP_PROTECTION', date: { lte: date }, reentryUntil: { gt: date } },
+    include: treatmentInclude,
+    orderBy: { reentryUntil: 'desc' }
+  });
+
+  const byField = new Map();
+  for (const treatment of treatments) {
+    if (!byField.has(treatment.fieldId)) {
+      byField.set(treatment.fieldId, { field: treatment.field, reentryUntil: treatment.reentryUntil, treatments: [] });
+    }
+    byField.get(treatment.fieldId).treatments.push({
+      id: treatment.id,
+      date: treatment.date,
+      reentryUntil: treatment.reentryUntil,
+      project: treatment.project,
+      products: treatment.products
+    });
+  }
+  return [...byField.values()];
+};
+
+// Total inputs of interventions grouped by a key: count per type, water and product quantities.
+// groupOf(intervention) returns { key, ...descriptor } or null to skip the intervention.
+const summarizeInputs = (interventions, groupOf) => {
+  const groups = new Map();
+
+  for (const intervention of interventions) {
+    const group = groupOf(intervention);
+    if (!group) continue;
+
+    if (!groups.has(group.key)) {
+      const { key, ...descriptor } = group;
+      groups.set(key, {
+        ...descriptor,
+        interventions: Object.fromEntries(INTERVENTION_TYPES.map(type => [type, 0])),
+        waterVolumeM3: 0,
+        products: new Map()
+      });
+    }
+
+    const summary = groups.get(group.key);
+    summary.interventions[intervention.type] += 1;
+    summary.waterVolumeM3 += intervention.waterVolumeM3 || 0;
+
+    for (const product of intervention.products) {
+      if (!summary.products.has(product.itemId)) {
+        summary.products.set(product.itemId, {
+          item: { id: product.item.id, designation: product.item.designation, family: product.item.family, unit: product.item.unit },
+          quantity: 0
+        });
+      }
+      summary.products.get(product.itemId).quantity += product.quantity;
+    }
+  }
+
+  return [...groups.values()].map(summary => ({
+    ...summary,
+    waterVolumeM3: Math.round(summary.waterVolumeM3 * 1000) / 1000,
+    products: [...summary.products.values()]
+      .map(product => ({ ...product, quantity: Math.round(product.quantity * 1000) / 1000 }))
+      .sort((a, b) => a.item.designation.localeCompare(b.item.designation))
+  }));
+};
+
+module.exports = {
+  INTERVENTION_TYPES,
+  INTERVENTION_INPUTS,
+  INTERVENTION_LABELS,
+  M2_PER_HA,
+  productQuantity,
+  checkInterventionInputs,
+  checkPhytosanitaryData,
+  phytosanitaryIntervals,
+  findPreHarvestConflicts,
+  getReentryRestrictions,
+  summarizeInputs
+};
@@ -0,0 +1,16 @@
+// Photo files of the progress journal, stored under <UPLOAD_PATH>/journal
+
+const fs = require('fs');
+const path = require('path');
+
+const PHOTO_DIR = path.join(process.env.UPLOAD_PATH || './uploads', 'journal');
+
+// Remove stored photo files; a file already gone is not an error
+const removePhotoFiles = (filenames) => {
+  filenames.forEach(filename => fs.unlink(path.join(PHOTO_DIR, filename), () => {}));
+};
+
+module.exports = {
+  PHOTO_DIR,
+  removePhotoFiles
+};
@@ -0,0 +1,70 @@
+// Sequential document numbers per form and year, never reused: <prefix>-<year>-<sequence>, e.g. F47-2026-0042
+
+// Default format of each numbered document type. A year starts with the format of the
+// previous year; both can be changed through /api/document-sequences.
+const DOCUMENT_TYPES = {
+  PRICE_OFFER: { prefix: 'F47', padding: 4 },
+  SERVICE_ORDER: { prefix: 'F84', padding: 4 },
+  PURCHASE_ORDER: { prefix: 'BC', padding: 4 }
+};
+
+const formatDocumentNumber = ({ prefix, year, padding }, sequence) => {
+  return `${prefix}-${year}-${String(sequence).padStart(padding, '0')}`;
+};
+
+// Format of a year without a sequence yet
+const sequenceFormat = async (client, documentType, year) => {
+  const previous = await client.documentSequence.findFirst({
+    where: { documentType, year: { lt: year } },
+    orderBy: { year: 'desc' }
+  });
+  return previous
+    ? { prefix: previous.prefix, padding: previous.padding }
+    : DOCUMENT_TYPES[documentType];
+};
+
+// Assign the next number of a document type. Must run in the transaction that creates
+// the document: the sequence row stays locked until it commits, so concurrent requests
+// get distinct numbers, and a rolled-back creation gives its number back.
+const nextDocumentNumber = async (tx, documentType, date = new Date()) => {
+  const year = date.getFullYear();
+  const { prefix, padding } = await sequenceFormat(tx, documentType, year);
+
+  const [sequence] = await tx.$queryRaw`
+    INSERT INTO "document_sequences" ("documentType", "year", "prefix", "padding", "lastNumber", "updatedAt")
+    VALUES (${documentType}, ${year}, ${prefix}, ${padding}, 1, CURRENT_TIMESTAMP)
+    ON CONFLICT ("documentType", "year")
+    DO UPDATE SET "lastNumber" = "document_sequences"."lastNumber" + 1, "updatedAt" = CURRENT_TIMESTAMP
+    RETURNING "prefix", "padding", "lastNumber"`;
+
+  return formatDocumentNumber({ prefix: sequence.prefix, padding: sequence.padding, year }, sequence.lastNumber);
+};
+
+// Market numbers are typed from the procurement file and start a single F.84 order each.
+// Returns the other service order already using the number, or null.
+const findMarketNumberConflict = (client, marketNumber, excludeServiceOrderId) => {
+  if (!marketNumber) return null;
+
+  return client.serviceOrder.findFirst({
+    where: {
+      marketNumber: { equals: marketNumber, mode: 'insensitive' },
+      ...(excludeServiceOrderId ? { id: { not: excludeServiceOrderId } } : {})
+    },
+    select: { id: true, number: true }
+  });
+};
+
+// Whether a write failed on the market number index, when a concurrent request took the
+// number between findMarketNumberConflict and the write
+const isMarketNumberConflict = (error) => (
+  error.code === 'P2002' && String(error.meta && error.meta.target).includes('marketNumber')
+);
+
+module.exports = {
+  DOCUMENT_TYPES,
+  formatDocumentNumber,
+  sequenceFormat,
+  nextDocumentNumber,
+  findMarketNumberConflict,
+  isMarketNumberConflict
+};
@@ -0,0 +1,330 @@
+// Field occupancy over time.
+// Surface is held by approved reservations and by projects that are not finalised,
+// each for its own date range, so free surface only makes sense for a date window.
+
+const ACTIVE_PROJECT_STATUSES = ['EN_COURS', 'PROGRAMME', 'A_LANCER'];
+
+// An approved reservation keeps its surface while a modification is being reviewed
+const HOLDING_RESERVATION_STATUSES = ['APPROVED', 'MODIFICATION_REQUESTED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse optional startDate/endDate query values into a window (defaults to today).
+// Returns null when one of the dates is invalid or the window is reversed.
+const parseWindow = (startDate, endDate) => {
+  const start = startDate ? new Date(startDate) : new Date();
+  const end = endDate ? new Date(endDate) : new Date(start);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end < start) {
+    return null;
+  }
+
+  return { start, end };
+};
+
+// Get reservations and projects holding surface on a field during [start, end].
+// A null end means an open-ended window (e.g. a project without end date).
+const getFieldOccupants = async (client, fieldId, start, end, options = {}) => {
+  const { excludeProjectId, excludeReservationId } = options;
+
+  // Once converted, the surface is held by the reservation's project instead
+  const reservationWhere = {
+    fieldId,
+    status: { in: HOLDING_RESERVATION_STATUSES },
+    project: { is: null },
+    endRequested: { gte: start }
+  };
+  if (end) reservationWhere.startRequested = { lte: end };
+  if (excludeReservationId) reservationWhere.id = { not: excludeReservationId };
+
+  const projectWhere = {
+    fieldId,
+    status: { in: ACTIVE_PROJECT_STATUSES },
+    OR: [{ endDate: null }, { endDate: { gte: start } }]
+  };
+  if (end) projectWhere.startDate = { lte: end };
+  if (excludeProjectId) projectWhere.id = { not: excludeProjectId };
+
+  const reservations = await client.reservation.findMany({
+    where: reservationWhere,
+    select: {
+      id: true,
+      clientId: true,
+      surfaceM2Requested: true,
+      startRequested: true,
+      endRequested: true,
+      parcels: { select: { id: true } }
+    }
+  });
+
+  const projects = await client.project.findMany({
+    where: projectWhere,
+    select: {
+      id: true,
+      title: true,
+      clientId: true,
+      surfaceM2: true,
+      startDate: true,
+      endDate: true,
+      status: true,
+      parcels: { select: { id: true } }
+    }
+  });
+
+  return [
+    ...reservations.map(reservation => ({
+      type: 'RESERVATION',
+      id: reservation.id,
+      clientId: reservation.clientId,
+      surfaceM2: reservation.surfaceM2Requested,
+      startDate: reservation.startRequested,
+      endDate: reservation.endRequested,
+      parcelIds: reservation.parcels.map(parcel => parcel.id)
+    })),
+    ...projects.map(project => ({
+      type: 'PROJECT',
+      id: project.id,
+      title: project.title,
+      clientId: project.clientId,
+      status: project.status,
+      surfaceM2: project.surfaceM2,
+      startDate: project.startDate,
+      endDate: project.endDate,
+      parcelIds: project.parcels.map(parcel => parcel.id)
+    }))
+  ];
+};
+
+// Check whether an occupant holds surface at some point of [start, end]
+const isOverlapping = (occupant, start, end) => {
+  return (!end || occupant.startDate <= end) && (!occupant.endDate || occupant.endDate >= start);
+};
+
+// Highest surface used at the same time within the window.
+// Usage only grows when an occupant starts, so checking the window start
+// and every occupant start inside the window is enough.
+const computePeakUsage = (occupants, start, end) => {
+  const checkpoints = [start, ...occupants
+    .map(occupant => occupant.startDate)
+    .filter(date => date > start && (!end || date <= end))];
+
+  return checkpoints.reduce((peak, date) => {
+    const used = occupants
+      .filter(occupant => occupant.startDate <= date && (!occupant.endDate || occupant.endDate >= date))
+      .reduce((sum, occupant) => sum + occupant.surfaceM2, 0);
+    return Math.max(peak, used);
+  }, 0);
+};
+
+// Get free surface of a field for a date window
+const getFieldAvailability = async (client, field, start, end, options = {}) => {
+  const occupants = await getFieldOccupants(client, field.id, start, end, options);
+  const usedSurfaceM2 = computePeakUsage(occupants, start, end);
+
+  return {
+    fieldId: field.id,
+    startDate: start,
+    endDate: end,
+    totalSurfaceM2: field.totalSurfaceM2,
+    usedSurfaceM2,
+    freeSurfaceM2: Math.max(field.totalSurfaceM2 - usedSurfaceM2, 0),
+    occupants
+  };
+};
+
+// Get occupants already holding one of the given parcels during the window
+const findParcelConflicts = (occupants, parcelIds) => {
+  return occupants.filter(occupant => occupant.parcelIds.some(parcelId => parcelIds.includes(parcelId)));
+};
+
+// Surface covered by the parcels of a field, leaving out one parcel being resized
+const getParcelSurface = async (client, fieldId, excludeParcelId) => {
+  const where = { fieldId };
+  if (excludeParcelId) where.id = { not: excludeParcelId };
+
+  const aggregate = await client.parcel.aggregate({
+    where,
+    _sum: { surfaceM2: true }
+  });
+  return aggregate._sum.surfaceM2 || 0;
+};
+
+// Problem with the parcels found for a selection: missing or foreign parcels, or too little surface
+const findSelectionProblem = (parcels, parcelIds, surfaceM2) => {
+  if (parcels.length !== new Set(parcelIds).size) {
+    return {
+      error: 'Invalid Parcels',
+      message: 'All parcels must exist and belong to the selected field'
+    };
+  }
+
+  const parcelSurfaceM2 = parcels.reduce((sum, parcel) => sum + parcel.surfaceM2, 0);
+  if (surfaceM2 > parcelSurfaceM2) {
+    return {
+      error: 'Insufficient Parcel Surface',
+      message: `Requested surface area (${surfaceM2} m²) exceeds the selected parcels (${parcelSurfaceM2} m²)`
+    };
+  }
+
+  return null;
+};
+
+// Check that requested parcels exist, belong to the field and cover the surface, whatever the dates.
+// Returns { error, message } or null.
+const checkParcelSelection = async (client, field, parcelIds, surfaceM2) => {
+  const parcels = await client.parcel.findMany({
+    where: { id: { in: parcelIds }, fieldId: field.id }
+  });
+  return findSelectionProblem(parcels, parcelIds, surfaceM2);
+};
+
+// Check requested parcels against a field and the window.
+// Returns { error, message } describing the first problem found, or null when the parcels can be used.
+const checkParcels = async (client, field, parcelIds, surfaceM2, start, end, options = {}) => {
+  const parcels = await client.parcel.findMany({
+    where: { id: { in: parcelIds }, fieldId: field.id }
+  });
+
+  const selectionProblem = findSelectionProblem(parcels, parcelIds, surfaceM2);
+  if (selectionProblem) {
+    return selectionProblem;
+  }
+
+  const occupants = await getFieldOccupants(client, field.id, start, end, options);
+  const conflicts = findParcelConflicts(occupants, parcelIds);
+  if (conflicts.length > 0) {
+    const codes = parcels
+      .filter(parcel => conflicts.some(conflict => conflict.parcelIds.includes(parcel.id)))
+      .map(parcel => parcel.code);
+    return {
+      error: 'Parcels Not Available',
+      message: `Parcels already occupied for the requested dates: ${codes.join(', ')}`,
+      conflicts
+    };
+  }
+
+  return null;
+};
+
+// Earliest window of the same length, starting at or after `start`, where the field
+// has enough free surface (and the requested parcels are free). Null if none exists.
+const findEarliestWindow = async (client, field, surfaceM2, start, end, options = {}) => {
+  const { parcelIds = [] } = options;
+
+  if (surfaceM2 > field.totalSurfaceM2) return null;
+
+  const duration = end - start;
+  const occupants = await getFieldOccupants(client, field.id, start, null, options);
+
+  // Free surface only increases the day after an occupant ends
+  const candidates = [start, ...occupants
+    .filter(occupant => occupant.endDate)
+    .map(occupant => new Date(occupant.endDate.getTime() + DAY_MS))
+    .filter(date => date > start)]
+    .sort((a, b) => a - b);
+
+  for (const candidateStart of candidates) {
+    const candidateEnd = new Date(candidateStart.getTime() + duration);
+    const overlapping = occupants.filter(occupant => isOverlapping(occupant, candidateStart, candidateEnd));
+    const freeSurfaceM2 = field.totalSurfaceM2 - computePeakUsage(overlapping, candidateStart, candidateEnd);
+
+    if (freeSurfaceM2 >= surfaceM2 && findParcelConflicts(overlapping, parcelIds).length === 0) {
+      return { startDate: candidateStart, endDate: candidateEnd, freeSurfaceM2 };
+    }
+  }
+
+  return null;
+};
+
+// Other ACTIVE fields with enough free surface for the window, most free first
+const findAlternativeFields = async (client, field, surfaceM2, start, end) => {
+  const candidates = await client.field.findMany({
+    where: {
+      status: 'ACTIVE',
+      id: { not: field.id },
+      totalSurfaceM2: { gte: surfaceM2 }
+    },
+    select: { id: true, name: true, location: true, totalSurfaceM2: true }
+  });
+
+  const alternatives = [];
+  for (const candidate of candidates) {
+    const { freeSurfaceM2 } = await getFieldAvailability(client, candidate, start, end);
+    if (freeSurfaceM2 >= surfaceM2) {
+      alternatives.push({
+        fieldId: candidate.id,
+        name: candidate.name,
+        location: candidate.location,
+        freeSurfaceM2
+      });
+    }
+  }
+
+  return alternatives.sort((a, b) => b.freeSurfaceM2 - a.freeSurfaceM2);
+};
+
+// Describe why a request does not fit a field and where it could fit instead
+const getConflictReport = async (client, field, surfaceM2, start, end, options = {}) => {
+  const { parcelIds = [] } = options;
+  const availability = await getFieldAvailability(client, field, start, end, options);
+
+  // When the surface fits, only occupants of the requested parcels are in the way
+  const conflicting = surfaceM2 > availability.freeSurfaceM2
+    ? availability.occupants
+    : findParcelConflicts(availability.occupants, parcelIds);
+
+  return {
+    fieldId: field.id,
+    startDate: start,
+    endDate: end,
+    requestedSurfaceM2: surfaceM2,
+    freeSurfaceM2: availability.freeSurfaceM2,
+    conflicts: conflicting.map(occupant => ({
+      type: occupant.type,
+      id: occupant.id,
+      surfaceM2: occupant.surfaceM2,
+      startDate: occupant.startDate,
+      endDate: occupant.endDate,
+      parcelIds: occupant.parcelIds
+    })),
+    suggestions: {
+      earliestWindow: await findEarliestWindow(client, field, surfaceM2, start, end, options),
+      otherFields: await findAlternativeFields(client, field, surfaceM2, start, end)
+    }
+  };
+};
+
+// Refresh the stored freeSurfaceM2 snapshot with today's occupancy
+const syncFreeSurface = async (client, fieldId) => {
+  const field = await client.field.findUnique({
+    where: { id: fieldId },
+    select: { id: true, totalSurfaceM2: true }
+  });
+
+  if (!field) return null;
+
+  const now = new Date();
+  const { freeSurfaceM2 } = await getFieldAvailability(client, field, now, now);
+
+  return client.field.update({
+    where: { id: fieldId },
+    data: { freeSurfaceM2 }
+  });
+};
+
+module.exports = {
+  ACTIVE_PROJECT_STATUSES,
+  HOLDING_RESERVATION_STATUSES,
+  parseWindow,
+  getFieldOccupants,
+  computePeakUsage,
+  getFieldAvailability,
+  findParcelConflicts,
+  getParcelSurface,
+  checkParcelSelection,
+  checkParcels,
+  findEarliestWindow,
+  findAlternativeFields,
+  getConflictReport,
+  syncFreeSurface
+};
@@ -1,54 +1,230 @@
-const PDFDocument = require('pdfkit');
+const { FORMS, BLANK, reportForm, formatDate, formatDateTime, drawSignatureStamp, renderDocument } = require('./pdfTemplate');
 
-// Generate PDF for service order
+// Signature stamp data of a signed document, null while it is unsigned
+const signatureOf = (document) => (document.signatureHash
+  ? { name: document.signer.name, signedAt: document.signedAt, hash: document.signatureHash }
+  : null);
+
+// Generate F.84 "Ordre de service" PDF, with the client and supplier signature boxes.
+// Once signed, the client box carries the electronic signature stamp.
 const generateServiceOrderPDF = async (serviceOrder) => {
-  return new Promise((resolve, reject) => {
-    const doc = new PDFDocument();
-    const chunks = [];
-    
-    doc.on('data', chunk => chunks.push(chunk));
-    doc.on('end', () => resolve(Buffer.concat(chunks)));
-    doc.on('error', reject);
-    
-    // Add content to PDF
-    doc.fontSize(18).text('Service Order', { align: 'center' });
+  const signature = signatureOf(serviceOrder);
+
+  return renderDocument(FORMS.F84, (doc, { left, width }) => {
+    const paragraph = { width, align: 'justify', lineGap: 4 };
+
+    doc.font('Helvetica-Bold').fontSize(14).text('ORDRE DE SERVICE', left, doc.y + 25, { width, align: 'center', underline: true });
+    doc.font('Helvetica').fontSize(11).text(`N° ${serviceOrder.number}`, { width, align: 'center' });
+    doc.moveDown(2);
+
+    doc.fontSize(11).text('Objet : ', left, doc.y, { ...paragraph, continued: true });
+    doc.font('Helvetica').text(
+      `Commencement des travaux du marché N° : ${serviceOrder.marketNumber || BLANK} ayant pour objet : ` +
+      `${serviceOrder.objet} à la ferme expérimentale de Ben Guérir / Université Mohamed 6 Polytechnique de Ben Guérir.`,
+      paragraph
+    );
+    doc.moveDown(2);
+
+    doc.text(
+      `Monsieur ${serviceOrder.clientRep}, est invité à commencer les travaux objet du marché relatif au ` +
+      `BC N° ${serviceOrder.bcNumber || BLANK} à compter du ${formatDate(serviceOrder.startDate)}.`,
+      paragraph
+    );
     doc.moveDown();
-    doc.fontSize(12).text(`Object: ${serviceOrder.objet}`);
-    doc.text(`Market Number: ${serviceOrder.marketNumber || 'N/A'}`);
-    doc.text(`BC Number: ${serviceOrder.bcNumber || 'N/A'}`);
-    doc.text(`Start Date: ${serviceOrder.startDate.toLocaleDateString()}`);
-    doc.text(`Client Representative: ${serviceOrder.clientRep}`);
-    doc.text(`Supplier: ${serviceOrder.supplier}`);
-    doc.text(`Status: ${serviceOrder.status}`);
-    
-    doc.end();
-  });
+
+    doc.text(
+      'Le présent ordre de service certifié conforme à la minute inscrite au registre sera notifié à ' +
+      `Monsieur ${serviceOrder.clientRep}, le représentant de la société ${serviceOrder.supplier} par ` +
+      'Monsieur le responsable de la ferme expérimentale de l\'UM6P.',
+      paragraph
+    );
+
+    // Signature boxes
+    const boxTop = doc.y + 50;
+    const boxWidth = (width - 20) / 2;
+    const boxHeight = 130;
+    const boxes = [
+      { label: 'Client', name: 'Université Mohamed 6 Polytechnique', x: left, signature },
+      { label: 'Fournisseur', name: `Société ${serviceOrder.supplier}`, x: left + boxWidth + 20 }
+    ];
+
+    boxes.forEach(box => {
+      doc.lineWidth(0.5).rect(box.x, boxTop, boxWidth, boxHeight).stroke();
+      doc.font('Helvetica-Bold').fontSize(11).text(box.label, box.x, boxTop + 10, { width: boxWidth, align: 'center' });
+      doc.font('Helvetica').fontSize(10).text(box.name, box.x + 10, boxTop + 28, { width: boxWidth - 20, align: 'center' });
+      if (box.signature) {
+        drawSignatureStamp(doc, box.signature, box.x + 10, boxTop + 60, boxWidth - 20);
+      }
+    });
+  }, { creationDate: serviceOrder.signedAt });
 };
 
-// Generate PDF for price offer
+// Generate F.47 "Offre de prix" PDF, with one numbered row per item
+// and the electronic signature stamp below them once signed
 const generatePriceOfferPDF = async (priceOffer) => {
-  return new Promise((resolve, reject) => {
-    const doc = new PDFDocument();
-    const chunks = [];
-    
-    doc.on('data', chunk => chunks.push(chunk));
-    doc.on('end', () => resolve(Buffer.concat(chunks)));
-    doc.on('error', reject);
-    
-    // Add content to PDF
-    doc.fontSize(18).text('Price Offer', { align: 'center' });
+  const signature = signatureOf(priceOffer);
+
+  return renderDocument(FORMS.F47, (doc, { left, width, bottom, table }) => {
+    doc.font('Helvetica').fontSize(10);
+    doc.text(`Demande N° : ${priceOffer.orderNumber || BLANK}`, left, doc.y + 5);
+    doc.text(`Date : ${formatDate(priceOffer.dateSent)}`);
     doc.moveDown();
-    doc.fontSize(12).text(`Destinataire: ${priceOffer.destinataire}`);
-    doc.text(`Demandeur: ${priceOffer.demandeur}`);
-    doc.text(`Item: ${priceOffer.itemDesignation}`);
-    doc.text(`Quantity: ${priceOffer.quantity} ${priceOffer.unit}`);
-    doc.text(`Status: ${priceOffer.status}`);
-    
-    doc.end();
-  });
+    doc.text(`Destinataire : ${priceOffer.destinataire}`);
+    doc.text(`Demandeur : ${priceOffer.demandeur}`);
+    doc.text(`Contacts : ${priceOffer.contact || ''}`);
+    doc.text(`Adresse : ${priceOffer.address}`);
+    doc.moveDown();
+
+    table([
+      { label: 'Numéro d\'ordre', width: 60, value: item => item.lineNumber },
+      { label: 'Désignation article', width: 150, value: item => item.designation },
+      { label: 'Description technique', width: 185, value: item => item.techDescription },
+      { label: 'Unité', width: 60, value: item => item.unit },
+      { label: 'Quantité', width: 60, value: item => item.quantity, align: 'right' }
+    ], priceOffer.items, { fontSize: 9 });
+
+    if (signature) {
+      const boxWidth = width / 2;
+      const boxHeight = 70;
+      if (doc.y + boxHeight + 20 > bottom) {
+        doc.addPage();
+      }
+
+      const boxTop = doc.y + 20;
+      const boxLeft = left + width - boxWidth;
+      doc.lineWidth(0.5).rect(boxLeft, boxTop, boxWidth, boxHeight).stroke();
+      drawSignatureStamp(doc, signature, boxLeft + 10, boxTop + 12, boxWidth - 20);
+    }
+  }, { creationDate: priceOffer.signedAt });
+};
+
+const CONDITION_LABELS = {
+  OK: 'OK',
+  NON_CONFORME: 'Non conforme',
+  MAUVAIS: 'Mauvais'
+};
+
+// Generate F.10 "Inventaire hebdomadaire" PDF for a closed count session
+const generateInventoryCountPDF = async (session) => {
+  return renderDocument(FORMS.F10, (doc, { left, width, bottom, table }) => {
+    doc.font('Helvetica').fontSize(9).text(
+      `Semaine du ${formatDate(session.weekStart)}    Emplacement : ${session.location}`,
+      left,
+      doc.y,
+      { width }
+    );
+    doc.moveDown();
+
+    table([
+      { label: 'Propriétaire d\'article', width: 100, value: line => line.item.owner },
+      { label: 'Famille d\'article', width: 95, value: line => line.item.family },
+      { label: 'Sous famille', width: 95, value: line => line.item.subFamily },
+      { label: 'Désignation', width: 170, value: line => line.item.designation },
+      { label: 'Stock', width: 60, value: line => line.countedQty, align: 'right' },
+      { label: 'Unité', width: 55, value: line => line.item.unit },
+      { label: 'Etat d\'article', width: 90, value: line => CONDITION_LABELS[line.condition || line.item.condition] },
+      { label: 'Emplacement article', width: 117, value: line => line.item.location }
+    ], session.lines);
+
+    if (doc.y + 40 > bottom) {
+      doc.addPage();
+    }
+
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Inventaire ouvert par : ${session.openedBy.name}`, left, doc.y + 15);
+    if (session.closedBy) {
+      doc.text(`Clôturé par : ${session.closedBy.name} le ${formatDate(session.closedAt)}`);
+    }
+  }, { layout: 'landscape' });
+};
+
+// Generate F.75 responsibility matrix PDF from the nested matrix (axes > services > cells):
+// one row per axis, service and cell
+const generateResponsibilityMatrixPDF = async (matrix, lastUpdate) => {
+  const rows = [];
+  const addRows = (responsibilities, path) => {
+    responsibilities.forEach(responsibility => {
+      const names = [...path, responsibility.name];
+      rows.push({ ...responsibility, names });
+      addRows(responsibility.children, names);
+    });
+  };
+  addRows(matrix, []);
+
+  return renderDocument(FORMS.F75, (doc, { left, width, table }) => {
+    doc.font('Helvetica-Bold').fontSize(11).text('Répartition des responsabilités du comité de pilotage', left, doc.y, { width, align: 'center' });
+    doc.font('Helvetica').fontSize(9);
+    if (lastUpdate) {
+      doc.text(`Date dernière mise à jour : ${formatDate(lastUpdate)}`, { width, align: 'right' });
+    }
+    doc.moveDown();
+
+    // Parent names are printed on the row of the parent only, as on the paper form
+    const nameAt = (level) => (row) => (row.names.length === level + 1 ? row.names[level] : '');
+
+    table([
+      { label: 'Axe', width: 150, value: nameAt(0) },
+      { label: 'Service', width: 150, value: nameAt(1) },
+      { label: 'Cellule', width: 170, value: nameAt(2) },
+      { label: 'Coordinateur', width: 110, value: row => (row.coordinator ? row.coordinator.name : '') },
+      { label: 'Remplaçant', width: 110, value: row => (row.replacement ? row.replacement.name : '') },
+      { label: 'Observations', width: 92, value: row => row.notes }
+    ], rows);
+  }, { layout: 'landscape' });
+};
+
+// Phytosanitary register for QHSSE audits: one row per product applied, then the harvests
+// with whether the pre-harvest interval was respected
+const generatePhytosanitaryRegisterPDF = async (treatments, harvests, { startDate, endDate } = {}) => {
+  const rows = treatments.flatMap(treatment => treatment.products.map(product => ({ treatment, product })));
+  const location = (intervention) => (intervention.project ? `${intervention.field.name} / ${intervention.project.title}` : intervention.field.name);
+
+  let period = 'Toutes dates';
+  if (startDate && endDate) period = `du ${formatDate(startDate)} au ${formatDate(endDate)}`;
+  else if (startDate) period = `à partir du ${formatDate(startDate)}`;
+  else if (endDate) period = `jusqu'au ${formatDate(endDate)}`;
+
+  return renderDocument(reportForm('Registre des traitements phytosanitaires'), (doc, { left, width, table }) => {
+    doc.font('Helvetica').fontSize(9).text(`Période : ${period}`, left, doc.y, { width });
+    doc.text(`Édité le ${formatDate(new Date())}`, { width });
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(10).text('Traitements', left, doc.y, { width });
+    doc.moveDown(0.5);
+    table([
+      { label: 'Date', width: 55, value: row => formatDate(row.treatment.date) },
+      { label: 'Champ / Projet', width: 110, value: row => location(row.treatment) },
+      { label: 'Produit', width: 85, value: row => row.product.item.designation },
+      { label: 'Matière active', width: 85, value: row => row.product.activeSubstance },
+      { label: 'Dose / ha', width: 50, value: row => `${row.product.dosePerHa} ${row.product.item.unit}`, align: 'right' },
+      { label: 'Quantité', width: 50, value: row => `${row.product.quantity} ${row.product.item.unit}`, align: 'right' },
+      { label: 'Surface (ha)', width: 45, value: row => row.treatment.surfaceHa, align: 'right' },
+      { label: 'DAR (j)', width: 35, value: row => row.product.preHarvestDays, align: 'right' },
+      { label: 'Récolte dès le', width: 55, value: row => formatDate(row.treatment.preHarvestUntil) },
+      { label: 'DRE (h)', width: 35, value: row => row.product.reentryHours, align: 'right' },
+      { label: 'Réentrée dès le', width: 70, value: row => formatDateTime(row.treatment.reentryUntil) },
+      { label: 'Opérateur / Matériel', width: 107, value: row => [row.treatment.operator, row.treatment.equipment].filter(Boolean).join(' / ') }
+    ], rows, { fontSize: 7 });
+
+    if (harvests.length > 0) {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(10).text('Récoltes', left, doc.y, { width });
+      doc.moveDown(0.5);
+      table([
+        { label: 'Date', width: 60, value: harvest => formatDate(harvest.date) },
+        { label: 'Champ / Projet', width: 180, value: location },
+        { label: 'Opérateur', width: 120, value: harvest => harvest.operator },
+        { label: 'DAR respecté', width: 110, value: harvest => (harvest.preHarvestOverride ? 'Non (dérogation)' : 'Oui') },
+        { label: 'Observations', width: 312, value: harvest => harvest.notes }
+      ], harvests, { fontSize: 7 });
+    }
+  }, { layout: 'landscape' });
 };
 
 module.exports = {
   generateServiceOrderPDF,
-  generatePriceOfferPDF
-}; 
\ No newline at end of file
+  generatePriceOfferPDF,
+  generateInventoryCountPDF,
+  generateResponsibilityMatrixPDF,
+  generatePhytosanitaryRegisterPDF
+};
@@ -0,0 +1,246 @@
+// Shared layout of the farm documents (F.10, F.47, F.75, F.84) and exports.
+// Every page gets the form header table (Centre, Division, Service, title,
+// Code, Version, Date, page X sur Y) and the UM6P footer with the legal identifiers.
+
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+
+const CENTRE = 'AITTC / UM6P';
+const DIVISION = 'Ferme expérimentale site Ben Guérir';
+const FARM_SERVICE = 'Management de la ferme expérimentale de l\'AITTC';
+
+// Official forms: header cells and footer reference of each paper template
+const FORMS = {
+  F10: {
+    service: 'Gestion administrative et support / Gestion de stock et patrimoine',
+    title: 'Inventaire hebdomadaire',
+    code: 'F.10',
+    version: '02',
+    date: '29/04/2021',
+    reference: 'F.EXP - V.02 - 04/21 - F.10'
+  },
+  F47: {
+    service: 'Gestion administrative et support / Gestion commerciale, partenariats et communication',
+    title: 'offre de prix',
+    code: 'F.47',
+    version: '01',
+    date: '09/06/2021'
+  },
+  F75: {
+    service: FARM_SERVICE,
+    title: 'répartition des responsabilités et suivi des essais et projets à la ferme expérimentale',
+    code: 'F.75',
+    version: '01',
+    date: '22/09/2021'
+  },
+  F84: {
+    service: FARM_SERVICE,
+    title: 'ordre de service',
+    code: 'F.84',
+    version: '01',
+    date: '01/12/2021'
+  }
+};
+
+// Header of documents without a paper template (exports, reports): no code or version
+const reportForm = (title) => ({ service: FARM_SERVICE, title });
+
+const LEGAL_FOOTER = [
+  'Centre AITTC de l\'Université Mohamed 6 Polytechniques (UM6P) - Adresse : Lot 660,Hay Moulay Rachid 43150, Ben Guérir - www.um6p.ma',
+  'R.C.n° 1037-Patente n° 45408944-I.F. 14437938-CNSS n° 9515919-ICE n° 000189568000063 - Morocco'
+];
+
+// Optional logo printed in the middle cell of the header
+const LOGO_PATH = process.env.PDF_LOGO_PATH || path.join(__dirname, '../assets/logo.png');
+
+const PAGE_MARGIN = 30;
+const HEADER_HEIGHT = 60;
+const FOOTER_HEIGHT = 40;
+
+// Blank placeholder of the paper forms, used when a value is missing
+const BLANK = '……………………';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('fr-FR');
+const formatDateTime = (date) => new Date(date).toLocaleString('fr-FR');
+
+// Header table; drawn above the top margin so the body flows below it
+const drawHeader = (doc, form, hasLogo) => {
+  const left = doc.page.margins.left;
+  const top = PAGE_MARGIN;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const cellWidth = width / 3;
+
+  doc.save();
+  doc.lineWidth(0.5);
+  doc.rect(left, top, width, HEADER_HEIGHT).stroke();
+  doc.moveTo(left + cellWidth, top).lineTo(left + cellWidth, top + HEADER_HEIGHT).stroke();
+  doc.moveTo(left + 2 * cellWidth, top).lineTo(left + 2 * cellWidth, top + HEADER_HEIGHT).stroke();
+
+  doc.font('Helvetica').fontSize(8);
+  doc.text(`Centre : ${CENTRE}`, left + 5, top + 6, { width: cellWidth - 10 });
+  doc.text(`Division : ${DIVISION}`, { width: cellWidth - 10 });
+  doc.text(`Service : ${form.service}`, { width: cellWidth - 10 });
+
+  let titleTop = top + 8;
+  if (hasLogo) {
+    doc.image(LOGO_PATH, left + cellWidth + 5, top + 4, { fit: [cellWidth - 10, 22], align: 'center' });
+    titleTop = top + 30;
+  }
+  doc.font('Helvetica-Bold').fontSize(form.title.length > 40 ? 8 : 11);
+  doc.text(form.code ? `Fiche : ${form.title}` : form.title, left + cellWidth + 5, titleTop, { width: cellWidth - 10, align: 'center' });
+
+  doc.font('Helvetica').fontSize(8);
+  doc.text(`Code : ${form.code || '-'}`, left + 2 * cellWidth + 5, top + 6, { width: cellWidth - 10 });
+  doc.text(`Version : ${form.version || '-'}`, { width: cellWidth - 10 });
+  doc.text(`Date : ${form.date || formatDate(new Date())}`, { width: cellWidth - 10 });
+  doc.restore();
+};
+
+// Page number in the header and footer on every page, once the page count is known.
+// The bottom margin is lifted so the footer does not trigger a page break.
+const writePageFurniture = (doc, form) => {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const margin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    doc.font('Helvetica').fontSize(8);
+    doc.text(`page ${i + 1} sur ${range.count}`, left + 2 * width / 3 + 5, PAGE_MARGIN + 40, { width: width / 3 - 10 });
+
+    const footerTop = doc.page.height - FOOTER_HEIGHT + 5;
+    doc.moveTo(left, footerTop - 4).lineTo(left + width, footerTop - 4).lineWidth(0.5).stroke();
+    doc.fontSize(6.5);
+    LEGAL_FOOTER.forEach((line, index) => {
+      doc.text(line, left, footerTop + index * 9, { width, align: 'center', lineBreak: false });
+    });
+    if (form.reference) {
+      doc.text(form.reference, left, footerTop + LEGAL_FOOTER.length * 9, { width, align: 'right', lineBreak: false });
+    }
+
+    doc.page.margins.bottom = margin;
+  }
+};
+
+// Paginated table. Column widths are relative and scaled to the page width;
+// the header row is repeated at the top of every page.
+// columns: [{ label, width, value(row), align }]
+const drawTable = (doc, columns, rows, { fontSize = 8 } = {}) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const scale = width / columns.reduce((sum, column) => sum + (column.width || 1), 0);
+  const widths = columns.map(column => (column.width || 1) * scale);
+
+  const rowHeight = (cells) => Math.max(...cells.map((cell, index) => doc.heightOfString(cell, { width: widths[index] - 6 }))) + 6;
+
+  const drawRow = (cells, bold) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+    const height = rowHeight(cells);
+    const y = doc.y;
+
+    let x = left;
+    doc.lineWidth(0.5);
+    cells.forEach((cell, index) => {
+      doc.rect(x, y, widths[index], height).stroke();
+      doc.text(cell, x + 3, y + 3, { width: widths[index] - 6, align: columns[index].align || 'left' });
+      x += widths[index];
+    });
+
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const labels = columns.map(column => column.label);
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  doc.font('Helvetica-Bold').fontSize(fontSize);
+  if (doc.y + rowHeight(labels) * 2 > bottom) doc.addPage();
+  drawRow(labels, true);
+
+  for (const row of rows) {
+    const cells = columns.map(column => {
+      const value = column.value(row);
+      return value === null || value === undefined ? '' : String(value);
+    });
+
+    doc.font('Helvetica').fontSize(fontSize);
+    if (doc.y + rowHeight(cells) > bottom) {
+      doc.addPage();
+      drawRow(labels, true);
+    }
+    drawRow(cells, false);
+  }
+};
+
+// Electronic signature stamp: signer, signing time and fingerprint of the signed form.
+// signature: { name, signedAt, hash }
+const drawSignatureStamp = (doc, signature, x, y, width) => {
+  doc.font('Helvetica-Bold').fontSize(8).text('Signé électroniquement', x, y, { width, align: 'center' });
+  doc.font('Helvetica').text(`par ${signature.name}`, { width, align: 'center' });
+  doc.text(`le ${formatDateTime(signature.signedAt)}`, { width, align: 'center' });
+  doc.fontSize(6).text(`Empreinte SHA-256 : ${signature.hash}`, { width, align: 'center' });
+};
+
+// Render a document with the shared layout and resolve with the PDF buffer.
+// draw(doc, layout) writes the body; pages added by draw or by text overflow
+// get the header automatically. layout: { left, width, bottom, table(columns, rows, options) }
+// A fixed creationDate makes the output byte-for-byte reproducible (signed documents).
+const renderDocument = (form, draw, { layout = 'portrait', creationDate } = {}) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout,
+      info: creationDate ? { CreationDate: new Date(creationDate) } : undefined,
+      margins: {
+        top: PAGE_MARGIN + HEADER_HEIGHT + 15,
+        bottom: FOOTER_HEIGHT + 10,
+        left: PAGE_MARGIN,
+        right: PAGE_MARGIN
+      },
+      bufferPages: true
+    });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const hasLogo = fs.existsSync(LOGO_PATH);
+    const startPage = () => {
+      drawHeader(doc, form, hasLogo);
+      doc.x = doc.page.margins.left;
+      doc.y = doc.page.margins.top;
+    };
+    doc.on('pageAdded', startPage);
+    startPage();
+
+    const left = doc.page.margins.left;
+    const pageLayout = {
+      left,
+      width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+      bottom: doc.page.height - doc.page.margins.bottom,
+      table: (columns, rows, options) => drawTable(doc, columns, rows, options)
+    };
+
+    Promise.resolve()
+      .then(() => draw(doc, pageLayout))
+      .then(() => {
+        writePageFurniture(doc, form);
+        doc.end();
+      })
+      .catch(reject);
+  });
+};
+
+module.exports = {
+  FORMS,
+  BLANK,
+  reportForm,
+  formatDate,
+  formatDateTime,
+  drawSignatureStamp,
+  renderDocument
+};
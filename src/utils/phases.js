@@ -0,0 +1,149 @@
+// Project phases and milestones: slippage against the plan and Gantt tasks
+
+const PHASE_KINDS = ['PHASE', 'MILESTONE'];
+const PHASE_STATUSES = ['PLANNED', 'IN_PROGRESS', 'COMPLETED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const phaseInclude = {
+  owner: { select: { id: true, name: true, email: true } },
+  dependsOn: { select: { id: true, name: true, status: true } }
+};
+
+const phaseOrder = [{ position: 'asc' }, { plannedStart: 'asc' }];
+
+// Whole days from one date to another (calendar days, UTC)
+const daysBetween = (from, to) => (
+  Math.floor(new Date(to).getTime() / DAY_MS) - Math.floor(new Date(from).getTime() / DAY_MS)
+);
+
+// Delay of a phase on a date, in days. days: late finish of a completed phase (negative when early),
+// or days past the planned end of an unfinished one. startDays: late or missed start.
+const delayOf = (phase, today) => ({
+  days: phase.status === 'COMPLETED'
+    ? daysBetween(phase.plannedEnd, phase.actualEnd || phase.plannedEnd)
+    : Math.max(0, daysBetween(phase.plannedEnd, today)),
+  startDays: phase.actualStart
+    ? daysBetween(phase.plannedStart, phase.actualStart)
+    : Math.max(0, daysBetween(phase.plannedStart, today))
+});
+
+// Slippage of the phases of a project, by phase id: { days, startDays, status } where status is
+// LATE (finished or still running past the planned end), AT_RISK (started late, not started on time,
+// or waiting on a late dependency) or ON_TRACK
+const slippageOf = (phases, today = new Date()) => {
+  const delays = new Map(phases.map(phase => [phase.id, delayOf(phase, today)]));
+  const isLate = (phase) => delays.get(phase.id).days > 0;
+
+  return new Map(phases.map(phase => {
+    const delay = delays.get(phase.id);
+    let status = 'ON_TRACK';
+    if (isLate(phase)) {
+      status = 'LATE';
+    } else if (phase.status !== 'COMPLETED') {
+      const lateDependency = phase.dependsOn.some(dependency => (
+        dependency.status !== 'COMPLETED' && delays.has(dependency.id) && delays.get(dependency.id).days > 0
+      ));
+      if (delay.startDays > 0 || lateDependency) status = 'AT_RISK';
+    }
+    return [phase.id, { ...delay, status }];
+  }));
+};
+
+// Whether giving a phase these dependencies would make it depend on itself
+const createsDependencyCycle = (phases, phaseId, dependsOnIds) => {
+  const dependencies = new Map(phases.map(phase => [phase.id, phase.dependsOn.map(dependency => dependency.id)]));
+  dependencies.set(phaseId, dependsOnIds);
+
+  const visited = new Set();
+  const stack = [...dependsOnIds];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === phaseId) return true;
+    if (visited.has(id)) continue;
+    visited.add(id);
+    stack.push(...(dependencies.get(id) || []));
+  }
+  return false;
+};
+
+const SLIPPAGE_RANK = { ON_TRACK: 0, AT_RISK: 1, LATE: 2 };
+
+// Gantt tasks of projects (with their phases): a summary task per project followed by its phases
+// and milestones. Bars show the current schedule (actual dates, or today for a phase running late)
+// with the planned dates as baseline.
+// Task: { id, name, type, parent, start, end, plannedStart, plannedEnd, actualStart, actualEnd,
+//         progress, status, owner, dependencies, slippage }
+const buildGanttTasks = (projects, today = new Date()) => {
+  const tasks = [];
+
+  for (const project of projects) {
+    const phases = project.phases || [];
+    const slippages = slippageOf(phases, today);
+
+    const phaseTasks = phases.map(phase => {
+      const slippage = slippages.get(phase.id);
+      const start = phase.actualStart || phase.plannedStart;
+      const forecastEnd = phase.actualEnd || (slippage.days > 0 ? today : phase.plannedEnd);
+
+      return {
+        id: phase.id,
+        name: phase.name,
+        type: phase.kind === 'MILESTONE' ? 'milestone' : 'task',
+        parent: project.id,
+        start,
+        end: forecastEnd < start ? start : forecastEnd,
+        plannedStart: phase.plannedStart,
+        plannedEnd: phase.plannedEnd,
+        actualStart: phase.actualStart,
+        actualEnd: phase.actualEnd,
+        progress: phase.progress,
+        status: phase.status,
+        owner: phase.owner ? phase.owner.name : null,
+        dependencies: phase.dependsOn.map(dependency => dependency.id),
+        slippage
+      };
+    });
+
+    // The project slips as much as its latest phase
+    const worst = phaseTasks.reduce((current, task) => (
+      !current || SLIPPAGE_RANK[task.slippage.status] > SLIPPAGE_RANK[current.status]
+        || (task.slippage.status === current.status && task.slippage.days > current.days)
+        ? task.slippage
+        : current
+    ), null);
+    const phaseEnd = phaseTasks.reduce((latest, task) => (!latest || task.end > latest ? task.end : latest), null);
+
+    tasks.push({
+      id: project.id,
+      name: project.title,
+      type: 'project',
+      parent: null,
+      start: project.startDate,
+      end: project.endDate || phaseEnd || project.startDate,
+      plannedStart: project.startDate,
+      plannedEnd: project.endDate,
+      actualStart: null,
+      actualEnd: null,
+      progress: phaseTasks.length > 0
+        ? Math.round(phaseTasks.reduce((sum, task) => sum + task.progress, 0) / phaseTasks.length)
+        : (project.status === 'FINALISE' ? 100 : 0),
+      status: project.status,
+      owner: project.supervisor ? project.supervisor.name : null,
+      dependencies: [],
+      slippage: worst || { days: 0, startDays: 0, status: 'ON_TRACK' }
+    }, ...phaseTasks);
+  }
+
+  return tasks;
+};
+
+module.exports = {
+  PHASE_KINDS,
+  PHASE_STATUSES,
+  phaseInclude,
+  phaseOrder,
+  slippageOf,
+  createsDependencyCycle,
+  buildGanttTasks
+};
@@ -0,0 +1,68 @@
+// Comparison of the prices returned by the suppliers of a price request
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Build the comparison table of a price offer loaded with its items and
+// its recipients (supplier and quotes).
+// Each item lists every supplier's price and flags the cheapest; suppliers that
+// quoted every item are ranked on their total and the cheapest one is flagged.
+const buildQuoteComparison = (priceOffer) => {
+  const suppliers = priceOffer.recipients.map(recipient => ({
+    supplierId: recipient.supplierId,
+    name: recipient.supplier.name,
+    respondedAt: recipient.respondedAt,
+    pricesByItem: new Map(recipient.quotes.map(quote => [quote.itemId, quote.unitPrice]))
+  }));
+
+  const items = priceOffer.items.map(item => {
+    const quotes = suppliers
+      .filter(supplier => supplier.pricesByItem.has(item.id))
+      .map(supplier => {
+        const unitPrice = supplier.pricesByItem.get(item.id);
+        return {
+          supplierId: supplier.supplierId,
+          name: supplier.name,
+          unitPrice,
+          totalPrice: roundAmount(unitPrice * item.quantity)
+        };
+      });
+
+    const bestPrice = quotes.length > 0 ? Math.min(...quotes.map(quote => quote.unitPrice)) : null;
+
+    return {
+      itemId: item.id,
+      lineNumber: item.lineNumber,
+      designation: item.designation,
+      unit: item.unit,
+      quantity: item.quantity,
+      quotes: quotes.map(quote => ({ ...quote, isBest: quote.unitPrice === bestPrice })),
+      bestSupplierIds: quotes.filter(quote => quote.unitPrice === bestPrice).map(quote => quote.supplierId)
+    };
+  });
+
+  const totals = suppliers.map(supplier => {
+    const quotedItems = priceOffer.items.filter(item => supplier.pricesByItem.has(item.id));
+    return {
+      supplierId: supplier.supplierId,
+      name: supplier.name,
+      respondedAt: supplier.respondedAt,
+      quotedItems: quotedItems.length,
+      complete: quotedItems.length === priceOffer.items.length,
+      total: roundAmount(quotedItems.reduce((sum, item) => sum + supplier.pricesByItem.get(item.id) * item.quantity, 0))
+    };
+  });
+
+  const completeTotals = totals.filter(total => total.complete && total.quotedItems > 0).map(total => total.total);
+  const bestTotal = completeTotals.length > 0 ? Math.min(...completeTotals) : null;
+  const bestSupplier = totals.find(total => total.complete && total.total === bestTotal);
+
+  return {
+    items,
+    suppliers: totals.map(total => ({ ...total, isBest: total.complete && total.total === bestTotal })),
+    bestSupplierId: bestSupplier ? bestSupplier.supplierId : null
+  };
+};
+
+module.exports = {
+  buildQuoteComparison
+};
@@ -0,0 +1,83 @@
+const { buildAuditEntry } = require('./audit');
+
+// Reservation status transitions.
+// REJECTED, CANCELLED and EXPIRED are final.
+const RESERVATION_TRANSITIONS = {
+  PENDING: ['APPROVED', 'REJECTED', 'CANCELLED', 'EXPIRED'],
+  APPROVED: ['MODIFICATION_REQUESTED', 'CANCELLED'],
+  MODIFICATION_REQUESTED: ['APPROVED', 'CANCELLED'],
+  REJECTED: [],
+  CANCELLED: [],
+  EXPIRED: []
+};
+
+// Check whether a reservation can move from one status to another
+const canTransition = (from, to) => {
+  return (RESERVATION_TRANSITIONS[from] || []).includes(to);
+};
+
+// Add an entry to the decision history of a reservation
+const recordDecision = (client, reservation, type, toStatus, { comments, decidedById } = {}) => {
+  return client.reservationDecision.create({
+    data: {
+      reservationId: reservation.id,
+      type,
+      fromStatus: reservation.status,
+      toStatus,
+      comments,
+      decidedById
+    }
+  });
+};
+
+// Expire pending reservations whose requested start date has passed
+const expirePendingReservations = async (client) => {
+  const now = new Date();
+  const expired = await client.reservation.findMany({
+    where: {
+      status: 'PENDING',
+      startRequested: { lt: now }
+    },
+    select: { id: true }
+  });
+
+  if (expired.length === 0) return 0;
+
+  const ids = expired.map(reservation => reservation.id);
+  await client.$transaction([
+    client.reservation.updateMany({
+      where: { id: { in: ids }, status: 'PENDING' },
+      data: {
+        status: 'EXPIRED',
+        decisionDate: now
+      }
+    }),
+    client.reservationDecision.createMany({
+      data: ids.map(reservationId => ({
+        reservationId,
+        type: 'EXPIRED',
+        fromStatus: 'PENDING',
+        toStatus: 'EXPIRED',
+        comments: 'Start date passed before a decision was taken'
+      }))
+    }),
+    client.auditLog.createMany({
+      data: ids.map(reservationId => buildAuditEntry(null, {
+        action: 'UPDATE',
+        entityType: 'RESERVATION',
+        entityId: reservationId,
+        before: { status: 'PENDING', decisionDate: null },
+        after: { status: 'EXPIRED', decisionDate: now }
+      }))
+    })
+  ]);
+
+  return ids.length;
+};
+
+module.exports = {
+  RESERVATION_TRANSITIONS,
+  canTransition,
+  recordDecision,
+  expirePendingReservations
+};
@@ -0,0 +1,79 @@
+// F.75 responsibility matrix: who is in charge of an axis, service or cell,
+// and notification routing through it
+
+const LEVELS = ['AXIS', 'SERVICE', 'CELL'];
+
+// Level expected for the parent of each level
+const PARENT_LEVEL = {
+  AXIS: null,
+  SERVICE: 'AXIS',
+  CELL: 'SERVICE'
+};
+
+const personSelect = { id: true, name: true, email: true, awayFrom: true, awayUntil: true };
+
+const responsibilityInclude = {
+  coordinator: { select: personSelect },
+  replacement: { select: personSelect }
+};
+
+// Whether a user is away on a date: from awayFrom until awayUntil (back that day)
+const isAway = (user, date = new Date()) => {
+  if (!user || !user.awayFrom) return false;
+  return new Date(user.awayFrom) <= date && (!user.awayUntil || date < new Date(user.awayUntil));
+};
+
+// Person in charge on a date: the coordinator, or the replacement while the coordinator is away
+const resolveResponsible = (responsibility, date = new Date()) => {
+  return [responsibility.coordinator, responsibility.replacement].find(user => user && !isAway(user, date)) || null;
+};
+
+// Recipient of the notifications routed to a key: the person in charge of that cell,
+// else of its service, then its axis. Null when the key is unknown or nobody is available.
+const getResponsibleFor = async (client, routingKey, date = new Date()) => {
+  let responsibility = await client.responsibility.findUnique({
+    where: { routingKey },
+    include: responsibilityInclude
+  });
+
+  while (responsibility) {
+    const responsible = resolveResponsible(responsibility, date);
+    if (responsible) return responsible;
+
+    responsibility = responsibility.parentId
+      ? await client.responsibility.findUnique({ where: { id: responsibility.parentId }, include: responsibilityInclude })
+      : null;
+  }
+
+  return null;
+};
+
+// Nest a flat list of responsibilities into axes > services > cells, ordered by position then name
+const buildMatrix = (responsibilities, date = new Date()) => {
+  const byParent = new Map();
+  for (const responsibility of responsibilities) {
+    const key = responsibility.parentId || null;
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(responsibility);
+  }
+
+  const nest = (parentId) => (byParent.get(parentId) || [])
+    .sort((a, b) => a.position - b.position || a.name.localeCompare(b.name))
+    .map(responsibility => ({
+      ...responsibility,
+      responsible: resolveResponsible(responsibility, date),
+      children: nest(responsibility.id)
+    }));
+
+  return nest(null);
+};
+
+module.exports = {
+  LEVELS,
+  PARENT_LEVEL,
+  responsibilityInclude,
+  isAway,
+  resolveResponsible,
+  getResponsibleFor,
+  buildMatrix
+};
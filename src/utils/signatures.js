@@ -0,0 +1,46 @@
+// Electronic signature of the generated forms (F.47 price offers, F.84 service orders)
+
+const crypto = require('crypto');
+
+// Roles that can be designated to sign a document
+const SIGNER_ROLES = ['ADMIN', 'SUPERVISOR'];
+
+const signerSelect = { id: true, name: true, email: true };
+
+// User that can be designated as signer, or null
+const findSigner = async (client, signerId) => {
+  const signer = await client.user.findUnique({
+    where: { id: signerId },
+    select: { ...signerSelect, role: true }
+  });
+  return signer && SIGNER_ROLES.includes(signer.role) ? signer : null;
+};
+
+const hashDocument = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// SHA-256 of the document rendered by generate() as of signedAt, without its signature stamp.
+// The rendering is reproducible for a given signing time, so the hash can be recomputed later.
+const fingerprintDocument = async (generate, document, signedAt) => {
+  const buffer = await generate({ ...document, signedAt, signatureHash: null });
+  return hashDocument(buffer);
+};
+
+// Signature state of a document; `valid` tells whether it still renders to the signed hash
+const verifySignature = async (generate, document) => {
+  const signed = Boolean(document.signatureHash);
+  return {
+    signer: document.signer,
+    signedAt: document.signedAt,
+    signatureHash: document.signatureHash,
+    signed,
+    valid: signed ? await fingerprintDocument(generate, document, document.signedAt) === document.signatureHash : null
+  };
+};
+
+module.exports = {
+  SIGNER_ROLES,
+  signerSelect,
+  findSigner,
+  fingerprintDocument,
+  verifySignature
+};
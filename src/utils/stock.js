@@ -0,0 +1,122 @@
+// Inventory stock ledger.
+// Every change of stock is a movement; InventoryItem.stockQty is kept as the running balance.
+
+const STOCK_MOVEMENT_TYPES = ['RECEIPT', 'CONSUMPTION', 'TRANSFER', 'ADJUSTMENT', 'LOSS'];
+
+// Signed change of a movement: receipts add, consumptions and losses remove,
+// adjustments carry their own sign
+const getMovementDelta = (type, quantity) => {
+  if (type === 'RECEIPT') return Math.abs(quantity);
+  if (type === 'CONSUMPTION' || type === 'LOSS') return -Math.abs(quantity);
+  return quantity;
+};
+
+// Error code of a removal that would take the stock below zero
+const INSUFFICIENT_STOCK = 'INSUFFICIENT_STOCK';
+
+// Apply a signed change to an item and record the movement.
+// Returns { movement, item } with the updated item. A removal is checked against the stock
+// once the row is locked by the update: it throws an INSUFFICIENT_STOCK error when concurrent
+// movements left too little, so the surrounding transaction rolls back.
+const recordStockMovement = async (client, item, { type, quantity, reason, projectId, userId, fromLocation, toLocation }) => {
+  const updatedItem = await client.inventoryItem.update({
+    where: { id: item.id },
+    data: { stockQty: { increment: quantity } }
+  });
+
+  if (quantity < 0 && updatedItem.stockQty < 0) {
+    const error = new Error(`${updatedItem.designation}: only ${updatedItem.stockQty - quantity} ${updatedItem.unit} in stock`);
+    error.code = INSUFFICIENT_STOCK;
+    throw error;
+  }
+
+  const movement = await client.stockMovement.create({
+    data: {
+      itemId: item.id,
+      type,
+      quantity,
+      balanceAfter: updatedItem.stockQty,
+      fromLocation: fromLocation !== undefined ? fromLocation : (quantity < 0 ? item.location : null),
+      toLocation: toLocation !== undefined ? toLocation : (quantity > 0 ? item.location : null),
+      reason,
+      projectId,
+      userId
+    }
+  });
+
+  return { movement, item: updatedItem };
+};
+
+// Move part of an item's stock to another location.
+// The stock lands on the same article at the target location, created empty if needed.
+const transferStock = async (client, item, quantity, toLocation, { reason, projectId, userId } = {}) => {
+  let target = await client.inventoryItem.findFirst({
+    where: {
+      id: { not: item.id },
+      owner: item.owner,
+      family: item.family,
+      subFamily: item.subFamily,
+      designation: item.designation,
+      unit: item.unit,
+      location: toLocation
+    }
+  });
+
+  const targetCreated = !target;
+  if (targetCreated) {
+    target = await client.inventoryItem.create({
+      data: {
+        owner: item.owner,
+        family: item.family,
+        subFamily: item.subFamily,
+        designation: item.designation,
+        unit: item.unit,
+        condition: item.condition,
+        location: toLocation,
+        stockQty: 0
+      }
+    });
+  }
+
+  const movement = { type: 'TRANSFER', reason, projectId, userId, fromLocation: item.location, toLocation };
+  const outgoing = await recordStockMovement(client, item, { ...movement, quantity: -Math.abs(quantity) });
+  const incoming = await recordStockMovement(client, target, { ...movement, quantity: Math.abs(quantity) });
+
+  return { source: outgoing, target: incoming, targetCreated };
+};
+
+// Quantity to order for an item below its threshold: at least back to the threshold,
+// and at least the usual reorder quantity
+const getSuggestedOrderQty = (item) => {
+  return Math.max(item.minQty - item.stockQty, item.reorderQty || 0);
+};
+
+// Items whose stock is below their minimum quantity, most depleted first
+const getLowStockItems = async (client, where = {}) => {
+  const items = await client.inventoryItem.findMany({
+    where: {
+      ...where,
+      minQty: { not: null },
+      stockQty: { lt: client.inventoryItem.fields.minQty }
+    },
+    orderBy: [{ family: 'asc' }, { designation: 'asc' }]
+  });
+
+  return items
+    .map(item => ({
+      ...item,
+      missingQty: item.minQty - item.stockQty,
+      suggestedOrderQty: getSuggestedOrderQty(item)
+    }))
+    .sort((a, b) => (a.stockQty / a.minQty) - (b.stockQty / b.minQty));
+};
+
+module.exports = {
+  STOCK_MOVEMENT_TYPES,
+  INSUFFICIENT_STOCK,
+  getMovementDelta,
+  recordStockMovement,
+  transferStock,
+  getSuggestedOrderQty,
+  getLowStockItems
+};
@@ -0,0 +1,110 @@
+// Waitlist for fully-booked fields.
+// Entries are served first come, first served: when surface is freed on a field,
+// the earliest waiting entry that now fits becomes a pending reservation.
+
+const { getFieldAvailability } = require('./occupancy');
+const { sendWaitlistPromotionEmail } = require('./email');
+const { logAudit, buildAuditEntry } = require('./audit');
+
+// Promote the earliest waiting entry of a field that fits its window.
+// Returns the created reservation, or null when nothing could be promoted.
+// Errors are logged and not rethrown: the change that freed the surface is already saved.
+const promoteWaitlist = async (client, fieldId) => {
+  try {
+    const field = await client.field.findUnique({ where: { id: fieldId } });
+    if (!field || field.status !== 'ACTIVE') return null;
+
+    const entries = await client.waitlistEntry.findMany({
+      where: {
+        fieldId,
+        status: 'WAITING',
+        startRequested: { gte: new Date() }
+      },
+      include: { client: { select: { id: true, name: true, email: true } } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    for (const entry of entries) {
+      const { freeSurfaceM2 } = await getFieldAvailability(client, field, entry.startRequested, entry.endRequested);
+      if (entry.surfaceM2Requested > freeSurfaceM2) continue;
+
+      const reservation = await client.$transaction(async (tx) => {
+        const created = await tx.reservation.create({
+          data: {
+            clientId: entry.clientId,
+            fieldId,
+            surfaceM2Requested: entry.surfaceM2Requested,
+            startRequested: entry.startRequested,
+            endRequested: entry.endRequested,
+            activityTypeId: entry.activityTypeId,
+            status: 'PENDING'
+          }
+        });
+
+        const promoted = await tx.waitlistEntry.update({
+          where: { id: entry.id },
+          data: {
+            status: 'PROMOTED',
+            reservationId: created.id,
+            promotedAt: new Date()
+          }
+        });
+
+        await logAudit(tx, null, { action: 'CREATE', entityType: 'RESERVATION', entityId: created.id, after: created });
+        await logAudit(tx, null, { action: 'UPDATE', entityType: 'WAITLIST_ENTRY', entityId: entry.id, before: entry, after: promoted });
+
+        return created;
+      });
+
+      try {
+        await sendWaitlistPromotionEmail(entry.client.email, reservation, field.name);
+      } catch (emailError) {
+        console.error('Failed to send waitlist promotion email:', emailError);
+      }
+
+      return reservation;
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Waitlist promotion error:', error);
+    return null;
+  }
+};
+
+// Expire waiting entries whose requested start date has passed
+const expireWaitlistEntries = async (client) => {
+  const expired = await client.waitlistEntry.findMany({
+    where: {
+      status: 'WAITING',
+      startRequested: { lt: new Date() }
+    },
+    select: { id: true }
+  });
+
+  if (expired.length === 0) return 0;
+
+  const ids = expired.map(entry => entry.id);
+  await client.$transaction([
+    client.waitlistEntry.updateMany({
+      where: { id: { in: ids }, status: 'WAITING' },
+      data: { status: 'EXPIRED' }
+    }),
+    client.auditLog.createMany({
+      data: ids.map(entryId => buildAuditEntry(null, {
+        action: 'UPDATE',
+        entityType: 'WAITLIST_ENTRY',
+        entityId: entryId,
+        before: { status: 'WAITING' },
+        after: { status: 'EXPIRED' }
+      }))
+    })
+  ]);
+
+  return ids.length;
+};
+
+module.exports = {
+  promoteWaitlist,
+  expireWaitlistEntries
+};